@@ -4,12 +4,41 @@
  */
 import {
   getToken, getOrg, setToken, setOrg,
-  validateToken, fetchOrgRepos, categorizeRepo,
-  fetchOrgProjects, fetchOpenPRs, fetchWorkflowRuns,
-  fetchSecretAlerts, fetchOrgWebhooks,
+  validateToken, fetchOrgRepos,
+  fetchOrgProjects, fetchProjectBoard, fetchProjectItemStatus, updateProjectItemStatus,
+  fetchProjectItem, updateProjectItemField, addIssueComment, addAssignees, closeIssue,
+  fetchProjectStatusField, addProjectItem, addProjectDraftIssue, createIssue, fetchIssueTemplates,
+  fetchWorkflowRuns, fetchRunsOfWorkflow, fetchWorkflows, fetchRunJobs, fetchRunArtifacts, rerunFailedJobs,
+  fetchOrgSecurityAlerts, SEVERITY_ORDER, fetchOrgWebhooks, fetchHookDeliveries,
+  fetchOrgEvents, fetchRepoEvents,
   loadOrgIndex, loadProjectMap, loadMemorySnapshot,
-  fetchRateLimit,
+  loadValidatorStatus, loadRepoGraph, runValidatorChecks, ADMIN_REPO,
+  fetchRepoGovernance, GOVERNANCE_CONTROLS,
+  STATE_SYNC_WORKFLOWS, dispatchWorkflow, fetchLatestDispatchRun, fetchRun,
+  loadStateFileFromRepo,
+  fetchRateLimit, getRateLimit, onRateLimit, clearEtagCache,
+  fetchBranches, fetchBranchHead, fetchRepoTree, fetchFile, putFile, createBranch, createPullRequest,
+  BOARD_CONFIG_PATH, loadConfigText, updateStatusOptions,
+  fetchRepoTopics, replaceRepoTopics, updateRepo,
+  MEMORY_REPO, MEMORY_FILES, fetchMemoryCommits, fetchMemoryCommit, renderMarkdown,
+  MERGE_METHODS, submitPullRequestReview, mergePullRequest, updatePullRequestBranch, enablePullRequestAutoMerge,
 } from './github-api.js';
+import { fetchOrgSnapshot } from './org-snapshot.js';
+import { layoutGraph } from './repo-graph.js';
+import {
+  DISCOVERY_CONFIG_PATH, DEFAULT_DISCOVERY_CONFIG, compileDiscovery, setDiscoveryConfig, discoveryStages,
+  runIdsIn, runIdTime, runMatchesStage, stageJobs, combineJobs, runState,
+} from './discovery.js';
+import { PR_ACTION_POLICY, POLICY_CONTROLS, evaluatePRPolicy, policyBlockers } from './pr-policy.js';
+import {
+  CATEGORIES, CATEGORY_CONFIG_PATH, DEFAULT_CATEGORY_CONFIG,
+  compileCategories, setCategoryConfig, explainCategory, categorizeRepo, repoTopics,
+} from './categories.js';
+import {
+  SCHEMAS, BOARD_CONFIG_SCHEMA, CATEGORY_CONFIG_SCHEMA, DISCOVERY_CONFIG_SCHEMA, schemaFor, validate, schemaAt, yamlPaths, yamlLineOf, yamlParentAt,
+} from './schemas.js';
+import { parseYaml } from './yaml.js';
+import * as store from './store.js';
 
 /* ============================================================
    GLOBAL STATE
@@ -17,15 +46,49 @@ import {
 const State = {
   theme:       localStorage.getItem('iacp_theme') || 'dark',
   section:     location.hash.replace('#', '') || 'overview',
-  repos:       [],
-  projects:    [],
-  prs:         [],
-  memory:      null,
-  webhooks:    [],
+  eventEtags:  {},
+  eventPollMs: 60000,
+  eventTimer:  null,
+  unseenEvents: new Set(),
+  feedFilter:  { type: '', repo: '' },
+  expandedRuns: new Set(),
+  runJobs:     {},
+  runArtifacts: {},
+  govSort:     { key: 'score', dir: 'asc' },
+  govFailingOnly: false,
+  vaultGroupBy: 'repo',
+  vaultShowAcked: false,
+  orgIndex:    null,
+  board:       null,
+  drawerItem:  null,
+  command:     null,
+  palette:     { open: false, items: [], results: [], index: 0 },
+  syncRuns:    {},
   tokenValid:  null,
   deferredInstallPrompt: null,
-  monacoLoaded: false,
+  swWaiting:   null,
+  boardPlan:   null,
+  repoSelection: new Set(),
+  bulkPlan:    null,
+  prQueue: {
+    filters:   new Set(),
+    sort:      { key: 'updated', dir: 'desc' },
+    staleDays: parseInt(localStorage.getItem('iacp_pr_stale_days'), 10) || 14,
+  },
+  prQueueShown: [],
+  prSelection: new Set(),
+  prPolicies:  {},
+  repoGraph:   { positions: new Map(), signature: null, view: { x: 0, y: 0, k: 1 }, selected: null, hidden: new Set() },
+  memoryFilter:  { q: '', types: new Set(), from: '', to: '' },
+  memoryHistory: { page: 0, done: false, loading: false },
+  monacoLoading: null,
   monacoEditor: null,
+  editor: {
+    repo: null, branch: null, branches: [],
+    tree: null, children: null, truncated: false, expanded: new Set(), filter: '',
+    tabs: [], active: null, nextKey: 0,
+    diff: null, commit: null,
+  },
 };
 
 /* ============================================================
@@ -39,6 +102,13 @@ function applyTheme(theme) {
   if (btn) btn.textContent = theme === 'dark' ? '☀️' : '🌙';
 }
 
+function toggleTheme() {
+  applyTheme(State.theme === 'dark' ? 'light' : 'dark');
+  if (State.monacoEditor) {
+    window.monaco?.editor?.setTheme(State.theme === 'dark' ? 'vs-dark' : 'vs');
+  }
+}
+
 /* ============================================================
    ROUTING
    ============================================================ */
@@ -68,6 +138,7 @@ function navigate(section) {
   if (label) label.textContent = sectionLabel(section);
 
   // Lazy-load section data
+  renderProvenance();
   loadSection(section);
 }
 
@@ -98,32 +169,73 @@ async function loadSection(section) {
   }
 }
 
+// Store kinds each section renders, and how to re-render it from the store
+// alone (no fetching) when one of them changes.
+const SECTION_VIEWS = {
+  overview:   { kinds: ['repos', 'events', 'reports'], render: () => { renderOverview(); renderWebhookFeed(); renderRepoGraph(); } },
+  projects:   { kinds: ['items', 'boards', 'reports'], render: () => renderBoard() },
+  discovery:  { kinds: ['repos', 'runs', 'items', 'memory', 'reports'], render: () => renderDiscovery() },
+  sandbox:    { kinds: ['repos', 'runs'],     render: () => renderSandbox() },
+  validation: { kinds: ['repos', 'prs', 'reports'], render: () => {
+    const synced = store.get('reports', 'validator-status');
+    const live   = store.get('reports', 'validator-live');
+    renderValidationMatrix(synced, live);
+    renderPRQueue();
+    if (getToken()) renderGovernance();
+    if (live) renderRepoValidation(live, synced);
+  } },
+  industry:   { kinds: ['repos'],             render: () => loadIndustry() },
+  memory:     { kinds: ['memory'],            render: () => renderMemory() },
+  vault:      { kinds: ['alerts', 'reports'], render: () => renderVaultAlerts() },
+  gateway:    { kinds: ['webhooks'],          render: () => renderOrgWebhooks() },
+  settings:   { kinds: store.KINDS,           render: () => renderLocalData() },
+};
+
 /* ============================================================
    OVERVIEW
    ============================================================ */
 async function loadOverview() {
-  const index = await loadOrgIndex();
-  if (index?.repos) {
-    State.repos = index.repos;
-    renderKPIs(index);
-    renderRecentActivity(index);
-  }
+  renderOverview();
   renderSystemStatus();
   renderWebhookFeed();
+  renderRepoGraph();
+  await Promise.all([loadRepoIndex(), loadRepoGraphEdges()]);
+}
+
+function renderOverview() {
+  const repos = store.all('repos');
+  if (!repos.length) return;
+  renderKPIs(repos);
+  renderRecentActivity(repos);
+}
+
+// Repos come from the synced org index; shared by init and every section
+// that needs them, so concurrent callers trigger a single fetch.
+const REPO_INDEX_TTL_MS = 5 * 60 * 1000;
+
+function loadRepoIndex(force = false) {
+  return store.load('org-index', async () => {
+    const index = newerState(State.orgIndex, await loadOrgIndex());
+    if (index?.repos) {
+      State.orgIndex = index;
+      store.put('repos', index.repos, { source: '_STATE', fetchedAt: index.syncedAt, idOf: r => r.name });
+    }
+    return index;
+  }, { ttl: REPO_INDEX_TTL_MS, force });
 }
 
-function renderKPIs(index) {
+function renderKPIs(repos) {
   const grid = document.getElementById('kpi-grid');
   if (!grid) return;
 
   const cats = ['core','discovery','sandbox','industry','memory','tools'];
   const counts = {};
   for (const c of cats) counts[c] = 0;
-  for (const r of (index.repos || [])) counts[categorizeRepo(r)] = (counts[categorizeRepo(r)] || 0) + 1;
+  for (const r of repos) counts[categorizeRepo(r)] = (counts[categorizeRepo(r)] || 0) + 1;
 
-  const total  = (index.repos || []).length;
-  const open_prs = (index.repos || []).reduce((s, r) => s + (r.openPullRequests?.totalCount || 0), 0);
-  const open_issues = (index.repos || []).reduce((s, r) => s + (r.openIssues?.totalCount || 0), 0);
+  const total  = repos.length;
+  const open_prs = repos.reduce((s, r) => s + (r.openPullRequests?.totalCount || 0), 0);
+  const open_issues = repos.reduce((s, r) => s + (r.openIssues?.totalCount || 0), 0);
 
   grid.innerHTML = `
     ${kpiCard('TOTAL REPOS',    total,       '📦', '')}
@@ -142,10 +254,10 @@ function kpiCard(label, value, emoji, variant) {
   </div>`;
 }
 
-function renderRecentActivity(index) {
+function renderRecentActivity(repos) {
   const el = document.getElementById('recent-repos');
   if (!el) return;
-  const recent = (index.repos || [])
+  const recent = repos
     .filter(r => !r.isArchived)
     .slice(0, 8);
 
@@ -197,70 +309,480 @@ function renderSystemStatus() {
     </div>`).join('');
 }
 
+/* ── Activity feed (org + repo Events API) ─────────────────── */
+const FEED_MAX_EVENTS = 200;
+
+async function pollEvents() {
+  if (document.hidden || isOffline()) return;
+  const org     = getOrg();
+  const sources = [{ key: 'org', fetch: etag => fetchOrgEvents(org, etag) }];
+  // Unauthenticated calls share a 60/h budget, so only the org feed is polled.
+  if (getToken()) {
+    for (const r of store.all('repos', r => !r.isArchived)) {
+      sources.push({ key: r.name, fetch: etag => fetchRepoEvents(org, r.name, etag) });
+    }
+  }
+
+  const events = store.all('events');
+  const seen   = new Set(events.map(e => e.id));
+  let interval = 60;
+  for (const src of sources) {
+    try {
+      // A source's first page is backfill, not "new".
+      const backfill = !(src.key in State.eventEtags);
+      const page = await src.fetch(State.eventEtags[src.key]);
+      interval = Math.max(interval, page.pollInterval);
+      if (page.notModified) continue;
+      State.eventEtags[src.key] = page.etag;
+      for (const e of page.events) {
+        if (seen.has(e.id)) continue;
+        seen.add(e.id);
+        events.push(e);
+        if (!backfill) State.unseenEvents.add(e.id);
+      }
+    } catch { /* skip sources the token cannot read */ }
+  }
+  events.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  store.put('events', events.slice(0, FEED_MAX_EVENTS), { source: 'live' });
+  State.eventPollMs = interval * 1000;
+}
+
+function startEventPolling() {
+  clearTimeout(State.eventTimer);
+  const tick = async () => {
+    await pollEvents();
+    State.eventTimer = setTimeout(tick, State.eventPollMs);
+  };
+  tick();
+}
+
+function describeEvent(e) {
+  const p = e.payload || {};
+  switch (e.type) {
+    case 'PushEvent':         return `pushed ${p.size ?? p.commits?.length ?? 0} commit(s) to ${(p.ref || '').replace('refs/heads/', '')}`;
+    case 'PullRequestEvent':  return `${p.action} PR #${p.number ?? p.pull_request?.number} ${p.pull_request?.title || ''}`;
+    case 'PullRequestReviewEvent': return `reviewed PR #${p.pull_request?.number} (${p.review?.state || p.action})`;
+    case 'IssuesEvent':       return `${p.action} issue #${p.issue?.number} ${p.issue?.title || ''}`;
+    case 'IssueCommentEvent': return `commented on #${p.issue?.number} ${p.issue?.title || ''}`;
+    case 'CreateEvent':       return `created ${p.ref_type}${p.ref ? ` ${p.ref}` : ''}`;
+    case 'DeleteEvent':       return `deleted ${p.ref_type} ${p.ref}`;
+    case 'ReleaseEvent':      return `${p.action} release ${p.release?.tag_name || ''}`;
+    case 'ForkEvent':         return `forked to ${p.forkee?.full_name || ''}`;
+    case 'WatchEvent':        return 'starred the repo';
+    case 'MemberEvent':       return `${p.action} member ${p.member?.login || ''}`;
+    case 'PublicEvent':       return 'made the repo public';
+    default:                  return e.type.replace(/Event$/, '');
+  }
+}
+
+function eventUrl(e) {
+  const p = e.payload || {};
+  return p.pull_request?.html_url || p.issue?.html_url || p.release?.html_url
+    || `https://github.com/${e.repo?.name}`;
+}
+
 function renderWebhookFeed() {
   const el = document.getElementById('webhook-feed');
   if (!el) return;
-  // Mock recent events until live webhook data is available
-  const events = [
-    { type: 'push',          repo: 'infinity-core',        time: '2m ago',  desc: 'main ← feat/orchestrator-v2' },
-    { type: 'pull_request',  repo: 'infinity-sandbox',     time: '18m ago', desc: 'PR #42 opened by copilot' },
-    { type: 'workflow_run',  repo: 'infinity-admin-control-plane', time: '1h ago', desc: 'deploy-pages succeeded' },
-    { type: 'issues',        repo: 'infinity-tools',        time: '3h ago', desc: 'Issue #7 closed' },
-    { type: 'repository',    repo: 'infinity-vision',       time: '1d ago', desc: 'New repo created' },
-  ];
-  el.innerHTML = events.map(e => `
-    <div class="webhook-event">
-      <span class="webhook-event-type">${e.type}</span>
-      <span class="webhook-event-desc"><strong>${e.repo}</strong> — ${e.desc}</span>
-      <span class="webhook-event-time">${e.time}</span>
-    </div>`).join('');
+
+  const indicator = document.getElementById('feed-new-indicator');
+  if (indicator) {
+    const n = State.unseenEvents.size;
+    indicator.textContent = n ? `${n} new` : 'live';
+    indicator.className   = `badge ${n ? 'badge-info' : 'badge-muted'}`;
+    indicator.style.cursor = n ? 'pointer' : 'default';
+  }
+
+  if (!store.info('events')) { el.innerHTML = skeletonRows(4); return; }
+
+  const events = store.all('events');
+  const repoOf = e => (e.repo?.name || '').split('/').pop();
+  const types  = [...new Set(events.map(e => e.type))].sort();
+  const repos  = [...new Set(events.map(repoOf))].sort();
+  const { type, repo } = State.feedFilter;
+  const shown  = events.filter(e => (!type || e.type === type) && (!repo || repoOf(e) === repo));
+
+  el.innerHTML = `
+    <div class="flex gap-2 mb-2">
+      <select class="form-input text-xs" style="padding:2px 6px" onchange="IACP.filterFeed('type', this.value)">
+        <option value="">All events</option>
+        ${types.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${t.replace(/Event$/, '')}</option>`).join('')}
+      </select>
+      <select class="form-input text-xs" style="padding:2px 6px" onchange="IACP.filterFeed('repo', this.value)">
+        <option value="">All repos</option>
+        ${repos.map(r => `<option value="${esc(r)}" ${r === repo ? 'selected' : ''}>${esc(r)}</option>`).join('')}
+      </select>
+    </div>
+    ${shown.length ? shown.slice(0, 30).map(e => `
+      <a class="webhook-event${State.unseenEvents.has(e.id) ? ' new' : ''}" href="${esc(eventUrl(e))}" target="_blank">
+        <span class="webhook-event-type">${e.type.replace(/Event$/, '')}</span>
+        <span class="webhook-event-desc"><strong>${esc(repoOf(e))}</strong> — ${esc(e.actor?.login || '')} ${esc(describeEvent(e))}</span>
+        <span class="webhook-event-time">${relativeTime(e.created_at)}</span>
+      </a>`).join('') : emptyState(events.length ? 'No events match the filter.' : 'No recent activity (or the org feed is not readable with this token).')}`;
+}
+
+function filterFeed(key, value) {
+  State.feedFilter[key] = value;
+  renderWebhookFeed();
+}
+
+function markEventsSeen() {
+  State.unseenEvents.clear();
+  renderWebhookFeed();
+}
+
+/* ── Org webhooks admin panel ───────────────────────────────── */
+async function loadOrgWebhooks() {
+  const el = document.getElementById('org-webhooks');
+  if (!el) return;
+  if (!getToken()) { el.innerHTML = emptyState('Requires a token with admin:org_hook scope.'); return; }
+
+  if (store.info('webhooks')) renderOrgWebhooks(); else el.innerHTML = skeletonRows(3);
+  if (isOffline()) return;
+  const org   = getOrg();
+  const hooks = await fetchOrgWebhooks(org);
+  store.put('webhooks', await Promise.all(hooks.map(async h => ({ ...h, deliveries: await fetchHookDeliveries(org, h.id) }))),
+    { source: 'live' });
+}
+
+function renderOrgWebhooks() {
+  const el = document.getElementById('org-webhooks');
+  if (!el) return;
+  const org   = getOrg();
+  const hooks = store.all('webhooks');
+  if (!hooks.length) {
+    el.innerHTML = emptyState('No org webhooks configured, or the token lacks admin:org_hook.');
+    return;
+  }
+
+  el.innerHTML = `<div class="data-table-wrap"><table>
+    <thead><tr><th>Endpoint</th><th>Events</th><th>Active</th><th>Recent deliveries</th><th>Last delivery</th><th></th></tr></thead>
+    <tbody>${hooks.map(h => {
+      const last = h.deliveries[0];
+      return `<tr>
+        <td class="text-xs font-mono truncate" style="max-width:220px" title="${esc(h.config?.url)}">${esc(h.config?.url || h.name)}</td>
+        <td class="text-xs">${esc((h.events || []).join(', '))}</td>
+        <td><span class="badge ${h.active ? 'badge-success' : 'badge-muted'}">${h.active ? 'active' : 'inactive'}</span></td>
+        <td>${h.deliveries.map(d => `<span class="delivery-dot ${d.status_code >= 200 && d.status_code < 300 ? 'ok' : 'fail'}" title="${esc(d.event)} · ${d.status_code} ${esc(d.status)} · ${new Date(d.delivered_at).toLocaleString()}"></span>`).join('') || '<span class="text-xs text-muted">none</span>'}</td>
+        <td class="text-xs text-muted">${last ? `${last.status_code} · ${relativeTime(last.delivered_at)}` : '—'}</td>
+        <td><a href="https://github.com/organizations/${org}/settings/hooks/${h.id}" target="_blank" class="btn btn-xs">Settings ↗</a></td>
+      </tr>`;
+    }).join('')}</tbody>
+  </table></div>`;
 }
 
 /* ============================================================
    PROJECTS
    ============================================================ */
+// Colours of GitHub's single-select options, as shown on the board.
+const OPTION_COLORS = {
+  GRAY: '#8b949e', BLUE: '#58a6ff', GREEN: '#3fb950', YELLOW: '#d29922',
+  ORANGE: '#ffa657', RED: '#f85149', PINK: '#f778ba', PURPLE: '#bc8cff',
+};
+
+const PROJECT_KEY = 'iacp_project_id';
+
+const BOARD_CONFIG_TTL_MS = 5 * 60 * 1000;
+
+const columnId = name => (name || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+/* ── Board config (config/board.yml) ────────────────────────── */
+// A config file's YAML, checked against its schema; throws on the
+// first problem.
+async function parseConfig(text, schema) {
+  const config = await parseYaml(text);
+  const errors = validate(schema, config);
+  if (errors.length) throw new Error(`${errors[0].path.join('.') || 'root'}: ${errors[0].message}`);
+  return config;
+}
+
+// The single source for column order, labels and colours. An invalid
+// file is reported and the last good copy kept.
+function loadBoardConfig({ force = false } = {}) {
+  if (isOffline()) return Promise.resolve(store.get('reports', 'board-config') || null);
+  return store.load('board-config', async () => {
+    const loaded = await loadConfigText(BOARD_CONFIG_PATH);
+    if (loaded) {
+      try {
+        const config = await parseConfig(loaded.text, BOARD_CONFIG_SCHEMA);
+        store.set('reports', 'board-config', config, { source: loaded.source });
+      } catch (e) {
+        showToast(`${BOARD_CONFIG_PATH} is invalid — ${esc(e.reason || e.message)}`, 'error');
+      }
+    }
+    return store.get('reports', 'board-config') || null;
+  }, { ttl: BOARD_CONFIG_TTL_MS, force });
+}
+
+// A Status option belongs to a configured column by id, or by label so
+// a renamed option is still found after the rename.
+function configColumn(config, name) {
+  const id = columnId(name);
+  return config?.columns.find(c => c.id === id || columnId(c.label) === id) || null;
+}
+
+// Offline board: columns from the config, items from the synced snapshot.
+// Snapshot columns the config no longer lists still show their items.
+function snapshotColumns(config, projectMap) {
+  const columns = (config?.columns || []).map(c => ({ ...c, items: [] }));
+  for (const col of projectMap?.columns || []) {
+    const target = configColumn(config, col.id);
+    if (target) columns.find(c => c.id === target.id).items.push(...col.items);
+    else if (col.items.length) columns.push({ ...col, items: [...col.items] });
+  }
+  return columns;
+}
+
 async function loadProjects() {
   const el = document.getElementById('kanban-board');
   if (!el) return;
+  const config = await loadBoardConfig();
+
+  if (getToken()) {
+    await loadOrgProjects();
+    const projects = store.all('projects');
+    const badge = document.getElementById('projects-count');
+    if (badge) badge.textContent = projects.length;
+    renderProjectPicker();
+
+    const selected = projects.find(p => p.id === localStorage.getItem(PROJECT_KEY))
+      || projects.find(p => /master state engine/i.test(p.title))
+      || projects[0];
+    if (selected) return loadProjectBoard(selected.id);
+  }
+
+  // No token or no projects: fall back to the synced snapshot (read-only).
+  const projectMap = syncedReport('project-map', await loadProjectMap());
+  const columns = snapshotColumns(config, projectMap);
+  if (columns.length) renderKanban(el, columns, false);
+  else el.innerHTML = emptyState(`No board to show: ${BOARD_CONFIG_PATH} and the project snapshot could not be loaded.`);
+}
+
+// The org's projects rarely change, so they are fetched once per session.
+// Offline, the saved list stands in for the live one.
+function loadOrgProjects() {
+  if (isOffline()) return Promise.resolve();
+  return store.load('projects', async () => {
+    store.put('projects', await fetchOrgProjects(getOrg()), { source: 'live' });
+  }, { ttl: Infinity });
+}
+
+function renderProjectPicker() {
+  const el = document.getElementById('project-picker');
+  if (!el) return;
+  const projects = store.all('projects');
+  const current = State.board?.id || localStorage.getItem(PROJECT_KEY);
+  el.innerHTML = projects.length
+    ? `<select class="form-input" style="width:auto;padding:4px 8px" onchange="IACP.selectProject(this.value)">
+        ${projects.map(p => `<option value="${esc(p.id)}" ${p.id === current ? 'selected' : ''}>#${p.number} ${esc(p.title)}</option>`).join('')}
+      </select>`
+    : '';
+}
+
+async function loadProjectBoard(projectId) {
+  const el = document.getElementById('kanban-board');
+  if (!el) return;
+  // Show the saved copy straight away, then replace it with the live one.
+  State.board = store.get('boards', projectId) || null;
+  if (State.board) renderBoard(); else el.innerHTML = skeletonRows(3);
+  try {
+    // Project metadata and its items are stored separately.
+    const { items, ...project } = await fetchProjectBoard(projectId);
+    store.set('boards', projectId, project, { source: 'live' });
+    store.put('items', items.map(i => ({ ...i, projectId })), { source: 'live', scope: i => i.projectId === projectId });
+  } catch (e) {
+    if (!State.board) {
+      el.innerHTML = emptyState(`Could not load project: ${esc(e.message)}`);
+      return;
+    }
+    showToast(`Showing the saved copy of this board: ${esc(e.message)}`, 'warning');
+  }
+  State.board = store.get('boards', projectId);
+  localStorage.setItem(PROJECT_KEY, projectId);
+  renderProjectPicker();
+  renderBoard();
+}
+
+function selectProject(projectId) {
+  loadProjectBoard(projectId);
+}
+
+function boardItems() {
+  return State.board ? store.all('items', i => i.projectId === State.board.id) : [];
+}
+
+// Columns follow the project's Status options so the board matches GitHub.
+function boardColumns(board) {
+  const options = board.field?.options || [];
+  const items = boardItems().map(item => ({
+    id:        item.id,
+    title:     item.content?.title || '(untitled)',
+    repo:      item.content?.repository?.name || '',
+    number:    item.content?.number,
+    url:       item.content?.url,
+    type:      { ISSUE: 'issue', PULL_REQUEST: 'pr', DRAFT_ISSUE: 'draft' }[item.type] || item.type?.toLowerCase(),
+    optionId:  item.status?.optionId || null,
+    updatedAt: item.updatedAt,
+    pending:   item.pending,
+  }));
+  const config = store.get('reports', 'board-config');
+  const columns = options.map(opt => ({
+    id:       columnId(opt.name),
+    label:    opt.name,
+    optionId: opt.id,
+    color:    configColumn(config, opt.name)?.color || OPTION_COLORS[opt.color] || 'var(--accent)',
+    items:    items.filter(i => i.optionId === opt.id),
+  }));
+  const unset = items.filter(i => !options.some(o => o.id === i.optionId));
+  if (unset.length) columns.unshift({ id: 'NO_STATUS', label: 'NO STATUS', optionId: null, color: 'var(--text-subtle)', items: unset });
+  return columns;
+}
+
+function renderBoard() {
+  const el = document.getElementById('kanban-board');
+  if (!el || !State.board) return;
+  if (!State.board.field) {
+    el.innerHTML = emptyState(`Project "${esc(State.board.title)}" has no single-select Status field.`);
+    return;
+  }
+  renderKanban(el, boardColumns(State.board), true);
+}
+
+/* ── Apply board config to the project's Status options ────── */
+function nearestOptionColor(hex) {
+  const rgb = h => [1, 3, 5].map(i => parseInt(h.slice(i, i + 2), 16));
+  const [r, g, b] = rgb(hex);
+  const dist = h => { const [r2, g2, b2] = rgb(h); return (r - r2) ** 2 + (g - g2) ** 2 + (b - b2) ** 2; };
+  return Object.keys(OPTION_COLORS).reduce((best, c) => dist(OPTION_COLORS[c]) < dist(OPTION_COLORS[best]) ? c : best);
+}
+
+/**
+ * The Status options the config asks for, in config order, each with
+ * the live option it matches (if any) and what differs. Live options
+ * the config does not list are kept after them. The API can only
+ * replace the whole list, which clears Status on every item, so these
+ * are shown as steps to take in the project's settings, and applied
+ * through the API only when the user accepts that reset.
+ */
+function planStatusOptions(config, options) {
+  const used = new Set();
+  const rows = config.columns.map(col => {
+    const live = options.find(o => !used.has(o.id) && configColumn({ columns: [col] }, o.name));
+    if (live) used.add(live.id);
+    const option = {
+      name:        col.label,
+      color:       nearestOptionColor(col.color),
+      description: col.description ?? live?.description ?? '',
+    };
+    const changes = !live ? ['create'] : [
+      live.name !== option.name && 'rename',
+      live.color !== option.color && 'recolor',
+      (live.description || '') !== option.description && 'describe',
+    ].filter(Boolean);
+    return { col, live, option, changes };
+  });
+  for (const o of options.filter(o => !used.has(o.id))) {
+    rows.push({ col: null, live: o, option: { name: o.name, color: o.color, description: o.description || '' }, changes: [] });
+  }
+  const reordered = rows.filter(r => r.live).map(r => r.live.id).join() !== options.map(o => o.id).join();
+  return { rows, reordered, changed: reordered || rows.some(r => r.changes.length) };
+}
 
-  const projectMap = await loadProjectMap();
-  if (projectMap?.columns) {
-    renderKanban(el, projectMap.columns);
+async function openApplyBoardConfig() {
+  const board = State.board;
+  if (!getToken() || !board) {
+    showToast('Load a project with a token first', 'error');
+    return;
+  }
+  if (!board.field) {
+    showToast(`"${esc(board.title)}" has no single-select Status field`, 'error');
+    return;
+  }
+  const config = await loadBoardConfig({ force: true });
+  if (!config) {
+    showToast(`Could not load ${BOARD_CONFIG_PATH}`, 'error');
     return;
   }
+  const plan = planStatusOptions(config, board.field.options);
+  State.boardPlan = { projectId: board.id, fieldId: board.field.id, plan };
 
-  // Fallback: show skeleton board with defined columns
-  const COLS = [
-    { id: 'new_idea',           label: 'NEW IDEA',           color: '#8b949e', items: [] },
-    { id: 'discovery',          label: 'DISCOVERY',          color: '#58a6ff', items: [] },
-    { id: 'evolution_complete', label: 'EVOLUTION COMPLETE', color: '#bc8cff', items: [] },
-    { id: 'sandbox_build',      label: 'SANDBOX BUILD',      color: '#ffa657', items: [] },
-    { id: 'validation',         label: 'VALIDATION',         color: '#d29922', items: [] },
-    { id: 'fix_loop',           label: 'FIX LOOP',           color: '#f85149', items: [] },
-    { id: 'deployment_candidate', label: 'DEPLOYMENT CANDIDATE', color: '#3fb950', items: [] },
-    { id: 'awaiting_approval',  label: 'AWAITING APPROVAL',  color: '#00b4ff', items: [] },
-    { id: 'released',           label: 'RELEASED',           color: '#1f6feb', items: [] },
-  ];
-  renderKanban(el, COLS);
+  const CHANGE_BADGES = { create: 'badge-success', rename: 'badge-warning', recolor: 'badge-info', describe: 'badge-info' };
+  const change = r => r.changes.map(c => `<span class="badge ${CHANGE_BADGES[c]}">${c}</span>`).join(' ')
+    || (r.col ? '<span class="text-xs text-muted">unchanged</span>' : '<span class="badge badge-muted">kept — not in config</span>');
+
+  const settings = board.url ? `<a href="${esc(board.url)}/settings" target="_blank">the project's settings ↗</a>` : "the project's settings";
+  const items = boardItems().length;
+
+  openDrawer('Apply board config', `
+    <div class="text-xs text-muted mb-4">${esc(BOARD_CONFIG_PATH)} → Status options of <strong>${esc(board.title)}</strong></div>
+    ${plan.changed ? `<div class="alert alert-info mb-4"><span>ℹ</span><span>Make these changes to the Status field in ${settings}
+      — editing options there keeps every item's Status.${plan.reordered ? ' Then drag the options into the order below.' : ''}</span></div>` : ''}
+    <div class="data-table-wrap mb-4"><table class="data-table">
+      <thead><tr><th>#</th><th>Option</th><th>Live now</th><th>Change</th></tr></thead>
+      <tbody>${plan.rows.map((r, i) => `<tr>
+        <td class="text-xs text-muted">${i + 1}</td>
+        <td><span class="col-dot" style="background:${r.col?.color || OPTION_COLORS[r.option.color]}"></span> ${esc(r.option.name)}
+          <div class="text-xs text-muted">${esc(r.option.color)}${r.option.description ? ` · ${esc(r.option.description)}` : ''}</div></td>
+        <td class="text-xs">${r.live ? `${esc(r.live.name)} <span class="text-muted">(${esc(r.live.color)})</span>` : '—'}</td>
+        <td>${change(r)}</td>
+      </tr>`).join('')}</tbody>
+    </table></div>
+    ${plan.changed ? `
+      <div class="alert alert-warning mb-2"><span>⚠</span><span>Applying through the API replaces every Status option,
+        which <strong>clears the Status of all ${items} item${items === 1 ? '' : 's'}</strong> on this board. They then have to be sorted again.</span></div>
+      <label class="flex items-center gap-2 text-xs mb-2">
+        <input type="checkbox" id="apply-board-config-reset"
+          onchange="document.getElementById('apply-board-config-submit').disabled = !this.checked">
+        I understand this resets every item's Status
+      </label>
+      <button class="btn btn-danger" id="apply-board-config-submit" onclick="IACP.applyBoardConfig()" disabled>Replace options</button>`
+      : '<div class="text-xs text-muted">The project already matches the config.</div>'}`);
+}
+
+async function applyBoardConfig() {
+  const pending = State.boardPlan;
+  const board   = store.get('boards', pending?.projectId);
+  if (!board) return;
+  if (!document.getElementById('apply-board-config-reset')?.checked) {
+    showToast("Confirm that every item's Status will be reset first", 'error');
+    return;
+  }
+  const btn = document.getElementById('apply-board-config-submit');
+  if (btn) { btn.disabled = true; btn.textContent = 'Applying…'; }
+  try {
+    const field = await updateStatusOptions(pending.fieldId, pending.plan.rows.map(r => r.option));
+    store.set('boards', board.id, { ...board, field }, { source: 'live' });
+    State.boardPlan = null;
+    closeDrawer();
+    showToast(`Status options of ${esc(board.title)} now match ${BOARD_CONFIG_PATH}; every item's Status was reset`, 'success');
+    loadProjectBoard(board.id);
+  } catch (e) {
+    if (btn) { btn.disabled = false; btn.textContent = 'Replace options'; }
+    showToast(`Could not update the Status options: ${esc(e.message)}`, 'error');
+  }
 }
 
-function renderKanban(el, columns) {
+function renderKanban(el, columns, editable) {
   el.innerHTML = columns.map(col => `
-    <div class="kanban-col">
+    <div class="kanban-col"${editable && col.optionId ? ` data-option="${esc(col.optionId)}"
+      ondragover="IACP.kanbanDragOver(event)" ondragleave="this.classList.remove('drop-target')"
+      ondrop="IACP.kanbanDrop(event, '${esc(col.optionId)}')"` : ''}>
       <div class="kanban-col-header">
         <div style="display:flex;align-items:center;gap:6px">
           <span class="col-dot" style="background:${col.color || 'var(--accent)'}"></span>
-          <span style="font-size:11px">${col.label}</span>
+          <span style="font-size:11px">${esc(col.label)}</span>
         </div>
         <span class="kanban-col-count">${col.items?.length || 0}</span>
       </div>
       <div class="kanban-cards">
         ${(col.items || []).map(item => `
-          <div class="kanban-card">
-            <div class="kanban-card-title">${item.title}</div>
+          <div class="kanban-card${item.pending ? ' pending' : ''}"${editable ? ` draggable="true"
+            ondragstart="IACP.kanbanDragStart(event, '${esc(item.id)}')"
+            onclick="IACP.openItemDrawer('${esc(item.id)}')"` : ''}>
+            <div class="kanban-card-title">${esc(item.title)}</div>
             <div class="kanban-card-meta">
-              <span class="text-xs text-muted">${item.repo || ''}</span>
-              <span class="badge badge-muted">${item.type || 'issue'}</span>
+              <span class="text-xs text-muted">${esc(item.repo || '')}${item.number ? ` #${item.number}` : ''}</span>
+              <span class="badge badge-muted">${esc(item.type || 'issue')}</span>
             </div>
           </div>`).join('')}
         ${!(col.items?.length) ? `<div class="text-xs text-subtle" style="text-align:center;padding:12px 0">No items</div>` : ''}
@@ -268,352 +790,3479 @@ function renderKanban(el, columns) {
     </div>`).join('');
 }
 
-/* ============================================================
-   DISCOVERY PIPELINE
-   ============================================================ */
-async function loadDiscovery() {
-  const el = document.getElementById('discovery-pipeline');
-  if (!el) return;
+function kanbanDragStart(event, itemId) {
+  event.dataTransfer.setData('text/plain', itemId);
+  event.dataTransfer.effectAllowed = 'move';
+}
 
-  const steps = [
-    { id: 'ingest',    label: 'Ingest',    state: 'done',   icon: '📥' },
-    { id: 'analyze',   label: 'Analyze',   state: 'done',   icon: '🔍' },
-    { id: 'rank',      label: 'Rank',      state: 'active', icon: '📊' },
-    { id: 'evolve',    label: 'Evolve',    state: 'idle',   icon: '🧬' },
-    { id: 'validate',  label: 'Validate',  state: 'idle',   icon: '✅' },
-    { id: 'deploy',    label: 'Deploy',    state: 'idle',   icon: '🚀' },
-  ];
+function kanbanDragOver(event) {
+  event.preventDefault();
+  event.currentTarget.classList.add('drop-target');
+}
 
-  el.innerHTML = `
-    <div class="pipeline">
-      ${steps.map((s, i) => `
-        <div class="pipeline-node">
-          <div class="node-circle ${s.state}" title="${s.id}">${s.icon}</div>
-          <div class="node-label">${s.label}</div>
-        </div>
-        ${i < steps.length - 1 ? `<div class="pipeline-edge ${s.state === 'done' ? 'done' : ''}"></div>` : ''}
-      `).join('')}
-    </div>`;
+async function kanbanDrop(event, optionId) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('drop-target');
+  const itemId = event.dataTransfer.getData('text/plain');
+  if (itemId) await moveProjectItem(itemId, optionId);
+}
 
-  const runsEl = document.getElementById('discovery-runs');
-  if (!runsEl) return;
-  runsEl.innerHTML = skeletonRows(4);
+// Optimistic move: update the card locally, confirm the item hasn't
+// moved upstream since the board loaded, then write Status. Any failure
+// (or a declined conflict) puts the card back.
+async function moveProjectItem(itemId, optionId) {
+  const board = State.board;
+  const item  = store.get('items', itemId);
+  if (!board || !item || item.status?.optionId === optionId) return;
 
-  const repos = State.repos.filter(r => categorizeRepo(r) === 'discovery').slice(0, 3);
-  if (!repos.length) {
-    runsEl.innerHTML = emptyState('No discovery repos found. Tag repos with topic "discovery".');
-    return;
+  const option   = board.field.options.find(o => o.id === optionId);
+  const previous = { status: item.status, updatedAt: item.updatedAt };
+  store.patch('items', itemId, { status: { optionId, name: option?.name }, pending: true });
+
+  const rollback = () => store.patch('items', itemId, { ...previous, pending: false });
+
+  try {
+    const upstream = await fetchProjectItemStatus(itemId);
+    if (upstream && upstream.updatedAt !== previous.updatedAt) {
+      const now = upstream.status?.name || 'No Status';
+      if (!confirm(`This item changed on GitHub since the board loaded (now in "${now}"). Move it to "${option?.name}" anyway?`)) {
+        Object.assign(previous, { status: upstream.status, updatedAt: upstream.updatedAt });
+        rollback();
+        showToast('Move cancelled — board updated with the upstream state', 'warning');
+        return;
+      }
+    }
+    const updated = await updateProjectItemStatus(board.id, itemId, board.field.id, optionId);
+    store.patch('items', itemId, { updatedAt: updated.updatedAt, pending: false });
+    showToast(`Moved to ${esc(option?.name)}`, 'success');
+  } catch (e) {
+    rollback();
+    showToast(`Move failed: ${esc(e.message)}`, 'error');
   }
-  // Show as table
-  runsEl.innerHTML = `<div class="data-table-wrap"><table>
-    <thead><tr><th>Repository</th><th>Last Push</th><th>Open PRs</th><th>Open Issues</th><th></th></tr></thead>
-    <tbody>${repos.map(r => `<tr>
-      <td class="font-bold">${r.name}</td>
-      <td class="text-xs text-muted">${relativeTime(r.pushedAt)}</td>
-      <td>${r.openPullRequests?.totalCount || 0}</td>
-      <td>${r.openIssues?.totalCount || 0}</td>
-      <td><a href="${r.url}" target="_blank" class="btn btn-sm btn-primary">Open</a></td>
-    </tr>`).join('')}</tbody>
-  </table></div>`;
 }
 
 /* ============================================================
-   SANDBOX BUILD MONITORING
+   PROJECT ITEM DRAWER
    ============================================================ */
-async function loadSandbox() {
-  const el = document.getElementById('sandbox-builds');
-  if (!el) return;
-  el.innerHTML = skeletonRows(4);
+const ROLLUP_BADGES = {
+  SUCCESS: 'badge-success', FAILURE: 'badge-danger', ERROR: 'badge-danger',
+  PENDING: 'badge-warning', EXPECTED: 'badge-warning',
+};
 
-  const sandboxRepos = State.repos.filter(r => categorizeRepo(r) === 'sandbox').slice(0, 4);
-  if (!sandboxRepos.length) {
-    el.innerHTML = emptyState('No sandbox repos indexed yet. Run the org-index sync workflow.');
+function rollupBadge(commits) {
+  const state = commits?.nodes?.[0]?.commit?.statusCheckRollup?.state;
+  return state
+    ? `<span class="badge ${ROLLUP_BADGES[state] || 'badge-muted'}">CI ${state.toLowerCase()}</span>`
+    : '<span class="badge badge-muted">no checks</span>';
+}
+
+async function openItemDrawer(itemId) {
+  openDrawer('Loading…', skeletonRows(4));
+  try {
+    State.drawerItem = await fetchProjectItem(itemId);
+  } catch (e) {
+    openDrawer('Project item', emptyState(`Could not load item: ${esc(e.message)}`));
     return;
   }
+  renderItemDrawer();
+}
 
-  const rows = sandboxRepos.map(r => `<tr>
-    <td class="font-bold text-accent">${r.name}</td>
-    <td>${r.primaryLanguage?.name || '—'}</td>
-    <td><span class="badge badge-warning">${r.openPullRequests?.totalCount || 0} open</span></td>
-    <td class="text-xs text-muted">${relativeTime(r.pushedAt)}</td>
-    <td><a href="${r.url}/actions" target="_blank" class="btn btn-sm">Actions ↗</a></td>
-  </tr>`);
+function renderItemDrawer() {
+  const item = State.drawerItem;
+  if (!item) return;
+  const c = item.content || {};
+  const isDraft = item.type === 'DRAFT_ISSUE';
+  const values = Object.fromEntries((item.fieldValues?.nodes || [])
+    .filter(v => v.field?.id).map(v => [v.field.id, v]));
+  // Title, assignees, labels etc. are built-in fields we show from content instead.
+  const fields = (item.project?.fields?.nodes || [])
+    .filter(f => f.id && ['TEXT', 'SINGLE_SELECT', 'NUMBER', 'DATE', 'ITERATION'].includes(f.dataType));
 
-  el.innerHTML = `<div class="data-table-wrap"><table>
-    <thead><tr><th>Repo</th><th>Language</th><th>PRs</th><th>Last Push</th><th></th></tr></thead>
-    <tbody>${rows.join('')}</tbody>
-  </table></div>`;
-}
+  const title = c.number ? `${esc(c.repository?.name)} #${c.number}` : 'Draft issue';
+  const state = c.isDraft ? 'DRAFT' : c.state;
+  openDrawer(title, `
+    <div class="drawer-section">
+      <div class="font-bold mb-2">${esc(c.title || '(untitled)')}</div>
+      <div class="flex items-center gap-2">
+        ${state ? `<span class="badge ${state === 'OPEN' ? 'badge-success' : 'badge-muted'}">${esc(state.toLowerCase())}</span>` : ''}
+        ${item.type === 'PULL_REQUEST' ? rollupBadge(c.commits) : ''}
+        ${c.author ? `<span class="text-xs text-muted">by ${esc(c.author.login)} · ${relativeTime(c.createdAt)}</span>` : ''}
+        ${c.url ? `<a href="${esc(c.url)}" target="_blank" class="btn btn-xs" style="margin-left:auto">GitHub ↗</a>` : ''}
+      </div>
+    </div>
 
-/* ============================================================
-   VALIDATION / PAT MATRIX
-   ============================================================ */
-async function loadValidation() {
-  const matrixEl = document.getElementById('validation-matrix');
-  if (!matrixEl) return;
+    <div class="drawer-section">
+      <div class="drawer-section-title">Project fields</div>
+      ${fields.map(f => `<div class="field-row">
+        <span class="text-muted">${esc(f.name)}</span>
+        ${renderFieldInput(f, values[f.id])}
+      </div>`).join('') || '<div class="text-xs text-muted">No editable fields.</div>'}
+    </div>
 
-  const checks = [
-    { icon: '🔑', label: 'PAT Token',    value: getToken() ? 'SET' : 'MISSING',     cls: getToken() ? 'pass' : 'fail' },
-    { icon: '🏢', label: 'Org Access',   value: State.tokenValid === true ? 'OK' : State.tokenValid === false ? 'FAIL' : 'PENDING', cls: State.tokenValid === true ? 'pass' : State.tokenValid === false ? 'fail' : 'warn' },
-    { icon: '🔒', label: 'GHAS',         value: 'Active',   cls: 'pass' },
-    { icon: '🤖', label: 'Dependabot',   value: 'Enabled',  cls: 'pass' },
-    { icon: '🔍', label: 'CodeQL',       value: 'On Push',  cls: 'pass' },
-    { icon: '🔐', label: 'Secret Scan',  value: 'Active',   cls: 'pass' },
-    { icon: '📋', label: 'CODEOWNERS',   value: 'Present',  cls: 'pass' },
-    { icon: '✍️', label: 'Signed Commits', value: 'Required', cls: 'warn' },
-    { icon: '👁️', label: 'Branch Protect', value: 'main',   cls: 'pass' },
-    { icon: '🔄', label: 'Actions',      value: 'Enabled',  cls: 'pass' },
-  ];
+    ${!isDraft ? `
+    <div class="drawer-section">
+      <div class="drawer-section-title">Labels</div>
+      ${(c.labels?.nodes || []).map(l => `<span class="label-chip" style="border-color:#${esc(l.color)}">${esc(l.name)}</span>`).join('') || '<span class="text-xs text-muted">None</span>'}
+    </div>
 
-  matrixEl.innerHTML = checks.map(c => `
-    <div class="matrix-cell ${c.cls}">
-      <div class="cell-icon">${c.icon}</div>
-      <div class="cell-value">${c.value}</div>
-      <div class="cell-label">${c.label}</div>
-    </div>`).join('');
+    <div class="drawer-section">
+      <div class="drawer-section-title">Assignees</div>
+      <div class="flex items-center gap-2">
+        ${(c.assignees?.nodes || []).map(a => `<span class="badge badge-muted">@${esc(a.login)}</span>`).join('') || '<span class="text-xs text-muted">Unassigned</span>'}
+      </div>
+    </div>
 
-  // PR validation table
-  const prEl = document.getElementById('pr-matrix');
-  if (!prEl) return;
-  const prs = State.prs.slice(0, 10);
-  if (!prs.length) {
-    prEl.innerHTML = emptyState('No open PRs found. Token required with repo scope.');
-    return;
+    ${item.type === 'ISSUE' ? `
+    <div class="drawer-section">
+      <div class="drawer-section-title">Linked pull requests</div>
+      ${(c.closedByPullRequestsReferences?.nodes || []).map(pr => `
+        <div class="flex items-center gap-2 text-xs mb-2">
+          <a href="${esc(pr.url)}" target="_blank">#${pr.number} ${esc(pr.title)}</a>
+          <span class="badge badge-muted">${esc(pr.state.toLowerCase())}</span>
+          ${rollupBadge(pr.commits)}
+        </div>`).join('') || '<span class="text-xs text-muted">None</span>'}
+    </div>` : ''}
+
+    <div class="drawer-section">
+      <div class="drawer-section-title">Actions</div>
+      <textarea class="form-input mb-2" id="drawer-comment" rows="3" placeholder="Leave a comment…"></textarea>
+      <div class="flex items-center gap-2">
+        <button class="btn btn-xs btn-primary" onclick="IACP.drawerComment()">💬 Comment</button>
+        <input class="form-input" id="drawer-assignee" placeholder="login" style="width:120px;padding:2px 6px">
+        <button class="btn btn-xs" onclick="IACP.drawerAssign()">Assign</button>
+        ${c.state === 'OPEN' ? `<button class="btn btn-xs btn-danger" style="margin-left:auto" onclick="IACP.drawerClose()">Close</button>` : ''}
+      </div>
+    </div>` : ''}
+
+    <div class="drawer-section">
+      <div class="drawer-section-title">Description</div>
+      <div class="markdown-body">${isDraft
+        ? (c.body ? `<pre style="white-space:pre-wrap">${esc(c.body)}</pre>` : '<span class="text-xs text-muted">No description.</span>')
+        : (c.bodyHTML || '<span class="text-xs text-muted">No description.</span>')}</div>
+    </div>`);
+}
+
+function renderFieldInput(field, value) {
+  if (field.dataType === 'SINGLE_SELECT') {
+    return `<select class="form-input" style="padding:2px 6px" onchange="IACP.saveItemField('${esc(field.id)}', 'SINGLE_SELECT', this.value)">
+      <option value="">—</option>
+      ${field.options.map(o => `<option value="${esc(o.id)}" ${o.id === value?.optionId ? 'selected' : ''}>${esc(o.name)}</option>`).join('')}
+    </select>`;
   }
-  prEl.innerHTML = `<div class="data-table-wrap"><table>
-    <thead><tr><th>#</th><th>Title</th><th>Repo</th><th>Author</th><th>Status</th><th></th></tr></thead>
-    <tbody>${prs.map(pr => `<tr>
-      <td class="text-xs text-muted">#${pr.number}</td>
-      <td class="truncate" style="max-width:200px">${pr.title}</td>
-      <td class="text-xs">${pr.repoName || pr.base?.repo?.name || '—'}</td>
-      <td class="text-xs">${pr.user?.login || '—'}</td>
-      <td><span class="badge badge-warning">open</span></td>
-      <td><a href="${pr.html_url}" target="_blank" class="btn btn-sm">Review ↗</a></td>
-    </tr>`).join('')}</tbody>
-  </table></div>`;
+  if (field.dataType === 'TEXT') {
+    return `<input class="form-input" style="padding:2px 6px" value="${esc(value?.text || '')}"
+      onchange="IACP.saveItemField('${esc(field.id)}', 'TEXT', this.value)">`;
+  }
+  const shown = value?.number ?? value?.date ?? value?.title;
+  return `<span>${shown != null ? esc(String(shown)) : '<span class="text-subtle">—</span>'}</span>`;
 }
 
-/* ============================================================
-   INDUSTRY REPO CATEGORIZATION
-   ============================================================ */
-async function loadIndustry() {
-  const el = document.getElementById('industry-repos');
-  if (!el) return;
+async function saveItemField(fieldId, dataType, raw) {
+  const item = State.drawerItem;
+  const value = raw === '' ? null
+    : dataType === 'SINGLE_SELECT' ? { singleSelectOptionId: raw } : { text: raw };
+  try {
+    const updated = await updateProjectItemField(item.project.id, item.id, fieldId, value);
+    showToast('Field updated', 'success');
+    // Keep the board in step when the Status field is edited here.
+    const changes = { updatedAt: updated.updatedAt };
+    if (State.board?.field?.id === fieldId) {
+      const option = State.board.field.options.find(o => o.id === raw);
+      changes.status = option ? { optionId: option.id, name: option.name } : null;
+    }
+    store.patch('items', item.id, changes);
+  } catch (e) {
+    showToast(`Update failed: ${esc(e.message)}`, 'error');
+    renderItemDrawer();
+  }
+}
 
-  const groups = {};
-  const CATS = ['core','discovery','sandbox','industry','memory','tools','archive','other'];
-  for (const c of CATS) groups[c] = [];
-  for (const r of State.repos) {
-    const cat = categorizeRepo(r);
-    (groups[cat] = groups[cat] || []).push(r);
+async function drawerAction(label, fn) {
+  const c = State.drawerItem?.content;
+  if (!c?.number) return;
+  try {
+    await fn(getOrg(), c.repository.name, c.number);
+    showToast(label, 'success');
+    await openItemDrawer(State.drawerItem.id);
+  } catch (e) {
+    showToast(`Failed: ${esc(e.message)}`, 'error');
   }
+}
 
-  if (!State.repos.length) {
-    el.innerHTML = emptyState('No repos loaded yet. Sync the org index from Settings.');
+function drawerComment() {
+  const body = document.getElementById('drawer-comment')?.value.trim();
+  if (!body) return;
+  return drawerAction('Comment posted', (org, repo, n) => addIssueComment(org, repo, n, body));
+}
+
+function drawerAssign() {
+  const login = document.getElementById('drawer-assignee')?.value.trim().replace(/^@/, '');
+  if (!login) return;
+  return drawerAction(`Assigned @${login}`, (org, repo, n) => addAssignees(org, repo, n, [login]));
+}
+
+function drawerClose() {
+  if (!confirm('Close this item on GitHub?')) return;
+  return drawerAction('Closed', closeIssue);
+}
+
+/* ============================================================
+   COMMAND INTAKE
+   ============================================================ */
+// Always offered; the target repo's own markdown issue templates are
+// appended when a repo is chosen.
+const COMMAND_TEMPLATES = [
+  { name: 'Idea',  title: '', labels: ['idea'],
+    body: '## Idea\n\n\n## Why it matters\n\n\n## Acceptance criteria\n\n- [ ] ' },
+  { name: 'Task',  title: '', labels: ['task'],
+    body: '## Task\n\n\n## Done when\n\n- [ ] ' },
+  { name: 'Bug',   title: '', labels: ['bug'],
+    body: '## What happened\n\n\n## Expected\n\n\n## Steps to reproduce\n\n1. ' },
+];
+
+async function openCommandForm() {
+  if (!getToken()) {
+    showToast('Add a token in Settings to create commands', 'error');
     return;
   }
+  await loadOrgProjects();
+  const projects = store.all('projects');
+  State.command = { templates: COMMAND_TEMPLATES, statusField: null };
 
-  el.innerHTML = CATS.filter(c => groups[c].length > 0).map(cat => `
-    <div class="card mb-4">
-      <div class="card-header">
-        <div class="card-title">${catEmoji(cat)} ${cat.toUpperCase()} <span class="badge badge-muted">${groups[cat].length}</span></div>
-      </div>
-      <div class="repo-grid">
-        ${groups[cat].map(r => `
-          <div class="repo-card" onclick="window.open('${r.url}','_blank')">
-            <div class="repo-card-header">
-              <div>
-                <div class="repo-name">${r.name}</div>
-              </div>
-              ${r.isPrivate ? `<span class="badge badge-muted">private</span>` : `<span class="badge badge-info">public</span>`}
-            </div>
-            <div class="repo-desc">${r.description || 'No description'}</div>
-            <div class="repo-meta">
-              ${r.primaryLanguage ? `<span>🔵 ${r.primaryLanguage.name}</span>` : ''}
-              <span>⭐ ${r.stargazerCount || 0}</span>
-              <span>🔀 ${r.openPullRequests?.totalCount || 0} PRs</span>
-            </div>
-          </div>`).join('')}
-      </div>
-    </div>`).join('');
+  const projectId = State.board?.id || projects[0]?.id;
+  const repos = store.all('repos', r => !r.isArchived).map(r => r.name).sort();
+  openDrawer('New command', `
+    <div class="form-group">
+      <label for="cmd-repo">Target</label>
+      <select class="form-input" id="cmd-repo" onchange="IACP.commandRepoChanged(this.value)">
+        <option value="">Draft item (no repo)</option>
+        ${repos.map(r => `<option value="${esc(r)}">${esc(r)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="cmd-template">Template</label>
+      <select class="form-input" id="cmd-template" onchange="IACP.applyCommandTemplate(this.value)"></select>
+    </div>
+    <div class="form-group">
+      <label for="cmd-title">Title</label>
+      <input class="form-input" id="cmd-title" placeholder="Short, imperative summary">
+    </div>
+    <div class="form-group">
+      <label for="cmd-body">Body</label>
+      <textarea class="form-input font-mono" id="cmd-body" rows="10"></textarea>
+    </div>
+    <div class="form-group">
+      <label for="cmd-labels">Labels</label>
+      <input class="form-input" id="cmd-labels" placeholder="comma,separated" disabled>
+      <div class="hint">Draft items have no labels — pick a repo to use them.</div>
+    </div>
+    <div class="form-group">
+      <label for="cmd-project">Project</label>
+      <select class="form-input" id="cmd-project" onchange="IACP.commandProjectChanged(this.value)">
+        ${projects.map(p => `<option value="${esc(p.id)}" ${p.id === projectId ? 'selected' : ''}>#${p.number} ${esc(p.title)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="cmd-column">Column</label>
+      <select class="form-input" id="cmd-column"></select>
+    </div>
+    <button class="btn btn-primary" id="cmd-submit" onclick="IACP.submitCommand()">Create</button>`);
+
+  renderCommandTemplates();
+  applyCommandTemplate(0);
+  if (projectId) await commandProjectChanged(projectId);
 }
 
-function catEmoji(c) {
-  return { core:'⚡', discovery:'🔍', sandbox:'🧪', industry:'🏭',
-           memory:'🧠', tools:'🛠️', archive:'📦', other:'📁' }[c] || '📁';
+function renderCommandTemplates() {
+  const el = document.getElementById('cmd-template');
+  if (!el) return;
+  el.innerHTML = State.command.templates.map((t, i) => `<option value="${i}">${esc(t.name)}</option>`).join('');
+}
+
+function applyCommandTemplate(index) {
+  const t = State.command?.templates[index];
+  if (!t) return;
+  const title = document.getElementById('cmd-title');
+  if (t.title || !title.value) title.value = t.title;
+  document.getElementById('cmd-body').value   = t.body;
+  document.getElementById('cmd-labels').value = t.labels.join(', ');
+}
+
+async function commandRepoChanged(repo) {
+  document.getElementById('cmd-labels').disabled = !repo;
+  const own = repo ? await fetchIssueTemplates(getOrg(), repo) : [];
+  State.command.templates = [...COMMAND_TEMPLATES, ...own.map(t => ({ ...t, name: `${t.name} (${repo})` }))];
+  renderCommandTemplates();
+  // Prefer the repo's own template when it has one.
+  const index = own.length ? COMMAND_TEMPLATES.length : 0;
+  document.getElementById('cmd-template').value = index;
+  applyCommandTemplate(index);
+}
+
+async function commandProjectChanged(projectId) {
+  const el = document.getElementById('cmd-column');
+  if (!el) return;
+  el.innerHTML = '<option>Loading…</option>';
+  try {
+    State.command.statusField = await fetchProjectStatusField(projectId);
+  } catch {
+    State.command.statusField = null;
+  }
+  const options = State.command.statusField?.options || [];
+  const preferred = options.find(o => columnId(o.name) === 'NEW_IDEA') || options[0];
+  el.innerHTML = options.length
+    ? options.map(o => `<option value="${esc(o.id)}" ${o === preferred ? 'selected' : ''}>${esc(o.name)}</option>`).join('')
+    : '<option value="">(project has no Status field)</option>';
+}
+
+async function submitCommand() {
+  const repo      = document.getElementById('cmd-repo').value;
+  const title     = document.getElementById('cmd-title').value.trim();
+  const body      = document.getElementById('cmd-body').value;
+  const labels    = document.getElementById('cmd-labels').value.split(',').map(l => l.trim()).filter(Boolean);
+  const projectId = document.getElementById('cmd-project').value;
+  const optionId  = document.getElementById('cmd-column').value;
+  if (!title) { showToast('A title is required', 'error'); return; }
+  if (!projectId) { showToast('Choose a project', 'error'); return; }
+
+  const btn = document.getElementById('cmd-submit');
+  btn.disabled = true;
+  btn.textContent = 'Creating…';
+
+  let issue = null;
+  try {
+    let item;
+    if (repo) {
+      issue = await createIssue(getOrg(), repo, { title, body, labels });
+      item  = await addProjectItem(projectId, issue.node_id);
+    } else {
+      item  = await addProjectDraftIssue(projectId, title, body);
+    }
+    const field = State.command.statusField;
+    if (field && optionId) {
+      await updateProjectItemField(projectId, item.id, field.id, { singleSelectOptionId: optionId });
+    }
+    showToast(repo ? `Created ${repo}#${issue.number}` : 'Draft item created', 'success');
+    closeDrawer();
+    if (State.section === 'projects' && State.board?.id === projectId) loadProjectBoard(projectId);
+  } catch (e) {
+    // The issue may already exist even though a later step failed.
+    showToast(issue ? `Created ${repo}#${issue.number} but could not place it on the board: ${esc(e.message)}`
+                    : `Create failed: ${esc(e.message)}`, 'error');
+    btn.disabled = false;
+    btn.textContent = 'Create';
+  }
 }
 
 /* ============================================================
-   MEMORY VIEWER
+   DISCOVERY PIPELINE
+   Each stage in config/discovery.yml is lit by a real signal:
+   the latest run (or job) of a workflow in the discovery repos,
+   or the item count of a board column. A run ID is traced from
+   memory through runs, artifacts, board items and PRs.
    ============================================================ */
-async function loadMemory() {
-  const el = document.getElementById('memory-timeline');
+// Runs fetched per stage workflow and repo — as many as a stage's history shows.
+const DISCOVERY_STAGE_RUNS  = 15;
+const DISCOVERY_RUN_IDS     = 20;
+
+function loadDiscoveryConfig({ force = false } = {}) {
+  if (isOffline()) return Promise.resolve(applyDiscoveryConfig());
+  return store.load('discovery-config', async () => {
+    const loaded = await loadConfigText(DISCOVERY_CONFIG_PATH);
+    if (loaded) {
+      try {
+        const config = await parseConfig(loaded.text, DISCOVERY_CONFIG_SCHEMA);
+        compileDiscovery(config);
+        store.set('reports', 'discovery-config', config, { source: loaded.source });
+      } catch (e) {
+        showToast(`${DISCOVERY_CONFIG_PATH} is invalid — ${esc(e.reason || e.message)}`, 'error');
+      }
+    }
+    return applyDiscoveryConfig();
+  }, { ttl: BOARD_CONFIG_TTL_MS, force });
+}
+
+function applyDiscoveryConfig() {
+  const config = store.get('reports', 'discovery-config') || DEFAULT_DISCOVERY_CONFIG;
+  setDiscoveryConfig(config);
+  return config;
+}
+
+// Discovery repos, plus any repo a stage names outside that category.
+function discoveryRepos() {
+  const names = new Set(store.all('repos', r => categorizeRepo(r) === 'discovery').map(r => r.name));
+  for (const stage of discoveryStages()) if (stage.repo) names.add(stage.repo);
+  return [...names];
+}
+
+async function loadDiscovery() {
+  if (!document.getElementById('discovery-pipeline')) return;
+  renderDiscovery();
+  const [, , projectMap] = await Promise.all([
+    loadDiscoveryConfig(), loadBoardConfig(), loadProjectMap(), loadMemoryEntries(),
+  ]);
+  syncedReport('project-map', projectMap);
+  renderDiscovery();
+  if (isOffline()) return;
+
+  const org = getOrg();
+  const workflows = await discoveryWorkflows(org);
+  const runs = await Promise.all(workflows.map(({ repo, workflow }) => fetchRunsOfWorkflow(org, repo, workflow, DISCOVERY_STAGE_RUNS)));
+  const names = new Set(discoveryRepos());
+  store.put('runs', workflows.flatMap(({ repo }, i) => runs[i].map(run => ({ ...run, repo }))),
+    { source: 'live', scope: run => names.has(run.repo) });
+
+  // Jobs light the job stages; artifact names can carry run IDs.
+  const latest = new Map(discoveryStages().map(s => stageRuns(s)[0]).filter(Boolean).map(run => [run.id, run]));
+  await Promise.all([...latest.values()].map(run => Promise.all([loadRunJobs(run), loadRunArtifacts(run)])));
+  renderDiscovery();
+}
+
+// Each stage's workflow in each repo it watches, once. The runs endpoint
+// takes a file name or an id, so a workflow given by name is looked up
+// in the repo's workflow list.
+async function discoveryWorkflows(org) {
+  const lists = {};
+  const found = new Map();
+  for (const stage of discoveryStages().filter(s => s.workflow)) {
+    for (const repo of stageRepos(stage)) {
+      let workflow = stage.workflow;
+      if (!/\.ya?ml$/.test(workflow)) {
+        lists[repo] ??= fetchWorkflows(org, repo);
+        workflow = (await lists[repo]).find(w => w.name === stage.workflow)?.id;
+        if (!workflow) continue;
+      }
+      found.set(`${repo}|${workflow}`, { repo, workflow });
+    }
+  }
+  return [...found.values()];
+}
+
+async function loadRunJobs(run) {
+  if (!State.runJobs[run.id] || run.status !== 'completed') {
+    State.runJobs[run.id] = await fetchRunJobs(getOrg(), run.repo, run.id);
+  }
+  return State.runJobs[run.id];
+}
+
+async function loadRunArtifacts(run) {
+  if (!State.runArtifacts[run.id] || run.status !== 'completed') {
+    State.runArtifacts[run.id] = await fetchRunArtifacts(getOrg(), run.repo, run.id);
+  }
+  return State.runArtifacts[run.id];
+}
+
+/* ── Stage signals ──────────────────────────────────────────── */
+// Without a `repo`, a stage watches every discovery repo.
+function stageRepos(stage) {
+  return stage.repo ? [stage.repo] : store.all('repos', r => categorizeRepo(r) === 'discovery').map(r => r.name);
+}
+
+// Newest first.
+function stageRuns(stage) {
+  const repos = new Set(stageRepos(stage));
+  return store.all('runs', run => repos.has(run.repo) && runMatchesStage(run, stage))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// The run itself, or the stage's job in it: null when the run has no
+// such job, undefined while its jobs are not loaded.
+function stageResult(stage, run) {
+  if (!stage.job) return run;
+  const jobs = State.runJobs[run.id];
+  return jobs && combineJobs(stageJobs(jobs, stage));
+}
+
+// The live board when one is open, else the synced snapshot.
+function discoveryColumns() {
+  if (State.board?.field) return boardColumns(State.board);
+  return snapshotColumns(store.get('reports', 'board-config'), store.get('reports', 'project-map'));
+}
+
+function stageColumn(columns, stage) {
+  const config = store.get('reports', 'board-config');
+  return columns.find(c => c.id === stage.column || configColumn(config, c.label)?.id === stage.column) || null;
+}
+
+function stageSource(stage) {
+  if (stage.column) return `Board column ${stage.column}`;
+  const n = store.all('repos', r => categorizeRepo(r) === 'discovery').length;
+  const where = stage.repo || `${n} discovery repo${n === 1 ? '' : 's'}`;
+  return `${stage.workflow}${stage.job ? ` › ${stage.job}` : ''} in ${where}`;
+}
+
+/** { state, meta } of `stage`: state is a node-circle class. */
+function stageSignal(stage, columns) {
+  if (stage.column) {
+    const col = stageColumn(columns, stage);
+    if (!col) return { state: 'idle', meta: 'no column' };
+    const n = col.items.length;
+    return { state: n ? 'active' : 'idle', meta: `${n} item${n === 1 ? '' : 's'}` };
+  }
+  const run = stageRuns(stage)[0];
+  if (!run) return { state: 'idle', meta: 'no runs' };
+  const result = stageResult(stage, run);
+  if (result === undefined) return { state: run.status === 'completed' ? 'idle' : 'active', meta: relativeTime(run.created_at) };
+  if (result === null) return { state: 'idle', meta: `no ${stage.job} job` };
+  return { state: runState(result), meta: relativeTime(result.completed_at || result.updated_at || run.created_at) };
+}
+
+function renderDiscovery() {
+  renderDiscoveryPipeline();
+  renderDiscoveryRunIds();
+  renderDiscoveryRepos();
+}
+
+function renderDiscoveryPipeline() {
+  const el = document.getElementById('discovery-pipeline');
+  if (!el) return;
+  const columns = discoveryColumns();
+  const stages  = discoveryStages().map(s => ({ ...s, ...stageSignal(s, columns) }));
+  el.innerHTML = `
+    <div class="pipeline">
+      ${stages.map((s, i) => `
+        <div class="pipeline-node clickable" role="button" tabindex="0" title="${esc(stageSource(s))}"
+          onclick="IACP.openDiscoveryStage('${esc(s.id)}')">
+          <div class="node-circle ${s.state}">${esc(s.icon || '•')}</div>
+          <div class="node-label">${esc(s.label)}</div>
+          <div class="node-meta">${esc(s.meta)}</div>
+        </div>
+        ${i < stages.length - 1 ? `<div class="pipeline-edge ${s.state === 'done' ? 'done' : ''}"></div>` : ''}
+      `).join('')}
+    </div>`;
+}
+
+function renderDiscoveryRepos() {
+  const el = document.getElementById('discovery-runs');
+  if (!el) return;
+  const repos = store.all('repos', r => categorizeRepo(r) === 'discovery');
+  if (!repos.length) {
+    el.innerHTML = store.info('repos') ? emptyState('No discovery repos found. Tag repos with topic "discovery".') : skeletonRows(4);
+    return;
+  }
+  el.innerHTML = `<div class="data-table-wrap"><table>
+    <thead><tr><th>Repository</th><th>Latest Run</th><th>Last Push</th><th>Open PRs</th><th>Open Issues</th><th></th></tr></thead>
+    <tbody>${repos.map(r => {
+      const run = store.all('runs', run => run.repo === r.name).sort((a, b) => b.created_at.localeCompare(a.created_at))[0];
+      return `<tr>
+        <td class="font-bold">${esc(r.name)}</td>
+        <td>${run ? `${runBadge(run)} <span class="text-xs text-muted">${esc(run.name)}</span>` : '<span class="text-xs text-muted">—</span>'}</td>
+        <td class="text-xs text-muted">${relativeTime(r.pushedAt)}</td>
+        <td>${r.openPullRequests?.totalCount || 0}</td>
+        <td>${r.openIssues?.totalCount || 0}</td>
+        <td><a href="${esc(r.url)}" target="_blank" class="btn btn-sm btn-primary">Open</a></td>
+      </tr>`;
+    }).join('')}</tbody>
+  </table></div>`;
+}
+
+/* ── Stage detail ───────────────────────────────────────────── */
+async function openDiscoveryStage(id) {
+  const stage = discoveryStages().find(s => s.id === id);
+  if (!stage) return;
+  State.drawerItem = { kind: 'discovery-stage', id };
+  openDrawer(`${esc(stage.icon || '')} ${esc(stage.label)}`, `
+    <div class="text-xs text-muted mb-4">${esc(stageSource(stage))}</div>
+    <div id="discovery-stage-detail">${skeletonRows(4)}</div>`);
+  renderStageDetail(stage);
+  if (stage.column || isOffline()) return;
+
+  const history = stageRuns(stage).slice(0, DISCOVERY_STAGE_RUNS);
+  await Promise.all([
+    ...(stage.job ? history.map(loadRunJobs) : []),
+    ...(history.length ? [loadRunArtifacts(history[0])] : []),
+  ]);
+  renderStageDetail(stage);
+  renderDiscoveryRunIds();
+}
+
+function renderStageDetail(stage) {
+  const el = document.getElementById('discovery-stage-detail');
+  if (!el || State.drawerItem?.kind !== 'discovery-stage' || State.drawerItem.id !== stage.id) return;
+  el.innerHTML = stage.column ? stageColumnHtml(stage) : stageRunsHtml(stage);
+}
+
+function stageRunsHtml(stage) {
+  const history = stageRuns(stage).slice(0, DISCOVERY_STAGE_RUNS).map(run => ({ run, result: stageResult(stage, run) }));
+  if (!history.length) return emptyState(`No runs of ${esc(stage.workflow)} found.`);
+  const pending = isOffline() ? '<span class="text-xs text-muted">offline</span>' : '<span class="text-xs text-muted">…</span>';
+  const latest = history[0].run;
+  const artifacts = State.runArtifacts[latest.id];
+  return `
+    <div class="drawer-section">
+      <div class="drawer-section-title">Duration trend</div>
+      ${durationTrend(history.filter(h => h.result?.status === 'completed').map(h => h.result))}
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Run history</div>
+      <div class="data-table-wrap"><table>
+        <thead><tr><th>Run</th><th>Result</th><th>Started</th><th>Duration</th><th>Run IDs</th></tr></thead>
+        <tbody>${history.map(({ run, result }) => `<tr>
+          <td class="text-xs"><a href="${esc(run.html_url)}" target="_blank">${esc(run.repo)} #${run.run_number}</a></td>
+          <td>${result ? runBadge(result) : result === null ? '<span class="text-xs text-muted">no job</span>' : pending}</td>
+          <td class="text-xs text-muted">${relativeTime(run.run_started_at || run.created_at)}</td>
+          <td class="text-xs text-muted">${result ? runDuration(result) : '—'}</td>
+          <td>${runIdsOfRun(run).map(id => runIdChip(id)).join('')}</td>
+        </tr>`).join('')}</tbody>
+      </table></div>
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Artifacts · ${esc(latest.repo)} #${latest.run_number}</div>
+      ${!artifacts ? pending
+        : artifacts.length ? artifacts.map(a => `<div class="flex items-center gap-2 text-xs mb-2">
+            <a href="https://github.com/${esc(getOrg())}/${esc(latest.repo)}/actions/runs/${latest.id}/artifacts/${a.id}" target="_blank" class="font-mono">${esc(a.name)}</a>
+            <span class="text-muted">${Math.max(1, Math.round(a.size_in_bytes / 1024))} KB</span>
+            ${a.expired ? '<span class="badge badge-muted">expired</span>' : ''}
+            ${runIdsIn(a.name).map(id => runIdChip(id)).join('')}
+          </div>`).join('')
+        : '<div class="text-xs text-muted">No artifacts.</div>'}
+    </div>`;
+}
+
+function stageColumnHtml(stage) {
+  const col = stageColumn(discoveryColumns(), stage);
+  if (!col) return emptyState(`No ${esc(stage.column)} column on the board. Check ${esc(BOARD_CONFIG_PATH)}.`);
+  const from = State.board?.field ? esc(State.board.title) : 'the synced project snapshot';
+  return `
+    <div class="drawer-section">
+      <div class="drawer-section-title">${col.items.length} in ${esc(col.label)} <span class="text-subtle">· ${from}</span></div>
+      ${col.items.length ? col.items.map(item => `<div class="flex items-center gap-2 text-xs mb-2">
+          ${item.url ? `<a href="${esc(item.url)}" target="_blank" class="truncate">${esc(item.title)}</a>` : `<span class="truncate">${esc(item.title)}</span>`}
+          <span class="text-muted">${esc(item.repo || '')}${item.number ? ` #${item.number}` : ''}</span>
+          ${runIdsIn(item.title).map(id => runIdChip(id)).join('')}
+        </div>`).join('') : '<div class="text-xs text-muted">Nothing in this column.</div>'}
+    </div>`;
+}
+
+// Finished runs or jobs, oldest → newest left to right; bar height is
+// the duration.
+function durationTrend(results) {
+  const points = results.map(r => ({ r, sec: runSeconds(r) })).filter(p => p.sec != null).reverse();
+  if (!points.length) return '<div class="text-xs text-muted">No finished runs yet.</div>';
+  const max = Math.max(1, ...points.map(p => p.sec));
+  const sorted = points.map(p => p.sec).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return `<svg width="${points.length * 14}" height="60" style="display:block">
+      ${points.map((p, i) => {
+        const h = Math.max(2, Math.round(p.sec / max * 56));
+        return `<rect x="${i * 14}" y="${60 - h}" width="10" height="${h}" rx="1" fill="${runColor(p.r)}"><title>${esc(formatSeconds(p.sec))} · ${esc(p.r.conclusion || p.r.status)} · ${new Date(p.r.started_at || p.r.run_started_at || p.r.created_at).toLocaleString()}</title></rect>`;
+      }).join('')}
+    </svg>
+    <div class="text-xs text-muted mt-2">Median ${formatSeconds(median)} · longest ${formatSeconds(max)} · last ${points.length}</div>`;
+}
+
+/* ── Run IDs ────────────────────────────────────────────────── */
+function runIdsOfRun(run) {
+  const names = (State.runArtifacts[run.id] || []).map(a => a.name);
+  return runIdsIn([run.display_title, run.head_commit?.message, ...names].join('\n'));
+}
+
+function runIdChip(id, label = esc(id)) {
+  return `<span class="label-chip clickable" data-run="${esc(id)}" title="Trace this discovery run"
+    onclick="event.stopPropagation(); IACP.traceDiscoveryRun(this.dataset.run)">🔄 ${label}</span>`;
+}
+
+function discoveryRunsOf(repos = discoveryRepos()) {
+  const names = new Set(repos);
+  return store.all('runs', run => names.has(run.repo));
+}
+
+// Every run ID seen, newest first (IDs lead with their start time),
+// with where it was seen.
+function discoveryRunIndex() {
+  const index = new Map();
+  const seen = (id, where) => {
+    if (!index.has(id)) index.set(id, { memory: 0, runs: 0, items: 0 });
+    index.get(id)[where]++;
+  };
+  for (const e of store.all('memory')) runIdsIn(`${e.title}\n${e.body}`).forEach(id => seen(id, 'memory'));
+  for (const run of discoveryRunsOf()) runIdsOfRun(run).forEach(id => seen(id, 'runs'));
+  for (const col of discoveryColumns()) for (const item of col.items) runIdsIn(item.title).forEach(id => seen(id, 'items'));
+  return [...index].sort((a, b) => b[0].localeCompare(a[0]));
+}
+
+function renderDiscoveryRunIds() {
+  const el = document.getElementById('discovery-run-ids');
+  if (!el) return;
+  const index = discoveryRunIndex();
+  if (!index.length) {
+    el.innerHTML = emptyState('No discovery run IDs found in memory, runs, artifacts or board items yet.');
+    return;
+  }
+  el.innerHTML = `<div class="data-table-wrap"><table>
+    <thead><tr><th>Run ID</th><th>Memory</th><th>Runs</th><th>Board</th></tr></thead>
+    <tbody>${index.slice(0, DISCOVERY_RUN_IDS).map(([id, n]) => `<tr class="clickable" data-run="${esc(id)}" onclick="IACP.traceDiscoveryRun(this.dataset.run)">
+      <td class="font-mono text-xs">${esc(id)}</td>
+      <td>${n.memory || '—'}</td>
+      <td>${n.runs || '—'}</td>
+      <td>${n.items || '—'}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>
+  ${index.length > DISCOVERY_RUN_IDS ? `<div class="text-xs text-muted mt-2">Newest ${DISCOVERY_RUN_IDS} of ${index.length}. Trace any other ID above.</div>` : ''}`;
+}
+
+function traceDiscoveryRunInput() {
+  const input = document.getElementById('discovery-trace-input');
+  if (input?.value.trim()) traceDiscoveryRun(input.value.trim());
+}
+
+async function traceDiscoveryRun(id) {
+  if (!runIdsIn(id).includes(id)) {
+    showToast(`"${esc(id)}" is not a discovery run ID`, 'error');
+    return;
+  }
+  State.drawerItem = { kind: 'discovery-run', id };
+  openDrawer(`🔄 ${esc(id)}`, `<div id="discovery-trace">${discoveryTraceHtml(id)}</div>`);
+  if (isOffline()) return;
+
+  // A run's artifacts may name the ID even when its title does not. The
+  // ID's clock may not be UTC, so look a day either side.
+  const at = runIdTime(id)?.getTime();
+  const near = discoveryRunsOf().filter(run => at && Math.abs(new Date(run.created_at) - at) <= 864e5);
+  await Promise.all(near.map(loadRunArtifacts));
+  const el = document.getElementById('discovery-trace');
+  if (el && State.drawerItem?.kind === 'discovery-run' && State.drawerItem.id === id) el.innerHTML = discoveryTraceHtml(id);
+  renderDiscoveryRunIds();
+}
+
+function discoveryTraceHtml(id) {
+  const has = text => String(text ?? '').includes(id);
+  const none = '<div class="text-xs text-muted">Not seen.</div>';
+
+  const memory = store.all('memory', e => has(`${e.title}\n${e.body}`))
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  const runs = discoveryRunsOf().filter(run => runIdsOfRun(run).includes(id));
+  const columns = discoveryColumns();
+  const staged = new Set();
+
+  const stageHtml = stage => {
+    if (stage.column) {
+      const col = stageColumn(columns, stage);
+      if (col) staged.add(col.id);
+      const items = (col?.items || []).filter(item => has(item.title));
+      return items.length ? items.map(traceItemHtml).join('') : none;
+    }
+    const hits = runs.filter(run => runMatchesStage(run, stage));
+    return hits.length ? hits.map(run => {
+      const result = stageResult(stage, run);
+      const artifacts = (State.runArtifacts[run.id] || []).filter(a => has(a.name));
+      return `<div class="flex items-center gap-2 text-xs mb-2">
+        ${result ? runBadge(result) : ''}
+        <a href="${esc(run.html_url)}" target="_blank">${esc(run.repo)} #${run.run_number}</a>
+        <span class="text-muted">${relativeTime(run.run_started_at || run.created_at)}${result ? ` · ${runDuration(result)}` : ''}</span>
+        ${artifacts.map(a => `<span class="label-chip font-mono">📦 ${esc(a.name)}</span>`).join('')}
+      </div>`;
+    }).join('') : none;
+  };
+  const stages = discoveryStages().map(stage => `
+    <div class="drawer-section">
+      <div class="drawer-section-title">${esc(stage.icon || '')} ${esc(stage.label)} <span class="text-subtle">· ${esc(stageSource(stage))}</span></div>
+      ${stageHtml(stage)}
+    </div>`).join('');
+
+  const elsewhere = columns.filter(c => !staged.has(c.id)).flatMap(c => c.items.filter(item => has(item.title)).map(item => ({ ...item, column: c.label })));
+  const otherRuns = runs.filter(run => !discoveryStages().some(s => runMatchesStage(run, s)));
+  const prs = store.all('prs', pr => has(pr.title) || has(pr.headRef));
+
+  return `
+    <div class="drawer-section">
+      <div class="drawer-section-title">Memory</div>
+      ${memory.length ? memory.map(e => `<div class="flex items-center gap-2 text-xs mb-2">
+          <span class="text-muted">${esc(new Date(e.timestamp).toLocaleString())}</span>
+          <a href="#" data-id="${esc(memoryId(e))}" onclick="event.preventDefault(); IACP.openMemoryEntry(this.dataset.id)" class="truncate">${esc(e.title)}</a>
+        </div>`).join('') : none}
+    </div>
+    ${stages}
+    ${otherRuns.length ? `<div class="drawer-section">
+      <div class="drawer-section-title">Other runs</div>
+      ${otherRuns.map(run => `<div class="flex items-center gap-2 text-xs mb-2">
+        ${runBadge(run)} <a href="${esc(run.html_url)}" target="_blank">${esc(run.repo)} · ${esc(run.name)} #${run.run_number}</a>
+      </div>`).join('')}
+    </div>` : ''}
+    ${elsewhere.length ? `<div class="drawer-section">
+      <div class="drawer-section-title">Elsewhere on the board</div>
+      ${elsewhere.map(traceItemHtml).join('')}
+    </div>` : ''}
+    <div class="drawer-section">
+      <div class="drawer-section-title">Pull requests</div>
+      ${prs.length ? prs.map(pr => `<div class="flex items-center gap-2 text-xs mb-2">
+          <a href="${esc(pr.url)}" target="_blank">${esc(pr.repo)}#${pr.number}</a>
+          <span class="truncate">${esc(pr.title)}</span>
+        </div>`).join('') : none}
+    </div>`;
+}
+
+function traceItemHtml(item) {
+  return `<div class="flex items-center gap-2 text-xs mb-2">
+    ${item.url ? `<a href="${esc(item.url)}" target="_blank" class="truncate">${esc(item.title)}</a>` : `<span class="truncate">${esc(item.title)}</span>`}
+    <span class="text-muted">${esc(item.repo || '')}${item.number ? ` #${item.number}` : ''}${item.column ? ` · ${esc(item.column)}` : ''}</span>
+  </div>`;
+}
+
+/* ============================================================
+   SANDBOX BUILD MONITORING
+   ============================================================ */
+// Enough history for a per-workflow sparkline on busy repos.
+const SANDBOX_RUN_HISTORY = 50;
+const SPARK_RUNS = 12;
+
+async function loadSandbox() {
+  const el = document.getElementById('sandbox-builds');
+  if (!el) return;
+  if (store.info('runs')) renderSandbox(); else el.innerHTML = skeletonRows(4);
+
+  const sandboxRepos = store.all('repos', r => categorizeRepo(r) === 'sandbox');
+  if (!sandboxRepos.length) {
+    el.innerHTML = emptyState('No sandbox repos indexed yet. Run the org-index sync workflow.');
+    return;
+  }
+  if (isOffline()) return;
+
+  const org = getOrg();
+  const runs = await Promise.all(sandboxRepos.map(r => fetchWorkflowRuns(org, r.name, SANDBOX_RUN_HISTORY)));
+  const names = new Set(sandboxRepos.map(r => r.name));
+  store.put('runs', sandboxRepos.flatMap((r, i) => runs[i].map(run => ({ ...run, repo: r.name }))),
+    { source: 'live', scope: run => names.has(run.repo) });
+}
+
+function renderSandbox() {
+  const el = document.getElementById('sandbox-builds');
+  if (!el) return;
+
+  const sandboxRepos = store.all('repos', r => categorizeRepo(r) === 'sandbox').map(r => r.name);
+  el.innerHTML = sandboxRepos.map(repo => {
+    const runs = store.all('runs', run => run.repo === repo)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    const repoUrl = `https://github.com/${getOrg()}/${repo}`;
+    // Runs arrive newest first; group them by workflow keeping that order.
+    const byWorkflow = {};
+    for (const run of runs) (byWorkflow[run.workflow_id] = byWorkflow[run.workflow_id] || []).push(run);
+    const workflows = Object.values(byWorkflow);
+
+    return `<div class="mb-4">
+      <div class="flex items-center justify-between mb-2">
+        <div class="font-bold text-accent">${esc(repo)}</div>
+        <a href="${repoUrl}/actions" target="_blank" class="btn btn-xs">Actions ↗</a>
+      </div>
+      ${workflows.length ? `<div class="data-table-wrap"><table>
+        <thead><tr><th>Workflow</th><th>Latest</th><th>Branch</th><th>Actor</th><th>Duration</th><th>Recent</th><th></th></tr></thead>
+        <tbody>${workflows.map(wfRuns => {
+          const run = wfRuns[0];
+          const open = State.expandedRuns.has(run.id);
+          return `<tr class="clickable" onclick="IACP.toggleRunJobs('${esc(repo)}', ${run.id})">
+            <td class="font-bold">${open ? '▾' : '▸'} ${esc(run.name)}</td>
+            <td>${runBadge(run)}</td>
+            <td class="text-xs font-mono">${esc(run.head_branch)}</td>
+            <td class="text-xs">${esc(run.triggering_actor?.login || run.actor?.login || '—')}</td>
+            <td class="text-xs text-muted">${runDuration(run)}</td>
+            <td>${runSparkline(wfRuns.slice(0, SPARK_RUNS))}</td>
+            <td style="white-space:nowrap" onclick="event.stopPropagation()">
+              ${run.conclusion === 'failure' && getToken() ? `<button class="btn btn-xs btn-danger" onclick="IACP.rerunFailed('${esc(repo)}', ${run.id})">↻ Re-run failed</button>` : ''}
+              <a href="${esc(run.html_url)}" target="_blank" class="btn btn-xs">Run ↗</a>
+            </td>
+          </tr>
+          ${open ? `<tr class="run-jobs"><td colspan="7">${renderRunJobs(run.id)}</td></tr>` : ''}`;
+        }).join('')}</tbody>
+      </table></div>` : emptyState('No workflow runs (or Actions is disabled / not readable).')}
+    </div>`;
+  }).join('');
+}
+
+function runBadge(run) {
+  const state = run.status === 'completed' ? run.conclusion : run.status;
+  const cls = { success: 'badge-success', failure: 'badge-danger', cancelled: 'badge-muted',
+                timed_out: 'badge-warning', in_progress: 'badge-info', queued: 'badge-muted' }[state] || 'badge-muted';
+  return `<span class="badge ${cls}">${esc((state || 'unknown').replace('_', ' '))}</span>`;
+}
+
+// Seconds a run or job took (so far, while it runs); null if unknown.
+function runSeconds(run) {
+  const start = run.run_started_at || run.started_at || run.created_at;
+  const end   = run.status === 'completed' ? (run.updated_at || run.completed_at) : new Date().toISOString();
+  if (!start || !end) return null;
+  return Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+}
+
+function formatSeconds(sec) {
+  return sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m ${sec % 60}s`;
+}
+
+function runDuration(run) {
+  const sec = runSeconds(run);
+  return sec == null ? '—' : formatSeconds(sec);
+}
+
+function runColor(run) {
+  return run.status !== 'completed' ? 'var(--info)'
+    : { success: 'var(--success)', failure: 'var(--danger)' }[run.conclusion] || 'var(--text-subtle)';
+}
+
+// Oldest → newest, left to right: one bar per run.
+function runSparkline(runs) {
+  const bars = runs.slice().reverse();
+  return `<svg width="${bars.length * 6}" height="14" style="display:inline-block;vertical-align:middle">
+    ${bars.map((r, i) => `<rect x="${i * 6}" y="${r.conclusion === 'failure' ? 0 : 4}" width="4" height="${r.conclusion === 'failure' ? 14 : 10}" rx="1" fill="${runColor(r)}"><title>${esc(r.conclusion || r.status)} · ${new Date(r.created_at).toLocaleString()}</title></rect>`).join('')}
+  </svg>`;
+}
+
+function renderRunJobs(runId) {
+  const jobs = State.runJobs[runId];
+  if (!jobs) return skeletonRows(2);
+  if (!jobs.length) return '<div class="text-xs text-muted">No jobs returned for this run.</div>';
+  return jobs.map(job => `
+    <div class="run-job">
+      <div class="flex items-center gap-2">
+        ${runBadge(job)}
+        <span class="font-bold text-xs">${esc(job.name)}</span>
+        <span class="text-xs text-muted">${runDuration(job)}</span>
+        <a href="${esc(job.html_url)}" target="_blank" class="btn btn-xs" style="margin-left:auto">Logs ↗</a>
+      </div>
+      <ol class="run-steps">
+        ${(job.steps || []).map(st => `<li class="${st.conclusion || st.status}">
+          <span>${{ success: '✓', failure: '✗', skipped: '⊘' }[st.conclusion] || '•'}</span> ${esc(st.name)}
+        </li>`).join('')}
+      </ol>
+    </div>`).join('');
+}
+
+async function toggleRunJobs(repo, runId) {
+  if (State.expandedRuns.has(runId)) {
+    State.expandedRuns.delete(runId);
+    renderSandbox();
+    return;
+  }
+  State.expandedRuns.add(runId);
+  renderSandbox();
+  if (!State.runJobs[runId]) {
+    State.runJobs[runId] = await fetchRunJobs(getOrg(), repo, runId);
+    renderSandbox();
+  }
+}
+
+async function rerunFailed(repo, runId) {
+  try {
+    await rerunFailedJobs(getOrg(), repo, runId);
+    showToast(`Re-running failed jobs in ${esc(repo)}`, 'success');
+    delete State.runJobs[runId];
+    setTimeout(loadSandbox, 3000);
+  } catch (e) {
+    showToast(`Re-run failed: ${esc(e.message)}`, 'error');
+  }
+}
+
+/* ============================================================
+   VALIDATION / PAT MATRIX
+   ============================================================ */
+// validator-status-sync.yml runs every 4 h; older than two runs is stale.
+const VALIDATOR_STALE_HOURS = 8;
+// Live sweeps cost ~3 requests per repo, so reuse one for a few minutes.
+const VALIDATOR_LIVE_TTL_MS = 5 * 60 * 1000;
+
+const CHECK_ICONS = {
+  token: '🔑', org: '🏢', open_prs: '🔀',
+  branch_protection: '👁️', secret_scanning: '🔐', codeowners: '📋',
+};
+
+async function loadValidation() {
+  const matrixEl = document.getElementById('validation-matrix');
+  if (!matrixEl) return;
+
+  const synced = syncedReport('validator-status', await loadValidatorStatus());
+  renderValidationMatrix(synced, store.get('reports', 'validator-live'));
+  renderPRQueue();
+  renderPRAuditLog();
+  loadGovernance();
+
+  if (!getToken()) {
+    renderRepoValidation(null);
+    return;
+  }
+
+  loadOrgSnapshot();
+
+  const live = store.get('reports', 'validator-live');
+  if (live) renderRepoValidation(live, synced);
+  if (isOffline()) return;
+  // A sweep restored from the local cache is shown, then re-run.
+  if (live && store.infoOf('reports', 'validator-live').source === 'live'
+      && Date.now() - new Date(live.syncedAt).getTime() < VALIDATOR_LIVE_TTL_MS) return;
+
+  const repoEl = document.getElementById('validation-repo-checks');
+  if (repoEl && !live) repoEl.innerHTML = skeletonRows(4);
+  const indexed = store.all('repos', r => !r.isArchived);
+  const repos = indexed.length ? indexed : (synced?.repos || []);
+  const checks = await runValidatorChecks(getOrg(), repos);
+  store.set('reports', 'validator-live', checks, { source: 'live', fetchedAt: checks.syncedAt });
+}
+
+function renderValidationMatrix(synced, live) {
+  const matrixEl  = document.getElementById('validation-matrix');
+  const summaryEl = document.getElementById('validation-health');
+  if (!matrixEl) return;
+
+  if (!synced?.checks) {
+    if (summaryEl) summaryEl.innerHTML = `<div class="alert alert-warning"><span>⚠</span>
+      <span><code>_STATE/validator-status.json</code> not found. Run <code>validator-status-sync.yml</code> to populate it.</span></div>`;
+    matrixEl.innerHTML = '';
+    return;
+  }
+
+  if (summaryEl) {
+    const variant = { healthy: 'success', degraded: 'warning', critical: 'danger' }[synced.health] || 'info';
+    const drift   = live ? Object.keys(synced.checks).filter(k => live.checks[k] && live.checks[k].status !== synced.checks[k].status) : [];
+    summaryEl.innerHTML = `<div class="alert alert-${variant}">
+      <span>${variant === 'success' ? '✓' : '⚠'}</span>
+      <span>
+        Synced health <strong>${esc(synced.health || 'unknown').toUpperCase()}</strong>
+        · ${synced.failCount || 0} failing · ${synced.warnCount || 0} warning
+        · synced ${relativeTime(synced.syncedAt)} ${staleBadge(synced.syncedAt, VALIDATOR_STALE_HOURS)}
+        ${live ? `· live <strong>${esc(live.health).toUpperCase()}</strong>${drift.length ? ` — <strong>${drift.length}</strong> check(s) disagree with the synced file` : ' — matches synced file'}` : ''}
+      </span>
+    </div>`;
+  }
+
+  matrixEl.innerHTML = Object.entries(synced.checks).map(([key, c]) => {
+    const l     = live?.checks?.[key];
+    const drift = l && l.status !== c.status;
+    return `
+    <div class="matrix-cell ${c.status}${drift ? ' drift' : ''}" title="${esc(c.label)}: ${esc(c.status)}">
+      <div class="cell-icon">${CHECK_ICONS[key] || '•'}</div>
+      <div class="cell-value">${esc(c.value)}</div>
+      <div class="cell-label">${esc(c.label)}</div>
+      ${l ? `<div class="cell-live ${l.status}">live: ${esc(l.status)} · ${esc(l.value)}</div>` : ''}
+    </div>`;
+  }).join('');
+}
+
+function renderRepoValidation(live, synced) {
+  const el = document.getElementById('validation-repo-checks');
+  if (!el) return;
+  if (!live) {
+    el.innerHTML = emptyState('Add a GitHub token in Settings to run the validator checks live per repo.');
+    return;
+  }
+
+  const KEYS = ['branch_protection', 'codeowners', 'secret_scanning'];
+  const names = Object.keys(live.repoChecks);
+  if (!names.length) { el.innerHTML = emptyState('No repos to check. Sync the org index first.'); return; }
+
+  // The synced file records branch protection and CODEOWNERS for the admin
+  // repo only; its secret-scan check is org-wide, so it has no per-repo peer.
+  const syncedCell = (name, key) =>
+    name === ADMIN_REPO && key !== 'secret_scanning' ? synced?.checks?.[key] : null;
+
+  // Default-branch CI and vulnerability counts come from the org snapshot,
+  // merged into the repo entities.
+  const snapRepos = Object.fromEntries(store.all('repos', r => 'headStatus' in r).map(r => [r.name, r]));
+
+  el.innerHTML = `<div class="data-table-wrap"><table>
+    <thead><tr><th>Repository</th><th>Branch Protection</th><th>CODEOWNERS</th><th>Secret Scan</th><th>Default-branch CI</th><th>Vuln Alerts</th></tr></thead>
+    <tbody>${names.map(name => `<tr>
+      <td class="font-bold">${esc(name)}</td>
+      ${KEYS.map(k => {
+        const c = live.repoChecks[name][k];
+        const s = syncedCell(name, k);
+        return `<td>
+          <span class="badge ${checkBadge(c.status)}" title="${esc(c.label)}">${esc(c.value)}</span>
+          ${s && s.status !== c.status ? `<span class="badge badge-warning" title="Synced file says ${esc(s.status)} (${esc(s.value)})">≠ synced</span>` : ''}
+        </td>`;
+      }).join('')}
+      <td>${snapRepos[name] ? checksBadge(snapRepos[name].headStatus) : '<span class="text-subtle">—</span>'}</td>
+      <td>${snapRepos[name]?.vulnerabilityAlerts == null ? '<span class="text-subtle">—</span>'
+        : `<span class="badge ${snapRepos[name].vulnerabilityAlerts ? 'badge-danger' : 'badge-success'}">${snapRepos[name].vulnerabilityAlerts}</span>`}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>
+  <div class="text-xs text-muted mt-2">Live checks use your browser token; the synced file uses the <code>GH_ORG_READ_TOKEN</code> secret, so permission differences show up as drift.</div>`;
+}
+
+function checkBadge(status) {
+  return { pass: 'badge-success', warn: 'badge-warning', fail: 'badge-danger' }[status] || 'badge-muted';
+}
+
+/* ── Governance compliance (repos × controls) ──────────────── */
+const GOV_RANK = { fail: 0, unknown: 1, pass: 2 };
+
+async function loadGovernance(force = false) {
+  const el = document.getElementById('governance-matrix');
+  if (!el) return;
+  if (!getToken()) {
+    el.innerHTML = emptyState('Add a GitHub token with repo + security_events scopes in Settings to audit governance controls.');
+    return;
+  }
+  if (!store.info('repos')?.count) {
+    el.innerHTML = emptyState('No repos loaded yet. Sync the org index first.');
+    return;
+  }
+  const saved = store.get('reports', 'governance');
+  if (saved) renderGovernance();
+  // A matrix restored from the local cache is shown, then re-checked.
+  if (saved && !force && store.infoOf('reports', 'governance').source === 'live') return;
+  if (isOffline()) return;
+
+  if (!saved || force) el.innerHTML = skeletonRows(6);
+  // The snapshot's protection rules spare each repo its protection calls;
+  // repos are checked in parallel, the request layer bounds concurrency.
+  const snapshot = await loadOrgSnapshot(force);
+  const repos = store.all('repos', r => !r.isArchived);
+  const rows  = {};
+  await Promise.all(repos.map(async r => {
+    const inSnapshot = snapshot && 'protection' in r;
+    rows[r.name] = await fetchRepoGovernance(getOrg(), r.name,
+      r.defaultBranchRef?.name || r.defaultBranch || 'main', inSnapshot ? r : null);
+  }));
+  const fetchedAt = new Date().toISOString();
+  store.set('reports', 'governance', { rows, fetchedAt }, { source: 'live', fetchedAt });
+}
+
+function renderGovernance() {
+  const el = document.getElementById('governance-matrix');
+  const governance = store.get('reports', 'governance');
+  if (!el || !governance) return;
+
+  const { key, dir } = State.govSort;
+  const score = cells => GOVERNANCE_CONTROLS.filter(c => cells[c.key].state === 'pass').length;
+  let names = Object.keys(governance.rows);
+  if (State.govFailingOnly) {
+    names = names.filter(n => GOVERNANCE_CONTROLS.some(c => governance.rows[n][c.key].state === 'fail'));
+  }
+  names.sort((a, b) => {
+    const ra = governance.rows[a], rb = governance.rows[b];
+    const cmp = key === 'name'  ? a.localeCompare(b)
+              : key === 'score' ? score(ra) - score(rb) || a.localeCompare(b)
+              : GOV_RANK[ra[key].state] - GOV_RANK[rb[key].state] || a.localeCompare(b);
+    return dir === 'asc' ? cmp : -cmp;
+  });
+
+  const total   = Object.keys(governance.rows).length;
+  const failing = Object.values(governance.rows)
+    .filter(cells => GOVERNANCE_CONTROLS.some(c => cells[c.key].state === 'fail')).length;
+  const arrow = k => k === key ? (dir === 'asc' ? ' ▲' : ' ▼') : '';
+  const th    = (k, label) => `<th class="sortable" onclick="IACP.sortGovernance('${k}')">${label}${arrow(k)}</th>`;
+  const cell  = c => `<span class="badge ${{ pass: 'badge-success', fail: 'badge-danger' }[c.state] || 'badge-muted'}" title="${esc(c.detail)}">${{ pass: '✓', fail: '✗' }[c.state] || '?'} ${esc(c.state)}</span>`;
+
+  el.innerHTML = `
+    <div class="flex items-center justify-between mb-3">
+      <label class="text-xs flex items-center gap-2">
+        <input type="checkbox" ${State.govFailingOnly ? 'checked' : ''} onchange="IACP.toggleGovernanceFailing(this.checked)" />
+        Show only failing
+      </label>
+      <span class="text-xs text-muted">${failing}/${total} repos drift from policy · checked ${relativeTime(governance.fetchedAt)}</span>
+    </div>
+    ${names.length ? `<div class="data-table-wrap"><table>
+      <thead><tr>
+        ${th('name', 'Repository')}
+        ${GOVERNANCE_CONTROLS.map(c => th(c.key, c.label)).join('')}
+        ${th('score', 'Score')}
+      </tr></thead>
+      <tbody>${names.map(n => {
+        const cells = governance.rows[n];
+        return `<tr>
+          <td class="font-bold">${esc(n)}</td>
+          ${GOVERNANCE_CONTROLS.map(c => `<td>${cell(cells[c.key])}</td>`).join('')}
+          <td class="text-xs text-muted">${score(cells)}/${GOVERNANCE_CONTROLS.length}</td>
+        </tr>`;
+      }).join('')}</tbody>
+    </table></div>` : emptyState('Every repo passes all controls.')}`;
+}
+
+function sortGovernance(key) {
+  State.govSort = State.govSort.key === key
+    ? { key, dir: State.govSort.dir === 'asc' ? 'desc' : 'asc' }
+    : { key, dir: 'asc' };
+  renderGovernance();
+}
+
+function toggleGovernanceFailing(on) {
+  State.govFailingOnly = on;
+  renderGovernance();
+}
+
+/* ── PR review queue ────────────────────────────────────────
+   Every open PR from the org snapshot, filterable down to what
+   needs attention and sortable by any column. */
+const PR_QUEUE_FILTERS = [
+  { key: 'mine',    label: 'Needs my review', test: (pr, viewer) => needsMyReview(pr, viewer) },
+  { key: 'failing', label: 'Failing CI',      test: pr => pr.checks === 'FAILURE' || pr.checks === 'ERROR' },
+  { key: 'blocked', label: 'Blocked',         test: pr => pr.mergeState === 'BLOCKED' || pr.mergeState === 'DIRTY' || pr.mergeable === 'CONFLICTING' },
+  { key: 'stale',   label: 'Stale',           test: pr => isStalePR(pr) },
+  { key: 'copilot', label: 'Copilot-authored', test: pr => isCopilotPR(pr) },
+];
+
+const MERGE_STATES = {
+  CLEAN:     ['badge-success', 'clean'],
+  HAS_HOOKS: ['badge-success', 'clean (hooks)'],
+  UNSTABLE:  ['badge-warning', 'unstable'],
+  BEHIND:    ['badge-warning', 'behind base'],
+  BLOCKED:   ['badge-danger',  'blocked'],
+  DIRTY:     ['badge-danger',  'conflicts'],
+  DRAFT:     ['badge-muted',   'draft'],
+};
+
+// Ascending puts what needs attention first (and the oldest first).
+const REVIEW_RANK = { CHANGES_REQUESTED: 0, REVIEW_REQUIRED: 1, APPROVED: 2 };
+const CHECKS_RANK = { FAILURE: 0, ERROR: 0, PENDING: 1, EXPECTED: 1, SUCCESS: 2 };
+const MERGE_RANK  = { DIRTY: 0, BLOCKED: 1, BEHIND: 2, UNSTABLE: 3, DRAFT: 4, HAS_HOOKS: 5, CLEAN: 5 };
+
+const PR_SORTS = {
+  pr:       (a, b) => a.repo.localeCompare(b.repo) || a.number - b.number,
+  author:   (a, b) => (a.author || '').localeCompare(b.author || ''),
+  review:   (a, b) => (REVIEW_RANK[a.reviewDecision] ?? 3) - (REVIEW_RANK[b.reviewDecision] ?? 3),
+  checks:   (a, b) => (CHECKS_RANK[a.checks] ?? 3) - (CHECKS_RANK[b.checks] ?? 3),
+  merge:    (a, b) => (MERGE_RANK[mergeStateOf(a)] ?? 6) - (MERGE_RANK[mergeStateOf(b)] ?? 6),
+  reviewers: (a, b) => (a.reviewRequests?.length || 0) - (b.reviewRequests?.length || 0),
+  draft:    (a, b) => Number(a.isDraft) - Number(b.isDraft),
+  age:      (a, b) => a.createdAt.localeCompare(b.createdAt),
+  updated:  (a, b) => a.updatedAt.localeCompare(b.updatedAt),
+};
+
+function needsMyReview(pr, viewer) {
+  if (!viewer?.login) return false;
+  return (pr.reviewRequests || []).some(r => r.login === viewer.login || viewer.teams.includes(r.team));
+}
+
+function isStalePR(pr) {
+  return Date.now() - new Date(pr.updatedAt).getTime() > State.prQueue.staleDays * 86400000;
+}
+
+// The coding agent opens PRs as the `Copilot` bot.
+function isCopilotPR(pr) {
+  return /copilot/i.test(pr.author || '');
+}
+
+// Snapshots saved before mergeStateStatus was fetched only have `mergeable`.
+function mergeStateOf(pr) {
+  if (pr.mergeState && pr.mergeState !== 'UNKNOWN') return pr.mergeState;
+  return pr.mergeable === 'CONFLICTING' ? 'DIRTY' : null;
+}
+
+function mergeBadge(pr) {
+  const [cls, label] = MERGE_STATES[mergeStateOf(pr)] || ['badge-muted', 'computing'];
+  return `<span class="badge ${cls}">${label}</span>`;
+}
+
+function reviewerChips(pr) {
+  if (!pr.reviewRequests?.length) return '<span class="text-subtle">—</span>';
+  return pr.reviewRequests.map(r => r.team
+    ? `<span class="label-chip" title="team">@${esc(getOrg())}/${esc(r.team)}</span>`
+    : `<span class="label-chip">@${esc(r.login)}</span>`).join('');
+}
+
+function renderPRQueue() {
+  const prEl = document.getElementById('pr-queue');
+  if (!prEl) return;
+  const all = store.all('prs');
+  if (!all.length) {
+    prEl.innerHTML = emptyState(store.info('prs') ? 'No open PRs in the org.' : 'No open PRs found. Token required with repo scope.');
+    return;
+  }
+
+  const viewer = store.get('reports', 'viewer');
+  const { filters, sort } = State.prQueue;
+  const active = PR_QUEUE_FILTERS.filter(f => filters.has(f.key));
+  const prs = all.filter(pr => active.every(f => f.test(pr, viewer)));
+  prs.sort((a, b) => {
+    const cmp = PR_SORTS[sort.key](a, b) || PR_SORTS.updated(a, b);
+    return sort.dir === 'asc' ? cmp : -cmp;
+  });
+
+  const arrow = k => k === sort.key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '';
+  const th    = (k, label) => `<th class="sortable" onclick="IACP.sortPRQueue('${k}')">${label}${arrow(k)}</th>`;
+  const chip  = f => {
+    const count    = all.filter(pr => f.test(pr, viewer)).length;
+    const disabled = f.key === 'mine' && !viewer?.login;
+    return `<label class="text-xs flex items-center gap-2"${disabled ? ' title="Refresh the org snapshot to identify you"' : ''}>
+      <input type="checkbox" ${filters.has(f.key) ? 'checked' : ''} ${disabled ? 'disabled' : ''}
+        onchange="IACP.togglePRQueueFilter('${f.key}', this.checked)" />
+      ${f.label}${f.key === 'stale' ? ` &gt; <input type="number" class="form-input pr-stale-days" min="1" value="${State.prQueue.staleDays}"
+        aria-label="Stale after days" onchange="IACP.setPRStaleDays(this.value)" /> days` : ''}
+      <span class="badge badge-muted">${count}</span>
+    </label>`;
+  };
+
+  // Selected PRs that went away (merged, closed) drop out of the selection.
+  for (const id of State.prSelection) if (!store.get('prs', id)) State.prSelection.delete(id);
+  const allShown = prs.length && prs.every(pr => State.prSelection.has(pr.id));
+
+  prEl.innerHTML = `
+    ${renderPRBulkBar(all)}
+    <div class="flex items-center justify-between mb-3">
+      <div class="flex items-center gap-3 pr-queue-filters">${PR_QUEUE_FILTERS.map(chip).join('')}</div>
+      <span class="text-xs text-muted">${prs.length} of ${all.length} open PRs${viewer?.login ? ` · you are @${esc(viewer.login)}` : ''}</span>
+    </div>
+    ${prs.length ? `<div class="data-table-wrap"><table>
+      <thead><tr>
+        <th><input type="checkbox" aria-label="Select all shown" ${allShown ? 'checked' : ''}
+          onchange="IACP.selectShownPRs(this.checked)" /></th>
+        ${th('pr', 'Pull request')}${th('author', 'Author')}${th('review', 'Review')}${th('reviewers', 'Requested')}
+        ${th('checks', 'Checks')}${th('merge', 'Mergeable')}${th('draft', 'Draft')}${th('age', 'Age')}${th('updated', 'Last activity')}<th></th>
+      </tr></thead>
+      <tbody>${prs.map(pr => `<tr>
+        <td><input type="checkbox" aria-label="Select ${esc(pr.repo)} #${pr.number}" ${State.prSelection.has(pr.id) ? 'checked' : ''}
+          onchange="IACP.togglePRSelection('${esc(pr.id)}', this.checked)" /></td>
+        <td class="truncate" style="max-width:260px" title="${esc(pr.title)}">
+          <span class="text-xs text-muted">${esc(pr.repo)} #${pr.number}</span><br />${esc(pr.title)}
+        </td>
+        <td class="text-xs">${esc(pr.author || '—')}${pr.authorIsBot ? ' <span class="badge badge-muted">bot</span>' : ''}</td>
+        <td>${reviewBadge(pr.reviewDecision)}</td>
+        <td>${reviewerChips(pr)}</td>
+        <td>${checksBadge(pr.checks)}</td>
+        <td>${mergeBadge(pr)}</td>
+        <td>${pr.isDraft ? '<span class="badge badge-muted">draft</span>' : '<span class="text-subtle">—</span>'}</td>
+        <td class="text-xs text-muted" title="${esc(pr.createdAt)}">${relativeTime(pr.createdAt)}</td>
+        <td class="text-xs ${isStalePR(pr) ? 'text-warning' : 'text-muted'}" title="${esc(pr.updatedAt)}">${relativeTime(pr.updatedAt)}</td>
+        <td><div class="flex gap-2">
+          <button class="btn btn-sm" onclick="IACP.openPRActions('${esc(pr.id)}')">Actions…</button>
+          <a href="${esc(pr.url)}" target="_blank" class="btn btn-sm" title="Open on GitHub">↗</a>
+        </div></td>
+      </tr>`).join('')}</tbody>
+    </table></div>` : emptyState('No open PRs match these filters.')}`;
+  State.prQueueShown = prs.map(pr => pr.id);
+}
+
+function sortPRQueue(key) {
+  const { sort } = State.prQueue;
+  State.prQueue.sort = sort.key === key
+    ? { key, dir: sort.dir === 'asc' ? 'desc' : 'asc' }
+    : { key, dir: 'asc' };
+  renderPRQueue();
+}
+
+function togglePRQueueFilter(key, on) {
+  if (on) State.prQueue.filters.add(key);
+  else    State.prQueue.filters.delete(key);
+  renderPRQueue();
+}
+
+function setPRStaleDays(value) {
+  const days = parseInt(value, 10);
+  if (!(days >= 1)) return renderPRQueue();
+  State.prQueue.staleDays = days;
+  localStorage.setItem('iacp_pr_stale_days', String(days));
+  renderPRQueue();
+}
+
+/* ── PR actions behind the policy gate ──────────────────────
+   Each action re-checks pr-policy.js immediately before calling
+   GitHub and is written to the audit log whatever the outcome. */
+const PR_ACTIONS = {
+  approve:         { label: 'Approve',           icon: '✓' },
+  request_changes: { label: 'Request changes',   icon: '✗' },
+  auto_merge:      { label: 'Enable auto-merge', icon: '⏱' },
+  merge:           { label: 'Merge',             icon: '⇣' },
+  update_branch:   { label: 'Update branch',     icon: '↻' },
+};
+
+const isDependabotPR = pr => /^dependabot/i.test(pr.author || '');
+
+function renderPRBulkBar(all) {
+  const n = State.prSelection.size;
+  const greenBots = all.filter(pr => isDependabotPR(pr) && pr.checks === 'SUCCESS' && !pr.isDraft).length;
+  return `
+    <div class="bulk-bar mb-3">
+      ${n ? `<strong>${n}</strong> PR${n === 1 ? '' : 's'} selected
+        <select class="form-input pr-merge-method" id="pr-bulk-method" aria-label="Merge method">
+          ${MERGE_METHODS.map(m => `<option value="${m}">${m}</option>`).join('')}
+        </select>
+        <button class="btn btn-sm btn-primary" onclick="IACP.bulkMergePRs()">⇣ Merge selected</button>
+        <button class="btn btn-sm" onclick="IACP.clearPRSelection()">Clear</button>`
+      : '<span class="text-xs text-muted">Select PRs to merge them together</span>'}
+      <button class="btn btn-sm" style="margin-left:auto" ${greenBots ? '' : 'disabled'}
+        onclick="IACP.selectGreenDependabotPRs()">Select green Dependabot PRs (${greenBots})</button>
+    </div>`;
+}
+
+function togglePRSelection(id, on) {
+  if (on) State.prSelection.add(id);
+  else    State.prSelection.delete(id);
+  renderPRQueue();
+}
+
+function selectShownPRs(on) {
+  for (const id of State.prQueueShown) {
+    if (on) State.prSelection.add(id);
+    else    State.prSelection.delete(id);
+  }
+  renderPRQueue();
+}
+
+function selectGreenDependabotPRs() {
+  for (const pr of store.all('prs')) {
+    if (isDependabotPR(pr) && pr.checks === 'SUCCESS' && !pr.isDraft) State.prSelection.add(pr.id);
+  }
+  renderPRQueue();
+}
+
+function clearPRSelection() {
+  State.prSelection.clear();
+  renderPRQueue();
+}
+
+function policyBadge(control) {
+  const [cls, icon] = { pass: ['badge-success', '✓'], fail: ['badge-danger', '✗'] }[control.state] || ['badge-muted', '?'];
+  return `<span class="badge ${cls}">${icon} ${esc(control.state)}</span>`;
+}
+
+function policyTable(policy) {
+  return `<div class="data-table-wrap"><table>
+    <tbody>${POLICY_CONTROLS.map(c => `<tr>
+      <td class="text-xs font-bold">${c.label}</td>
+      <td>${policyBadge(policy.controls[c.key])}</td>
+      <td class="text-xs text-muted">${esc(policy.controls[c.key].detail)}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>
+  <div class="text-xs text-muted mt-2">Checked ${relativeTime(policy.checkedAt)} at ${esc(policy.headSha.slice(0, 7))}</div>`;
+}
+
+async function checkPRPolicy(pr) {
+  const policy = await evaluatePRPolicy(getOrg(), pr, store.get('repos', pr.repo));
+  State.prPolicies[pr.id] = policy;
+  return policy;
+}
+
+async function openPRActions(id) {
+  const pr = store.get('prs', id);
+  if (!pr) return;
+  if (!getToken()) {
+    showToast('Add a token with repo scope to act on PRs', 'error');
+    return;
+  }
+  State.drawerItem = { kind: 'pr', id };
+  openDrawer(`${esc(pr.repo)} #${pr.number}`, `
+    <div class="drawer-section">
+      <div class="font-bold mb-2">${esc(pr.title)}</div>
+      <div class="text-xs text-muted mb-2">by ${esc(pr.author || '—')} · ${esc(pr.headRef)} → ${esc(pr.baseRef)} · opened ${relativeTime(pr.createdAt)}</div>
+      <div class="flex gap-2">${reviewBadge(pr.reviewDecision)} ${checksBadge(pr.checks)} ${mergeBadge(pr)}</div>
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Policy</div>
+      <div id="pr-policy">${skeletonRows(3)}</div>
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Actions</div>
+      <div class="form-group">
+        <label for="pr-action-method">Merge method</label>
+        <select class="form-input" id="pr-action-method">
+          ${MERGE_METHODS.map(m => `<option value="${m}">${m}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="pr-action-body">Review comment</label>
+        <textarea class="form-input" id="pr-action-body" rows="3" placeholder="Required when requesting changes"></textarea>
+      </div>
+      <div class="flex gap-2 pr-action-buttons" id="pr-action-buttons"></div>
+      <div id="pr-action-result" class="mt-2"></div>
+    </div>`);
+  renderPRActionButtons(pr, null);
+  try {
+    const policy = await checkPRPolicy(pr);
+    if (State.drawerItem?.id !== id) return;
+    document.getElementById('pr-policy').innerHTML = policyTable(policy);
+    renderPRActionButtons(pr, policy);
+  } catch (e) {
+    if (State.drawerItem?.id !== id) return;
+    document.getElementById('pr-policy').innerHTML = `<div class="alert alert-warning">Could not check the policy: ${esc(e.message)}</div>`;
+  }
+}
+
+function renderPRActionButtons(pr, policy) {
+  const el = document.getElementById('pr-action-buttons');
+  if (!el) return;
+  el.innerHTML = Object.entries(PR_ACTIONS).map(([action, { label, icon }]) => {
+    const blockers = policy ? policyBlockers(policy, action) : [];
+    const gated    = PR_ACTION_POLICY[action].length > 0;
+    const disabled = gated && (!policy || blockers.length);
+    const why      = !policy ? 'Checking policy…' : blockers.map(b => `${b.key}: ${b.detail}`).join('; ');
+    return `<button class="btn btn-sm${action === 'merge' ? ' btn-primary' : ''}${action === 'request_changes' ? ' btn-danger' : ''}"
+      ${disabled ? `disabled title="${esc(why)}"` : ''} onclick="IACP.runPRAction('${esc(pr.id)}', '${action}')">${icon} ${label}</button>`;
+  }).join('');
+}
+
+// Runs `action` on the PR if the policy allows it. Returns the audit entry.
+async function performPRAction(pr, action, { method = 'squash', body = '' } = {}) {
+  const org = getOrg();
+  const entry = {
+    at: new Date().toISOString(), actor: store.get('reports', 'viewer')?.login || null,
+    action, repo: pr.repo, number: pr.number, title: pr.title,
+    method: ['merge', 'auto_merge'].includes(action) ? method : null,
+  };
+  try {
+    const policy = await checkPRPolicy(pr);
+    entry.sha    = policy.headSha;
+    entry.policy = Object.fromEntries(POLICY_CONTROLS.map(c => [c.key, policy.controls[c.key].state]));
+    const blockers = policyBlockers(policy, action);
+    if (blockers.length) {
+      entry.outcome = 'blocked';
+      entry.detail  = blockers.map(b => `${b.key}: ${b.detail}`).join('; ');
+      return entry;
+    }
+    switch (action) {
+      case 'approve':         await submitPullRequestReview(org, pr.repo, pr.number, 'APPROVE', body); break;
+      case 'request_changes': await submitPullRequestReview(org, pr.repo, pr.number, 'REQUEST_CHANGES', body); break;
+      case 'auto_merge':      await enablePullRequestAutoMerge(policy.id, method); break;
+      case 'merge':           await mergePullRequest(org, pr.repo, pr.number, method, policy.headSha); break;
+      case 'update_branch':   await updatePullRequestBranch(org, pr.repo, pr.number, policy.headSha); break;
+    }
+    entry.outcome = 'done';
+  } catch (e) {
+    entry.outcome = 'failed';
+    entry.detail  = e.message;
+  }
+  return entry;
+}
+
+async function runPRAction(id, action) {
+  const pr = store.get('prs', id);
+  if (!pr) return;
+  const method = document.getElementById('pr-action-method')?.value || 'squash';
+  const body   = document.getElementById('pr-action-body')?.value.trim() || '';
+  if (action === 'request_changes' && !body) {
+    showToast('Say what needs to change in the review comment', 'error');
+    return;
+  }
+  const { label } = PR_ACTIONS[action];
+  if (action === 'merge' && !confirm(`${method} merge ${pr.repo} #${pr.number}?`)) return;
+
+  const result = document.getElementById('pr-action-result');
+  if (result) result.innerHTML = `<span class="text-xs text-muted">${label}…</span>`;
+  const entry = await performPRAction(pr, action, { method, body });
+  appendPRAudit([entry]);
+  if (result) result.innerHTML = auditOutcome(entry);
+  showToast(`${label} ${esc(pr.repo)} #${pr.number}: ${entry.outcome}`,
+    { done: 'success', blocked: 'warning', failed: 'error' }[entry.outcome]);
+  const policy = State.prPolicies[id];
+  if (policy && State.drawerItem?.id === id) {
+    document.getElementById('pr-policy').innerHTML = policyTable(policy);
+    renderPRActionButtons(pr, policy);
+  }
+  if (entry.outcome === 'done') loadOrgSnapshot(true);
+}
+
+// One at a time, so a merge that moves the base branch is seen by the
+// next PR's policy check.
+async function bulkMergePRs() {
+  const prs = [...State.prSelection].map(id => store.get('prs', id)).filter(Boolean);
+  if (!prs.length) return;
+  if (!getToken()) {
+    showToast('Add a token with repo scope to merge PRs', 'error');
+    return;
+  }
+  const method = document.getElementById('pr-bulk-method')?.value || 'squash';
+  if (!confirm(`${method} merge ${prs.length} PR(s)? Each is merged only if it passes the policy check.`)) return;
+
+  State.drawerItem = { kind: 'pr-bulk' };
+  openDrawer(`Merge ${prs.length} PR${prs.length === 1 ? '' : 's'}`, `
+    <div class="data-table-wrap"><table>
+      <thead><tr><th>Pull request</th><th>Result</th></tr></thead>
+      <tbody>${prs.map(pr => `<tr>
+        <td class="text-xs">${esc(pr.repo)} #${pr.number}<br /><span class="text-muted">${esc(pr.title)}</span></td>
+        <td class="text-xs" data-pr-result="${esc(pr.id)}"><span class="text-muted">queued</span></td>
+      </tr>`).join('')}</tbody>
+    </table></div>`);
+
+  const entries = [];
+  for (const pr of prs) {
+    const cell = [...document.querySelectorAll('[data-pr-result]')].find(c => c.dataset.prResult === pr.id);
+    if (cell) cell.innerHTML = '<span class="text-muted">checking policy…</span>';
+    const entry = await performPRAction(pr, 'merge', { method });
+    entries.push(entry);
+    appendPRAudit([entry]);
+    if (cell) cell.innerHTML = auditOutcome(entry);
+    if (entry.outcome === 'done') State.prSelection.delete(pr.id);
+  }
+  const merged = entries.filter(e => e.outcome === 'done').length;
+  showToast(`Merged ${merged} of ${prs.length} PR(s)`, merged === prs.length ? 'success' : 'warning');
+  loadOrgSnapshot(true);
+}
+
+/* ── PR action audit log ── */
+const PR_AUDIT_KEY = 'iacp_pr_audit_log';
+const PR_AUDIT_MAX = 200;
+
+function prAuditLog() {
+  try { return JSON.parse(localStorage.getItem(PR_AUDIT_KEY)) || []; } catch { return []; }
+}
+
+function appendPRAudit(entries) {
+  localStorage.setItem(PR_AUDIT_KEY, JSON.stringify([...entries, ...prAuditLog()].slice(0, PR_AUDIT_MAX)));
+  renderPRAuditLog();
+}
+
+function auditOutcome(entry) {
+  const cls = { done: 'text-success', blocked: 'text-warning', failed: 'text-danger' }[entry.outcome];
+  const icon = { done: '✓', blocked: '⛔', failed: '✗' }[entry.outcome];
+  return `<span class="${cls}">${icon} ${entry.outcome}</span>${entry.detail ? ` <span class="text-muted">${esc(entry.detail)}</span>` : ''}`;
+}
+
+function renderPRAuditLog() {
+  const el = document.getElementById('pr-audit');
+  if (!el) return;
+  const log = prAuditLog();
+  el.innerHTML = log.length ? `<div class="data-table-wrap"><table>
+    <thead><tr><th>When</th><th>Who</th><th>Action</th><th>Pull request</th><th>Policy</th><th>Outcome</th></tr></thead>
+    <tbody>${log.map(e => `<tr>
+      <td class="text-xs text-muted" title="${esc(e.at)}">${relativeTime(e.at)}</td>
+      <td class="text-xs">${esc(e.actor || '—')}</td>
+      <td class="text-xs">${esc(PR_ACTIONS[e.action]?.label || e.action)}${e.method ? ` (${esc(e.method)})` : ''}</td>
+      <td class="text-xs truncate" style="max-width:220px" title="${esc(e.title)}">${esc(e.repo)} #${e.number}${e.sha ? ` <span class="font-mono text-muted">${esc(e.sha.slice(0, 7))}</span>` : ''}</td>
+      <td class="text-xs">${e.policy ? POLICY_CONTROLS.map(c => `<span title="${c.label}">${policyBadge({ state: e.policy[c.key] })}</span>`).join(' ') : '—'}</td>
+      <td class="text-xs">${auditOutcome(e)}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>` : '<div class="text-xs text-muted">No PR actions yet.</div>';
+}
+
+function exportPRAuditLog() {
+  const blob = new Blob([JSON.stringify(prAuditLog(), null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `pr-audit-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function reviewBadge(decision) {
+  const [cls, label] = {
+    APPROVED:          ['badge-success', 'approved'],
+    CHANGES_REQUESTED: ['badge-danger',  'changes requested'],
+    REVIEW_REQUIRED:   ['badge-warning', 'review required'],
+  }[decision] || ['badge-muted', 'no review rule'];
+  return `<span class="badge ${cls}">${label}</span>`;
+}
+
+function checksBadge(state) {
+  if (!state) return '<span class="badge badge-muted">no checks</span>';
+  return `<span class="badge ${ROLLUP_BADGES[state] || 'badge-muted'}">${state.toLowerCase()}</span>`;
+}
+
+/* ── Org snapshot (PRs, protection, head status, vuln alerts) ── */
+const SNAPSHOT_TTL_MS = 5 * 60 * 1000;
+
+// Shared by every section that needs PR or default-branch data; concurrent
+// callers get the same in-flight request. PRs replace the prs collection;
+// repo fields are merged into the indexed repos.
+function loadOrgSnapshot(force = false) {
+  if (!getToken() || isOffline()) return Promise.resolve(null);
+  return store.load('org-snapshot', async () => {
+    try {
+      const snapshot = await fetchOrgSnapshot(getOrg());
+      const meta = { source: 'live', fetchedAt: snapshot.fetchedAt };
+      store.put('prs', Object.values(snapshot.prs), meta);
+      if (snapshot.viewer?.login) store.set('reports', 'viewer', snapshot.viewer, meta);
+      store.merge('repos', Object.values(snapshot.repos), { ...meta, idOf: r => r.name });
+      return snapshot;
+    } catch (e) {
+      showToast(`Org snapshot failed: ${esc(e.message)}`, 'error');
+      return null;
+    }
+  }, { ttl: SNAPSHOT_TTL_MS, force });
+}
+
+function openPRs() {
+  return store.all('prs').sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/* ============================================================
+   INDUSTRY REPO CATEGORIZATION
+   Repo cards grouped by category. Selected cards can be bulk
+   edited: topics, description, archived, visibility — previewed
+   as a diff first, and logged so a batch can be undone.
+   ============================================================ */
+async function loadIndustry() {
+  const el = document.getElementById('industry-repos');
+  if (!el) return;
+
+  const groups = {};
+  for (const c of CATEGORIES) groups[c] = [];
+  const repos = store.all('repos');
+  for (const r of repos) {
+    const cat = categorizeRepo(r);
+    (groups[cat] = groups[cat] || []).push(r);
+  }
+  // Drop selections of repos that are gone from the index.
+  for (const name of State.repoSelection) if (!store.get('repos', name)) State.repoSelection.delete(name);
+  renderBulkBar();
+  renderRepoUndoLog();
+
+  if (!repos.length) {
+    el.innerHTML = emptyState('No repos loaded yet. Sync the org index from Settings.');
+    return;
+  }
+
+  el.innerHTML = CATEGORIES.filter(c => groups[c].length > 0).map(cat => {
+    const allSelected = groups[cat].every(r => State.repoSelection.has(r.name));
+    return `
+    <div class="card mb-4">
+      <div class="card-header">
+        <div class="card-title">${catEmoji(cat)} ${cat.toUpperCase()} <span class="badge badge-muted">${groups[cat].length}</span></div>
+        <label class="text-xs text-muted flex items-center gap-2">
+          <input type="checkbox" ${allSelected ? 'checked' : ''} data-category="${cat}" onchange="IACP.selectCategoryRepos(this.dataset.category, this.checked)"> Select all
+        </label>
+      </div>
+      <div class="repo-grid">
+        ${groups[cat].map(r => `
+          <div class="repo-card${State.repoSelection.has(r.name) ? ' selected' : ''}" data-url="${esc(r.url)}" onclick="window.open(this.dataset.url,'_blank')">
+            <div class="repo-card-header">
+              <div class="flex items-center gap-2">
+                <input type="checkbox" aria-label="Select ${esc(r.name)}" ${State.repoSelection.has(r.name) ? 'checked' : ''}
+                  data-repo="${esc(r.name)}" onclick="event.stopPropagation()" onchange="IACP.toggleRepoSelection(this.dataset.repo, this.checked)">
+                <div class="repo-name">${esc(r.name)}</div>
+              </div>
+              ${r.isArchived ? `<span class="badge badge-warning">archived</span>` : ''}
+              ${r.isPrivate ? `<span class="badge badge-muted">private</span>` : `<span class="badge badge-info">public</span>`}
+            </div>
+            <div class="repo-desc">${esc(r.description || 'No description')}</div>
+            ${repoTopics(r).length ? `<div class="mb-2">${repoTopics(r).map(t => `<span class="label-chip">${esc(t)}</span>`).join('')}</div>` : ''}
+            <div class="repo-meta">
+              ${r.primaryLanguage ? `<span>🔵 ${esc(r.primaryLanguage.name)}</span>` : ''}
+              <span>⭐ ${r.stargazerCount || 0}</span>
+              <span>🔀 ${r.openPullRequests?.totalCount || 0} PRs</span>
+            </div>
+          </div>`).join('')}
+      </div>
+    </div>`;
+  }).join('');
+}
+
+function catEmoji(c) {
+  return { core:'⚡', discovery:'🔍', sandbox:'🧪', industry:'🏭',
+           memory:'🧠', tools:'🛠️', archive:'📦', other:'📁' }[c] || '📁';
+}
+
+const repoVisibility = r => (r?.visibility || (r?.isPrivate ? 'private' : 'public')).toLowerCase();
+
+function toggleRepoSelection(name, on) {
+  if (on) State.repoSelection.add(name); else State.repoSelection.delete(name);
+  loadIndustry();
+}
+
+function selectCategoryRepos(cat, on) {
+  for (const r of store.all('repos', r => categorizeRepo(r) === cat)) {
+    if (on) State.repoSelection.add(r.name); else State.repoSelection.delete(r.name);
+  }
+  loadIndustry();
+}
+
+function clearRepoSelection() {
+  State.repoSelection.clear();
+  loadIndustry();
+}
+
+function renderBulkBar() {
+  const el = document.getElementById('industry-bulkbar');
+  if (!el) return;
+  const n = State.repoSelection.size;
+  el.innerHTML = n ? `
+    <div class="bulk-bar mb-4">
+      <strong>${n}</strong> repo${n === 1 ? '' : 's'} selected
+      <button class="btn btn-sm btn-primary" onclick="IACP.openBulkRepoEdit()">✎ Bulk edit…</button>
+      <button class="btn btn-sm" onclick="IACP.clearRepoSelection()">Clear</button>
+    </div>` : '';
+}
+
+/* ── Bulk edit ──────────────────────────────────────────────── */
+// GitHub's topic rules: lowercase letters, digits and hyphens, 50 max.
+const TOPIC_NAME = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+const topicList = v => v.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+
+// Topics after `edit`: an exact list (undo) or additions and removals.
+function nextTopics(current, edit) {
+  if (edit.topics) return edit.topics;
+  const removed = new Set(edit.removeTopics || []);
+  const kept = current.filter(t => !removed.has(t));
+  return [...kept, ...(edit.addTopics || []).filter(t => !kept.includes(t))];
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+/**
+ * What `edit` would change on `repo`, from the indexed data:
+ * { changes: { field: [before, after] }, error, category: [from, to] }.
+ */
+function planRepoEdit(r, edit) {
+  const before = { topics: repoTopics(r), description: r.description || '', archived: !!r.isArchived, visibility: repoVisibility(r) };
+  const after  = {
+    topics:      nextTopics(before.topics, edit),
+    description: edit.description ?? before.description,
+    archived:    edit.archived ?? before.archived,
+    visibility:  edit.visibility || before.visibility,
+  };
+  const changes = {};
+  for (const key of Object.keys(before)) {
+    const differs = key === 'topics' ? !sameList(before.topics, after.topics) : before[key] !== after[key];
+    if (differs) changes[key] = [before[key], after[key]];
+  }
+  const editsContent = Object.keys(changes).some(k => k !== 'archived');
+  const error = before.archived && after.archived && editsContent
+    ? 'Archived repos are read-only — unarchive in the same batch to edit it' : null;
+  const moved = { ...r, isArchived: after.archived, repositoryTopics: { nodes: after.topics.map(name => ({ topic: { name } })) } };
+  return { repo: r.name, changes, error, category: [categorizeRepo(r), categorizeRepo(moved)] };
+}
+
+function openBulkRepoEdit() {
+  const n = State.repoSelection.size;
+  if (!n) return;
+  if (!getToken()) {
+    showToast('Add a token with admin rights on these repos to edit them', 'error');
+    return;
+  }
+  State.bulkPlan = null;
+  openDrawer(`Bulk edit ${n} repo${n === 1 ? '' : 's'}`, `
+    <div class="text-xs text-muted mb-4">${[...State.repoSelection].sort().map(esc).join(', ')}</div>
+    <div class="form-group">
+      <label for="bulk-add-topics">Add topics</label>
+      <input class="form-input" id="bulk-add-topics" placeholder="comma,separated — e.g. iacp-category-tools">
+    </div>
+    <div class="form-group">
+      <label for="bulk-remove-topics">Remove topics</label>
+      <input class="form-input" id="bulk-remove-topics" placeholder="comma,separated">
+    </div>
+    <div class="form-group">
+      <label class="flex items-center gap-2"><input type="checkbox" id="bulk-set-description"
+        onchange="document.getElementById('bulk-description').disabled = !this.checked"> Set description</label>
+      <input class="form-input" id="bulk-description" disabled placeholder="Leave empty to clear">
+    </div>
+    <div class="form-group">
+      <label for="bulk-archived">Archive</label>
+      <select class="form-input" id="bulk-archived">
+        <option value="">No change</option>
+        <option value="true">Archive</option>
+        <option value="false">Unarchive</option>
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="bulk-visibility">Visibility</label>
+      <select class="form-input" id="bulk-visibility">
+        <option value="">No change</option>
+        <option value="public">Public</option>
+        <option value="private">Private</option>
+        <option value="internal">Internal (Enterprise orgs)</option>
+      </select>
+    </div>
+    <button class="btn btn-primary mb-4" onclick="IACP.previewBulkRepoEdit()">Preview changes</button>
+    <div id="bulk-plan"></div>`);
+}
+
+function readBulkEdit() {
+  const addTopics    = topicList(document.getElementById('bulk-add-topics').value);
+  const removeTopics = topicList(document.getElementById('bulk-remove-topics').value);
+  const bad = [...addTopics, ...removeTopics].filter(t => !TOPIC_NAME.test(t));
+  if (bad.length) throw new Error(`Not a valid topic: ${bad.join(', ')} (lowercase letters, digits and hyphens)`);
+  const archived = document.getElementById('bulk-archived').value;
+  return {
+    addTopics, removeTopics,
+    description: document.getElementById('bulk-set-description').checked ? document.getElementById('bulk-description').value.trim() : null,
+    archived:    archived ? archived === 'true' : null,
+    visibility:  document.getElementById('bulk-visibility').value || null,
+  };
+}
+
+function formatRepoValue(key, v) {
+  if (key === 'topics') return v.length ? v.map(t => `<span class="label-chip">${esc(t)}</span>`).join('') : '<span class="text-muted">none</span>';
+  if (key === 'description') return v ? esc(v) : '<span class="text-muted">empty</span>';
+  if (key === 'archived') return v ? 'archived' : 'active';
+  return esc(v);
+}
+
+async function previewBulkRepoEdit() {
+  let edit;
+  try {
+    edit = readBulkEdit();
+  } catch (e) {
+    showToast(esc(e.message), 'error');
+    return;
+  }
+  const el = document.getElementById('bulk-plan');
+  el.innerHTML = skeletonRows(State.repoSelection.size);
+  // The index holds at most 10 topics per repo and may be hours old.
+  if (edit.addTopics.length || edit.removeTopics.length) {
+    await Promise.all([...State.repoSelection].map(async name => {
+      const names = await fetchRepoTopics(getOrg(), name).catch(() => null);
+      if (names) store.patch('repos', name, repoPatch({ topics: names }));
+    }));
+  }
+  const plans = [...State.repoSelection].sort().map(name => planRepoEdit(store.get('repos', name), edit));
+  State.bulkPlan = { edit, plans };
+  const todo = plans.filter(p => !p.error && Object.keys(p.changes).length);
+  el.innerHTML = `
+    <div class="drawer-section-title">Dry run</div>
+    <div class="data-table-wrap mb-2"><table class="data-table">
+      <thead><tr><th>Repo</th><th>Change</th><th>Before</th><th>After</th><th>Result</th></tr></thead>
+      <tbody>${plans.map(p => {
+        const keys = Object.keys(p.changes);
+        const rows = keys.length ? keys.map(k => [k, ...p.changes[k]]) : [[null]];
+        const moves = p.category[0] !== p.category[1] ? `<div class="text-xs text-muted">category ${esc(p.category[0])} → <strong>${esc(p.category[1])}</strong></div>` : '';
+        return rows.map(([k, before, after], i) => `<tr>
+          ${i === 0 ? `<td rowspan="${rows.length}" class="font-mono text-xs">${esc(p.repo)}${moves}</td>` : ''}
+          ${k ? `<td class="text-xs">${k}</td><td class="text-xs">${formatRepoValue(k, before)}</td><td class="text-xs">${formatRepoValue(k, after)}</td>`
+              : '<td colspan="3" class="text-xs text-muted">No change</td>'}
+          ${i === 0 ? `<td rowspan="${rows.length}" class="text-xs" data-result="${esc(p.repo)}">${p.error ? `<span class="text-danger">${esc(p.error)}</span>` : ''}</td>` : ''}
+        </tr>`).join('');
+      }).join('')}</tbody>
+    </table></div>
+    ${edit.visibility || edit.archived != null ? `<div class="alert alert-warning mb-2"><span>⚠</span><span>Visibility and archive changes need admin rights and take effect immediately.</span></div>` : ''}
+    <button class="btn btn-primary" id="bulk-apply-btn" ${todo.length ? '' : 'disabled'} onclick="IACP.applyBulkRepoEdit()">
+      Apply to ${todo.length} repo${todo.length === 1 ? '' : 's'}</button>`;
+}
+
+/**
+ * Apply `edit` to one repo. Archived repos are read-only, so an unarchive
+ * goes first and an archive last. `done` collects { before, after } of
+ * each step as it succeeds, so a failure part-way is still logged.
+ */
+async function applyRepoEdit(org, name, edit, done) {
+  const r = store.get('repos', name);
+  const step = (key, before, after) => { done.before[key] = before; done.after[key] = after; };
+
+  if (edit.archived === false && r.isArchived) {
+    await updateRepo(org, name, { archived: false });
+    step('archived', true, false);
+  }
+  if (edit.topics || edit.addTopics?.length || edit.removeTopics?.length) {
+    // The index only has the first 10 topics; work from the full list.
+    const live = await fetchRepoTopics(org, name);
+    const next = nextTopics(live, edit);
+    if (!sameList(live, next)) {
+      step('topics', live, await replaceRepoTopics(org, name, next));
+    }
+  }
+  if (edit.description != null && edit.description !== (r.description || '')) {
+    await updateRepo(org, name, { description: edit.description });
+    step('description', r.description || '', edit.description);
+  }
+  if (edit.visibility && edit.visibility !== repoVisibility(r)) {
+    await updateRepo(org, name, { visibility: edit.visibility });
+    step('visibility', repoVisibility(r), edit.visibility);
+  }
+  if (edit.archived === true && !r.isArchived) {
+    await updateRepo(org, name, { archived: true });
+    step('archived', false, true);
+  }
+}
+
+// The index entry after `after` was applied.
+function repoPatch(after) {
+  const p = {};
+  if ('topics' in after)      p.repositoryTopics = { nodes: after.topics.map(name => ({ topic: { name } })) };
+  if ('description' in after) p.description = after.description;
+  if ('archived' in after)    p.isArchived = after.archived;
+  if ('visibility' in after)  Object.assign(p, { visibility: after.visibility.toUpperCase(), isPrivate: after.visibility !== 'public' });
+  return p;
+}
+
+// Run `edits` ([{ repo, edit }]) one repo at a time, reporting into the
+// dry-run table, and log what changed as one undoable batch.
+async function runRepoEdits(label, edits) {
+  const org = getOrg();
+  const batch = { id: Date.now().toString(36), at: new Date().toISOString(), label, repos: [] };
+  let failed = 0;
+  for (const { repo, edit } of edits) {
+    const cell = [...document.querySelectorAll('[data-result]')].find(c => c.dataset.result === repo);
+    if (cell) cell.innerHTML = '<span class="text-muted">…</span>';
+    const done = { before: {}, after: {} };
+    try {
+      await applyRepoEdit(org, repo, edit, done);
+      if (cell) cell.innerHTML = `<span class="text-success">✓ ${Object.keys(done.after).length ? 'applied' : 'already set'}</span>`;
+    } catch (e) {
+      failed++;
+      if (cell) cell.innerHTML = `<span class="text-danger">✗ ${esc(e.message)}</span>`;
+    }
+    if (Object.keys(done.after).length) {
+      store.patch('repos', repo, repoPatch(done.after));
+      batch.repos.push({ repo, ...done });
+    }
+  }
+  if (batch.repos.length) saveRepoUndoLog([batch, ...repoUndoLog()].slice(0, REPO_UNDO_MAX));
+  renderRepoUndoLog();
+  return { batch, failed };
+}
+
+async function applyBulkRepoEdit() {
+  const plan = State.bulkPlan;
+  if (!plan) return;
+  const btn = document.getElementById('bulk-apply-btn');
+  btn.disabled = true;
+  btn.textContent = 'Applying…';
+  const edits = plan.plans.filter(p => !p.error && Object.keys(p.changes).length).map(p => ({ repo: p.repo, edit: plan.edit }));
+  const { batch, failed } = await runRepoEdits(describeRepoEdit(plan.edit), edits);
+  btn.textContent = 'Done';
+  showToast(failed ? `${failed} of ${edits.length} repos failed — see the results` : `Updated ${batch.repos.length} repos`,
+    failed ? 'error' : 'success');
+}
+
+function describeRepoEdit(edit) {
+  return [
+    edit.addTopics?.length    && `+${edit.addTopics.join(', +')}`,
+    edit.removeTopics?.length && `−${edit.removeTopics.join(', −')}`,
+    edit.description != null  && 'description',
+    edit.archived != null     && (edit.archived ? 'archive' : 'unarchive'),
+    edit.visibility,
+  ].filter(Boolean).join(' · ');
+}
+
+/* ── Undo log ───────────────────────────────────────────────── */
+const REPO_UNDO_KEY = 'iacp_repo_undo_log';
+const REPO_UNDO_MAX = 20;
+
+function repoUndoLog() {
+  try { return JSON.parse(localStorage.getItem(REPO_UNDO_KEY)) || []; } catch { return []; }
+}
+
+function saveRepoUndoLog(log) {
+  localStorage.setItem(REPO_UNDO_KEY, JSON.stringify(log));
+}
+
+function renderRepoUndoLog() {
+  const el = document.getElementById('industry-undo');
+  if (!el) return;
+  const log = repoUndoLog();
+  el.innerHTML = log.length ? `
+    <div class="card mb-4">
+      <div class="card-header">
+        <div class="card-title"><span class="card-icon">↶</span> Bulk edit log <span class="badge badge-muted">${log.length}</span></div>
+      </div>
+      ${log.map(b => `
+        <div class="flex items-center gap-2 text-xs mb-2">
+          <span class="text-muted">${relativeTime(b.at)}</span>
+          <span><strong>${esc(b.label)}</strong> on ${b.repos.length} repo${b.repos.length === 1 ? '' : 's'}</span>
+          <span class="text-muted truncate">${b.repos.map(r => esc(r.repo)).join(', ')}</span>
+          ${b.undone ? '<span class="badge badge-muted" style="margin-left:auto">undone</span>'
+            : `<button class="btn btn-xs" style="margin-left:auto" onclick="IACP.undoRepoBatch('${b.id}')">↶ Undo</button>`}
+        </div>`).join('')}
+    </div>` : '';
+}
+
+// Put back the `before` values of a batch; logged as a batch itself.
+async function undoRepoBatch(id) {
+  const batch = repoUndoLog().find(b => b.id === id);
+  if (!batch || batch.undone) return;
+  if (!confirm(`Undo "${batch.label}" on ${batch.repos.length} repo(s)?`)) return;
+  const edits = batch.repos.map(({ repo, before }) => ({ repo, edit: { ...before } }));
+  const { failed } = await runRepoEdits(`Undo: ${batch.label}`, edits);
+  if (!failed) saveRepoUndoLog(repoUndoLog().map(b => b.id === id ? { ...b, undone: true } : b));
+  renderRepoUndoLog();
+  showToast(failed ? `Undo failed for ${failed} repo(s)` : `Undid "${esc(batch.label)}"`, failed ? 'error' : 'success');
+}
+
+/* ============================================================
+   REPO CATEGORY RULES (config/categories.yml)
+   The committed file, unless this browser has a saved draft.
+   Settings edits either, with a preview of what moves.
+   ============================================================ */
+const CATEGORY_DRAFT_KEY = 'iacp_category_draft';
+
+function loadCategoryConfig({ force = false } = {}) {
+  if (isOffline()) return applyCategoryConfig();
+  return store.load('category-config', async () => {
+    const loaded = await loadConfigText(CATEGORY_CONFIG_PATH);
+    if (loaded) {
+      try {
+        const config = await parseConfig(loaded.text, CATEGORY_CONFIG_SCHEMA);
+        compileCategories(config);
+        store.set('reports', 'category-config', { text: loaded.text, config }, { source: loaded.source });
+      } catch (e) {
+        showToast(`${CATEGORY_CONFIG_PATH} is invalid — ${esc(e.reason || e.message)}`, 'error');
+      }
+    }
+    await applyCategoryConfig();
+  }, { ttl: BOARD_CONFIG_TTL_MS, force });
+}
+
+// Make categorizeRepo() use the draft, else the committed file, else the
+// built-in rules, and redraw whatever is grouped by category.
+async function applyCategoryConfig() {
+  let config = store.get('reports', 'category-config')?.config || DEFAULT_CATEGORY_CONFIG;
+  const draft = localStorage.getItem(CATEGORY_DRAFT_KEY);
+  if (draft) {
+    try { config = await parseConfig(draft, CATEGORY_CONFIG_SCHEMA); } catch { /* Settings shows why */ }
+  }
+  setCategoryConfig(config);
+  // A new set of discovery repos needs their runs fetched, not just a redraw.
+  const view = SECTION_VIEWS[State.section];
+  if (State.section === 'discovery') loadDiscovery();
+  else if (view?.kinds.includes('repos')) view.render();
+}
+
+function categoryConfigText() {
+  return localStorage.getItem(CATEGORY_DRAFT_KEY)
+    ?? store.get('reports', 'category-config')?.text
+    ?? `# Built-in rules: ${CATEGORY_CONFIG_PATH} could not be loaded.\n${JSON.stringify(DEFAULT_CATEGORY_CONFIG, null, 2)}\n`;
+}
+
+function renderCategorySettings() {
+  const input = document.getElementById('category-rules');
+  if (!input) return;
+  input.value = categoryConfigText();
+  const committed = store.get('reports', 'category-config');
+  document.getElementById('category-source').innerHTML = localStorage.getItem(CATEGORY_DRAFT_KEY) != null
+    ? `<span class="badge badge-warning">draft</span> Saved in this browser; overrides <code>${CATEGORY_CONFIG_PATH}</code>.`
+    : committed
+      ? `<span class="badge badge-success">committed</span> <code>${CATEGORY_CONFIG_PATH}</code>`
+      : `<span class="badge badge-muted">built-in</span> <code>${CATEGORY_CONFIG_PATH}</code> not loaded`;
+  previewCategories();
+}
+
+let categoryPreviewTimer = null;
+
+function previewCategoriesLater() {
+  clearTimeout(categoryPreviewTimer);
+  categoryPreviewTimer = setTimeout(previewCategories, 250);
+}
+
+// Which repos the rules in the textarea would move, and why.
+async function previewCategories() {
+  const el = document.getElementById('category-preview');
+  const text = document.getElementById('category-rules')?.value;
+  if (!el || text == null) return null;
+  let rules;
+  try {
+    rules = compileCategories(await parseConfig(text, CATEGORY_CONFIG_SCHEMA));
+  } catch (e) {
+    el.innerHTML = `<div class="alert alert-warning"><span>⚠</span><span>${esc(e.reason || e.message)}</span></div>`;
+    return null;
+  }
+  const repos = store.all('repos').sort((a, b) => a.name.localeCompare(b.name));
+  const moves = repos
+    .map(r => ({ repo: r, from: categorizeRepo(r), ...explainCategory(r, rules) }))
+    .filter(m => m.category !== m.from);
+  const counts = {};
+  for (const r of repos) {
+    const c = explainCategory(r, rules).category;
+    counts[c] = (counts[c] || 0) + 1;
+  }
+  el.innerHTML = `
+    <div class="text-xs text-muted mb-2">${CATEGORIES.filter(c => counts[c]).map(c => `${catEmoji(c)} ${c} ${counts[c]}`).join(' · ') || 'No repos loaded yet.'}</div>
+    ${moves.length ? `<div class="data-table-wrap"><table class="data-table">
+      <thead><tr><th>Repo</th><th>Now</th><th>With these rules</th><th>Why</th></tr></thead>
+      <tbody>${moves.map(m => `<tr>
+        <td class="font-mono text-xs">${esc(m.repo.name)}</td>
+        <td><span class="badge badge-muted">${esc(m.from)}</span></td>
+        <td><span class="badge badge-info">${esc(m.category)}</span></td>
+        <td class="text-xs text-muted">${esc(m.reason)}</td>
+      </tr>`).join('')}</tbody>
+    </table></div>` : '<div class="text-xs text-muted">No repo changes category.</div>'}`;
+  return rules;
+}
+
+async function saveCategoryDraft() {
+  const text = document.getElementById('category-rules').value;
+  if (!await previewCategories()) { showToast('Fix the rules before saving', 'error'); return; }
+  localStorage.setItem(CATEGORY_DRAFT_KEY, text);
+  await applyCategoryConfig();
+  renderCategorySettings();
+  showToast('Category rules saved in this browser', 'success');
+}
+
+async function discardCategoryDraft() {
+  localStorage.removeItem(CATEGORY_DRAFT_KEY);
+  await applyCategoryConfig();
+  renderCategorySettings();
+}
+
+async function commitCategoryConfig() {
+  if (!getToken()) { showToast('Add a token in Settings to commit', 'error'); return; }
+  const text = document.getElementById('category-rules').value;
+  if (!await previewCategories()) { showToast('Fix the rules before committing', 'error'); return; }
+  const config = await parseConfig(text, CATEGORY_CONFIG_SCHEMA);
+  const btn = document.getElementById('category-commit-btn');
+  btn.disabled = true;
+  try {
+    const current = await fetchFile(getOrg(), ADMIN_REPO, CATEGORY_CONFIG_PATH);
+    const { pr } = await commitOrPropose(ADMIN_REPO, CATEGORY_CONFIG_PATH, {
+      content: text, sha: current?.sha,
+      message: `config: update repo category rules`,
+      branch:  `iacp/categories-${Date.now().toString(36)}`,
+      prBody:  `Edits \`${CATEGORY_CONFIG_PATH}\` from the dashboard's Settings.`,
+    });
+    if (pr) {
+      // Keep the draft in effect here until the PR merges.
+      localStorage.setItem(CATEGORY_DRAFT_KEY, text);
+      showToast(`Opened PR #${pr.number} for ${CATEGORY_CONFIG_PATH}`, 'success');
+    } else {
+      store.set('reports', 'category-config', { text, config }, { source: 'live' });
+      localStorage.removeItem(CATEGORY_DRAFT_KEY);
+      showToast(`Committed ${CATEGORY_CONFIG_PATH}`, 'success');
+    }
+    await applyCategoryConfig();
+    renderCategorySettings();
+  } catch (e) {
+    showToast(`Commit failed: ${esc(e.message)}`, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/* ============================================================
+   REPO WRITES
+   ============================================================ */
+// The write was refused because the branch only takes pull requests.
+const requiresPullRequest = e => [403, 409, 422].includes(e.status)
+  && /protected branch|rule violation|through a pull request/i.test(e.message);
+
+/**
+ * Commit one file to the default branch of `repo`; when branch protection
+ * refuses, push it to the new `branch` and open a PR instead.
+ * Returns { pr, branch } — pr is null for a direct commit.
+ */
+async function commitOrPropose(repo, path, { content, message, sha, branch, prBody }) {
+  const org = getOrg();
+  try {
+    await putFile(org, repo, path, { content, message, sha });
+    return { pr: null, branch: null };
+  } catch (e) {
+    if (!requiresPullRequest(e)) throw e;
+  }
+  const info = store.get('repos', repo);
+  const base = info?.defaultBranchRef?.name || info?.defaultBranch || 'main';
+  await createBranch(org, repo, branch, await fetchBranchHead(org, repo, base));
+  await putFile(org, repo, path, { content, message, sha, branch });
+  const pr = await createPullRequest(org, repo, { title: message, head: branch, base, body: prBody });
+  return { pr, branch };
+}
+
+/* ============================================================
+   MEMORY VIEWER
+   The snapshot from memory-sync.yml, plus (with a token) older
+   commits paged live from infinity-core-memory. Entries are
+   plain text here; the drawer renders their source as markdown.
+   ============================================================ */
+const MEMORY_TYPES = {
+  decision:   { label: 'Decisions',   fill: '' },
+  deployment: { label: 'Deployments', fill: 'success' },
+  risk:       { label: 'Risk Logs',   fill: 'danger' },
+  benchmark:  { label: 'Benchmarks',  fill: 'warning' },
+  commit:     { label: 'Commits',     fill: '' },
+};
+const MEMORY_PAGE_SIZE = 30;
+
+const memoryId   = e => `${e.timestamp}|${e.title}`;
+const memoryType = e => e.type || 'log';
+// Local calendar day as YYYY-MM-DD, comparable with <input type="date">.
+const memoryDay  = ts => new Date(ts).toLocaleDateString('en-CA');
+
+// Live commit entries carry the full SHA; snapshot ones only have the
+// short form memory-sync.yml writes into the body.
+function memorySha(e) {
+  if (e.sha) return e.sha;
+  return e.type === 'commit' ? /SHA: ([0-9a-f]{7,40})/.exec(e.body || '')?.[1] || null : null;
+}
+
+async function loadMemory() {
+  await loadMemoryEntries();
+  renderMemory();
+  if (getToken() && !isOffline() && !State.memoryHistory.page) await loadOlderMemory();
+}
+
+function loadMemoryEntries(force = false) {
+  return store.load('memory-snapshot', async () => {
+    const snapshot = await loadMemorySnapshot();
+    putMemorySnapshot(snapshot);
+    return snapshot;
+  }, { ttl: REPO_INDEX_TTL_MS, force });
+}
+
+// Replaces the snapshot's entries but keeps commits paged in live and
+// entries recorded here since the snapshot was synced. An older recorded
+// entry is in the snapshot by now (under the sync's timestamp), or still
+// waiting in its PR.
+function putMemorySnapshot(snapshot) {
+  if (!snapshot?.entries) return;
+  const recordedSince = e => e.recorded && e.timestamp > snapshot.syncedAt;
+  store.put('memory', snapshot.entries,
+    { source: '_STATE', fetchedAt: snapshot.syncedAt, idOf: memoryId, scope: e => !e.sha && !recordedSince(e) });
+}
+
+// Same shape memory-sync.yml gives commits, so a commit already in the
+// snapshot lands on the same entry.
+function memoryCommitEntry(c) {
+  return {
+    type:      'commit',
+    timestamp: c.commit.author.date,
+    title:     c.commit.message.split('\n')[0].slice(0, 100),
+    body:      `Author: ${c.commit.author.name} · SHA: ${c.sha.slice(0, 8)}`,
+    sha:       c.sha,
+  };
+}
+
+async function loadOlderMemory() {
+  const h = State.memoryHistory;
+  if (h.loading || h.done) return;
+  h.loading = true;
+  renderMemoryMore();
+  try {
+    const commits = await fetchMemoryCommits(getOrg(), h.page + 1, MEMORY_PAGE_SIZE);
+    h.page++;
+    h.done = commits.length < MEMORY_PAGE_SIZE;
+    store.merge('memory', commits.map(memoryCommitEntry), { source: 'live', idOf: memoryId });
+  } catch (e) {
+    showToast(`Could not load memory history: ${esc(e.message)}`, 'error');
+  } finally {
+    h.loading = false;
+    renderMemory();
+  }
+}
+
+function memoryTerms(q) {
+  return q.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Escaped `text` with every occurrence of the search terms in <mark>.
+function markTerms(text, terms) {
+  const s = String(text ?? '');
+  if (!terms.length) return esc(s);
+  const lower = s.toLowerCase();
+  const hit   = new Array(s.length).fill(false);
+  for (const t of terms) {
+    for (let i = lower.indexOf(t); i !== -1; i = lower.indexOf(t, i + 1)) hit.fill(true, i, i + t.length);
+  }
+  let out = '';
+  for (let i = 0, j; i < s.length; i = j) {
+    for (j = i; j < s.length && hit[j] === hit[i]; j++);
+    out += hit[i] ? `<mark>${esc(s.slice(i, j))}</mark>` : esc(s.slice(i, j));
+  }
+  return out;
+}
+
+function memoryDayLabel(day) {
+  const today = memoryDay(Date.now());
+  if (day === today) return 'Today';
+  if (day === memoryDay(Date.now() - 864e5)) return 'Yesterday';
+  return new Date(`${day}T00:00`).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderMemory() {
+  const el = document.getElementById('memory-timeline');
+  if (!el) return;
+
+  const entries = store.all('memory').sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+  renderMemoryStats(entries);
+  renderMemoryMore();
+  const facets = document.getElementById('memory-facets');
+  if (!entries.length) {
+    if (facets) facets.innerHTML = '';
+    el.innerHTML = `
+      <div class="alert alert-info">
+        Memory snapshot not yet synced. The <code>memory-sync.yml</code> workflow will populate this view by reading from
+        <strong>${esc(getOrg())}/${MEMORY_REPO}</strong>.
+      </div>
+      ${sampleMemoryTimeline()}`;
+    return;
+  }
+
+  const f = State.memoryFilter;
+  const terms = memoryTerms(f.q);
+  // Facet counts honour the text and date filters but not the type filter,
+  // so each chip says how many entries selecting it would add.
+  const matching = entries.filter(e => {
+    const day = memoryDay(e.timestamp);
+    if ((f.from && day < f.from) || (f.to && day > f.to)) return false;
+    const text = `${e.title} ${e.body} ${memoryType(e)} ${(e.repos || []).join(' ')} ${(e.tags || []).join(' ')}`.toLowerCase();
+    return terms.every(t => text.includes(t));
+  });
+  const counts = {};
+  for (const e of matching) counts[memoryType(e)] = (counts[memoryType(e)] || 0) + 1;
+  const types = [...new Set([...Object.keys(MEMORY_TYPES), ...Object.keys(counts)])];
+  if (facets) {
+    facets.innerHTML = types.map(t => `
+      <button class="memory-facet ${t}${f.types.has(t) ? ' active' : ''}" aria-pressed="${f.types.has(t)}"
+        onclick="IACP.filterMemory('type', '${esc(t)}')">${esc(t)} <span class="text-muted">${counts[t] || 0}</span></button>`).join('')
+      + (f.q || f.types.size || f.from || f.to ? `<button class="btn btn-xs" onclick="IACP.clearMemoryFilters()">Clear</button>` : '');
+  }
+
+  const shown = matching.filter(e => !f.types.size || f.types.has(memoryType(e)));
+  const count = document.getElementById('memory-count');
+  if (count) count.textContent = shown.length === entries.length ? `${entries.length}` : `${shown.length} of ${entries.length}`;
+  if (!shown.length) {
+    el.innerHTML = emptyState('No entries match the filters.');
+    return;
+  }
+
+  const days = new Map();
+  for (const e of shown) {
+    const day = memoryDay(e.timestamp);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(e);
+  }
+  el.innerHTML = [...days].map(([day, list]) => `
+    <div class="memory-day">
+      <div class="memory-day-header">${esc(memoryDayLabel(day))} <span class="text-muted">· ${list.length}</span></div>
+      <div class="memory-timeline">
+        ${list.map(e => `
+          <div class="memory-entry ${esc(memoryType(e))}" data-id="${esc(memoryId(e))}" onclick="IACP.openMemoryEntry(this.dataset.id)">
+            <div class="memory-entry-time">${new Date(e.timestamp).toLocaleTimeString()} · ${esc(memoryType(e))}</div>
+            <div class="memory-entry-title">${markTerms(e.title, terms)}</div>
+            <div class="memory-entry-body">${markTerms(e.body, terms)}</div>
+            ${memoryEntryMeta(e, terms)}
+          </div>`).join('')}
+      </div>
+    </div>`).join('');
+}
+
+function memoryEntryMeta(e, terms = []) {
+  const chips = [
+    ...(e.repos || []).map(r => `<span class="label-chip">📁 ${markTerms(r, terms)}</span>`),
+    ...(e.tags || []).map(t => `<span class="label-chip">#${markTerms(t, terms)}</span>`),
+    ...runIdsIn(`${e.title}\n${e.body}`).map(id => runIdChip(id, markTerms(id, terms))),
+    e.pr ? `<span class="badge badge-warning">PR #${e.pr.number} open</span>` : '',
+  ].join('');
+  return chips ? `<div class="memory-entry-meta">${chips}</div>` : '';
+}
+
+function renderMemoryMore() {
+  const el = document.getElementById('memory-more');
+  if (!el) return;
+  const h = State.memoryHistory;
+  if (!getToken()) {
+    el.innerHTML = `<div class="text-xs text-muted">Add a token in Settings to page back through the full history of ${MEMORY_REPO}.</div>`;
+  } else if (h.done) {
+    el.innerHTML = `<div class="text-xs text-muted">Showing the full history of ${MEMORY_REPO}.</div>`;
+  } else {
+    el.innerHTML = `<button class="btn btn-sm" onclick="IACP.loadOlderMemory()" ${h.loading ? 'disabled' : ''}>
+      ${h.loading ? 'Loading…' : 'Load older commits'}</button>`;
+  }
+}
+
+function renderMemoryStats(entries) {
+  const el = document.getElementById('memory-stats');
+  if (!el) return;
+  const counts = {};
+  for (const e of entries) counts[memoryType(e)] = (counts[memoryType(e)] || 0) + 1;
+  const max = Math.max(1, ...Object.values(counts));
+  el.innerHTML = Object.entries(MEMORY_TYPES).map(([t, { label, fill }]) => `
+    <div>
+      <div style="display:flex;justify-content:space-between;font-size:11px;margin-bottom:4px">
+        <span>${label}</span><span class="font-bold">${counts[t] || 0}</span>
+      </div>
+      <div class="progress-bar"><div class="progress-fill ${fill}" style="width:${Math.round((counts[t] || 0) / max * 100)}%"></div></div>
+    </div>`).join('');
+}
+
+function filterMemory(key, value) {
+  const f = State.memoryFilter;
+  if (key === 'type') {
+    if (f.types.has(value)) f.types.delete(value); else f.types.add(value);
+  } else {
+    f[key] = value;
+  }
+  renderMemory();
+}
+
+function clearMemoryFilters() {
+  State.memoryFilter = { q: '', types: new Set(), from: '', to: '' };
+  for (const id of ['memory-search', 'memory-from', 'memory-to']) {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  }
+  renderMemory();
+}
+
+/* ── Entry source ───────────────────────────────────────────── */
+// The `## title` section memory-sync.yml cut the entry from, split the
+// same way, or null once the heading has been renamed or removed.
+function memorySection(text, title) {
+  for (const block of text.split('\n## ')) {
+    const lines = block.trim().split('\n');
+    if (lines[0].replace(/^[# ]+|[# ]+$/g, '').trim() === title) return `## ${block.trim().replace(/^#+\s*/, '')}`;
+  }
+  return null;
+}
+
+async function openMemoryEntry(id) {
+  const e = store.get('memory', id);
+  if (!e) return;
+  const org  = getOrg();
+  const sha  = memorySha(e);
+  const file = MEMORY_FILES[e.type];
+  const href = e.pr ? e.pr.url
+    : sha ? `https://github.com/${org}/${MEMORY_REPO}/commit/${sha}`
+    : file ? `https://github.com/${org}/${MEMORY_REPO}/blob/HEAD/${file}` : null;
+
+  State.drawerItem = { kind: 'memory', id };
+  openDrawer(`🧠 ${esc(e.title)}`, `
+    <div class="flex items-center gap-2 mb-4 text-xs text-muted">
+      <span class="badge badge-muted">${esc(memoryType(e))}</span>
+      ${esc(new Date(e.timestamp).toLocaleString())}
+      ${href ? `<a href="${esc(href)}" target="_blank" class="btn btn-xs" style="margin-left:auto">${e.pr ? `PR #${e.pr.number}` : 'View on GitHub'} ↗</a>` : ''}
+    </div>
+    ${memoryEntryMeta(e)}
+    <div id="memory-detail">${skeletonRows(4)}</div>`);
+
+  let html;
+  try {
+    html = sha ? await memoryCommitHtml(org, sha)
+      : file ? await memoryFileHtml(org, file, e.title, e.ref)
+      : null;
+  } catch (err) {
+    html = `<div class="alert alert-warning">Could not read ${MEMORY_REPO}: ${esc(err.message)}</div>`;
+  }
+  const el = document.getElementById('memory-detail');
+  if (!el || State.drawerItem?.id !== id) return;
+  el.innerHTML = html ?? `<pre class="markdown-body" style="white-space:pre-wrap">${esc(e.body)}</pre>`;
+}
+
+// `ref` is the branch of an entry still waiting in its PR.
+async function memoryFileHtml(org, file, title, ref) {
+  const source = await fetchFile(org, MEMORY_REPO, file, ref);
+  if (!source) return `<div class="alert alert-warning">${esc(file)} no longer exists in ${MEMORY_REPO}.</div>`;
+  const section = memorySection(source.content, title);
+  return `
+    ${section ? '' : `<div class="alert alert-info">This heading is no longer in ${esc(file)}; showing the whole file.</div>`}
+    <div class="markdown-body">${await renderMarkdown(section ?? source.content, `${org}/${MEMORY_REPO}`)}</div>
+    ${section ? `<div class="mt-2"><button class="btn btn-xs" data-path="${esc(file)}" data-ref="${esc(ref || '')}"
+      onclick="IACP.openMemoryFile(this.dataset.path, this.dataset.ref)">Whole ${esc(file)}</button></div>` : ''}`;
+}
+
+async function memoryCommitHtml(org, sha) {
+  const c = await fetchMemoryCommit(org, sha);
+  const STATUS = { added: 'badge-success', removed: 'badge-danger', modified: 'badge-info', renamed: 'badge-warning' };
+  return `
+    <div class="drawer-section">
+      <div class="drawer-section-title">Message</div>
+      <div class="markdown-body">${await renderMarkdown(c.commit.message, `${org}/${MEMORY_REPO}`)}</div>
+      <div class="text-xs text-muted mt-2">${esc(c.commit.author.name)} · <span class="font-mono">${esc(c.sha.slice(0, 8))}</span></div>
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Files (${c.files?.length || 0})</div>
+      ${(c.files || []).map(f => `
+        <div class="flex items-center gap-2 text-xs mb-2">
+          <span class="badge ${STATUS[f.status] || 'badge-muted'}">${esc(f.status)}</span>
+          <span class="font-mono truncate">${esc(f.filename)}</span>
+          <span class="text-success">+${f.additions}</span><span class="text-danger">−${f.deletions}</span>
+          ${f.status !== 'removed' && /\.(md|markdown)$/i.test(f.filename)
+            ? `<button class="btn btn-xs" style="margin-left:auto" data-path="${esc(f.filename)}" data-ref="${esc(c.sha)}"
+                onclick="IACP.openMemoryFile(this.dataset.path, this.dataset.ref)">View</button>` : ''}
+        </div>`).join('')}
+    </div>`;
+}
+
+// A markdown file from the memory repo, rendered; at `ref` when given.
+async function openMemoryFile(path, ref) {
+  const org  = getOrg();
+  const key  = `${path}@${ref || 'HEAD'}`;
+  State.drawerItem = { kind: 'memory-file', id: key };
+  openDrawer(`📄 ${esc(path)}${ref ? ` <span class="text-xs text-muted font-mono">@ ${esc(ref.slice(0, 8))}</span>` : ''}`, `
+    <div class="flex mb-4">
+      <a href="https://github.com/${esc(org)}/${MEMORY_REPO}/blob/${esc(ref || 'HEAD')}/${esc(path)}" target="_blank" class="btn btn-xs" style="margin-left:auto">View on GitHub ↗</a>
+    </div>
+    <div id="memory-detail">${skeletonRows(6)}</div>`);
+  let html;
+  try {
+    const file = await fetchFile(org, MEMORY_REPO, path, ref);
+    html = file ? `<div class="markdown-body">${await renderMarkdown(file.content, `${org}/${MEMORY_REPO}`)}</div>`
+      : emptyState(`${esc(path)} not found.`);
+  } catch (err) {
+    html = `<div class="alert alert-warning">Could not read ${MEMORY_REPO}: ${esc(err.message)}</div>`;
+  }
+  const el = document.getElementById('memory-detail');
+  if (el && State.drawerItem?.id === key) el.innerHTML = html;
+}
+
+/* ── Record memory ──────────────────────────────────────────── */
+// An entry is a `## title` section appended to its type's log
+// (DECISIONS.md, RISKS.md, …), which memory-sync.yml already splits
+// into entries.
+const RECORDABLE_TYPES = ['decision', 'risk', 'benchmark', 'deployment'];
+
+function memoryEntrySection(e, body) {
+  const meta = [
+    e.timestamp.slice(0, 10),
+    e.repos.length ? `repos: ${e.repos.join(', ')}` : '',
+    e.tags.length ? `tags: ${e.tags.join(', ')}` : '',
+  ].filter(Boolean).join(' · ');
+  return `## ${e.title}\n\n_${meta}_\n\n${body.trim()}\n`;
+}
+
+function openMemoryForm() {
+  if (!getToken()) {
+    showToast('Add a token in Settings to record memory', 'error');
+    return;
+  }
+  const repos = store.all('repos', r => !r.isArchived).map(r => r.name).sort();
+  openDrawer('Record memory', `
+    <div class="form-group">
+      <label for="mem-type">Type</label>
+      <select class="form-input" id="mem-type">
+        ${RECORDABLE_TYPES.map(t => `<option value="${t}">${t}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="mem-title">Title</label>
+      <input class="form-input" id="mem-title" maxlength="100" placeholder="What was decided, shipped, measured or found">
+    </div>
+    <div class="form-group">
+      <label for="mem-body">Body</label>
+      <textarea class="form-input font-mono" id="mem-body" rows="10" placeholder="Markdown: context, the call made, consequences"></textarea>
+    </div>
+    <div class="form-group">
+      <label for="mem-repos">Related repos</label>
+      <select class="form-input" id="mem-repos" multiple size="6">
+        ${repos.map(r => `<option value="${esc(r)}">${esc(r)}</option>`).join('')}
+      </select>
+      <div class="hint">Ctrl/Cmd-click to pick several.</div>
+    </div>
+    <div class="form-group">
+      <label for="mem-tags">Tags</label>
+      <input class="form-input" id="mem-tags" placeholder="comma,separated">
+    </div>
+    <div class="hint mb-2">Appends a section to the type's log in <code>${MEMORY_REPO}</code> (<code>DECISIONS.md</code>, <code>RISKS.md</code>, …), or opens a PR if its default branch requires one.</div>
+    <button class="btn btn-primary" id="mem-submit" onclick="IACP.submitMemoryEntry()">Record</button>`);
+}
+
+async function submitMemoryEntry() {
+  const type  = document.getElementById('mem-type').value;
+  const title = document.getElementById('mem-title').value.trim();
+  const body  = document.getElementById('mem-body').value;
+  const repos = [...document.getElementById('mem-repos').selectedOptions].map(o => o.value);
+  const tags  = document.getElementById('mem-tags').value.split(',').map(t => t.trim()).filter(Boolean);
+  if (!title) { showToast('A title is required', 'error'); return; }
+
+  const entry   = { type, timestamp: new Date().toISOString(), title, body: body.trim().slice(0, 400), repos, tags };
+  const file    = MEMORY_FILES[type];
+  const section = memoryEntrySection(entry, body);
+  const message = `memory: record ${type} — ${title}`;
+  const slug    = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'entry';
+  const btn     = document.getElementById('mem-submit');
+  btn.disabled = true;
+  btn.textContent = 'Recording…';
+
+  try {
+    // The sha makes the write fail, rather than drop a section, if the
+    // log changed since it was read.
+    const current = await fetchFile(getOrg(), MEMORY_REPO, file);
+    const content = current
+      ? `${current.content.trimEnd()}\n\n${section}`
+      : `# ${MEMORY_TYPES[type].label}\n\n${section}`;
+    const { pr, branch } = await commitOrPropose(MEMORY_REPO, file, {
+      content, message, sha: current?.sha,
+      branch: `memory/${entry.timestamp.slice(0, 10)}-${slug}`,
+      prBody: `Adds "${title}" to \`${file}\`, recorded from the admin dashboard.`,
+    });
+    if (pr) Object.assign(entry, { ref: branch, pr: { number: pr.number, url: pr.html_url } });
+    // Shown now; the next memory-sync.yml run replaces it with the synced copy.
+    store.merge('memory', [{ ...entry, recorded: true }], { source: 'live', idOf: memoryId });
+    closeDrawer();
+    showToast(pr ? `Opened PR #${pr.number} in ${MEMORY_REPO}` : `Recorded in ${esc(file)}`, 'success');
+  } catch (e) {
+    showToast(e.status === 409 ? `${esc(file)} changed while recording — try again`
+      : `Record failed: ${esc(e.message)}`, 'error');
+    btn.disabled = false;
+    btn.textContent = 'Record';
+  }
+}
+
+function sampleMemoryTimeline() {
+  const entries = [
+    { type: 'decision',   time: 'Sample', title: 'Architecture Decision: GitHub-native IACP', body: 'Chose GitHub Pages + GraphQL as primary stack. No external compute required.' },
+    { type: 'deployment', time: 'Sample', title: 'Initial Dashboard Deployed', body: 'Dashboard v1.0 deployed to GitHub Pages via Actions workflow.' },
+    { type: 'benchmark',  time: 'Sample', title: 'GraphQL Indexing Performance', body: '47 repos indexed in 2.3s via paginated GraphQL query.' },
+    { type: 'risk',       time: 'Sample', title: 'PAT Token Expiry Risk', body: 'Fine-grained PATs expire in 90 days. Rotation reminder added to roadmap.' },
+  ];
+  return `<div class="memory-timeline">
+    ${entries.map(e => `
+      <div class="memory-entry ${e.type}">
+        <div class="memory-entry-time">${esc(e.time)}</div>
+        <div class="memory-entry-title">${esc(e.title)}</div>
+        <div class="memory-entry-body">${esc(e.body)}</div>
+      </div>`).join('')}
+  </div>`;
+}
+
+/* ============================================================
+   VAULT / SECURITY
+   ============================================================ */
+const VAULT_ACK_KEY = 'iacp_vault_acks';
+
+function getAcks() {
+  try { return JSON.parse(localStorage.getItem(VAULT_ACK_KEY) || '{}'); } catch { return {}; }
+}
+
+async function loadVault() {
+  const el = document.getElementById('vault-grid');
+  if (!el) return;
+
+  if (!getToken()) {
+    store.clear('alerts');
+  } else if (store.info('alerts')) {
+    renderVaultAlerts();
+  } else {
+    el.innerHTML = ['SECRET', 'CODE', 'DEPENDABOT', 'CRITICAL', 'HIGH', 'ACKNOWLEDGED']
+      .map(l => kpiCard(l, '<span class="loading-pulse" style="width:40px;height:24px"></span>', '⏳', '')).join('');
+  }
+  if (getToken() && !isOffline()) {
+    const { alerts, unavailable, truncated } = await fetchOrgSecurityAlerts(getOrg());
+    // Which kinds could not be read travels with the alerts it qualifies.
+    store.set('reports', 'alerts-unavailable', unavailable, { source: 'live' });
+    store.set('reports', 'alerts-truncated', truncated, { source: 'live' });
+    store.put('alerts', alerts, { source: 'live', idOf: a => a.key });
+  }
+
+  // Probe CF tunnel endpoints and populate vault endpoint grid
+  const cfEndpoints = CF_ENDPOINTS.map(ep => {
+    const savedCfUrl = localStorage.getItem(GW_KEY_CF_URL);
+    const savedGwUrl = localStorage.getItem(GW_KEY_CF_GW);
+    if (ep.id === 'vizual-x'    && savedCfUrl) return { ...ep, url: savedCfUrl };
+    if (ep.id === 'infinityxai' && savedGwUrl) return { ...ep, url: savedGwUrl };
+    return ep;
+  });
+  const vaultGrid = document.getElementById('vault-endpoint-grid');
+  if (vaultGrid) {
+    vaultGrid.innerHTML = cfEndpoints.map(ep => endpointCardHtml(ep, 'checking')).join('');
+    const statuses = await Promise.all(cfEndpoints.map(ep => probeEndpoint(ep.url)));
+    vaultGrid.innerHTML = cfEndpoints.map((ep, i) => endpointCardHtml(ep, statuses[i])).join('');
+  }
+}
+
+function renderVaultAlerts() {
+  const kpiEl  = document.getElementById('vault-grid');
+  const listEl = document.getElementById('vault-alerts');
+  if (!kpiEl || !listEl) return;
+
+  const fetched = store.info('alerts');
+  if (!fetched) {
+    kpiEl.innerHTML = '';
+    listEl.innerHTML = `<div class="alert alert-warning"><span>⚠</span>
+      <span>Alert status is <strong>unknown</strong> without a token. Add a PAT with <code>security_events</code> scope in Settings.</span></div>`;
+    return;
+  }
+
+  const alerts = store.all('alerts');
+  const unavailable = store.get('reports', 'alerts-unavailable') || [];
+  const truncated   = store.get('reports', 'alerts-truncated') || [];
+  const acks   = getAcks();
+  const open   = alerts.filter(a => !acks[a.key]);
+  const ofKind = kind => open.filter(a => a.kind === kind).length;
+  const count  = kind => unavailable.includes(kind) ? '—' : `${ofKind(kind)}${truncated.includes(kind) ? '+' : ''}`;
+  // Unknown counts are never shown as all clear.
+  const tone   = (kind, hot) => unavailable.includes(kind) || ofKind(kind) ? hot : 'success';
+  const bySev  = sev => open.filter(a => a.severity === sev).length;
+
+  kpiEl.innerHTML = `
+    ${kpiCard('SECRET ALERTS',  count('secret'),     '🔐', tone('secret', 'danger'))}
+    ${kpiCard('CODE ALERTS',    count('code'),       '🔍', tone('code', 'warning'))}
+    ${kpiCard('DEPENDABOT',     count('dependabot'), '🤖', tone('dependabot', 'warning'))}
+    ${kpiCard('CRITICAL',       bySev('critical'),   '🚨', bySev('critical') ? 'danger' : '')}
+    ${kpiCard('HIGH',           bySev('high'),       '⚠️', bySev('high') ? 'orange' : '')}
+    ${kpiCard('ACKNOWLEDGED',   alerts.length - open.length, '✔️', 'purple')}`;
+
+  const shown  = State.vaultShowAcked ? alerts : open;
+  const groupOf = a => State.vaultGroupBy === 'severity' ? a.severity : a.repo || '—';
+  const groups = {};
+  for (const a of shown) (groups[groupOf(a)] = groups[groupOf(a)] || []).push(a);
+  const sevRank = a => { const i = SEVERITY_ORDER.indexOf(a.severity); return i === -1 ? SEVERITY_ORDER.length : i; };
+  const keys = Object.keys(groups).sort((a, b) => State.vaultGroupBy === 'severity'
+    ? sevRank({ severity: a }) - sevRank({ severity: b })
+    : groups[b].length - groups[a].length || a.localeCompare(b));
+
+  const KIND_LABEL = { secret: 'secret', code: 'code scanning', dependabot: 'dependabot' };
+  listEl.innerHTML = `
+    ${unavailable.length ? `<div class="alert alert-warning mb-3"><span>⚠</span>
+      <span>Could not read ${unavailable.map(k => `<strong>${KIND_LABEL[k]}</strong>`).join(', ')} alerts — the token lacks access, so these counts are unknown, not zero.</span></div>` : ''}
+    ${truncated.length ? `<div class="alert alert-warning mb-3"><span>⚠</span>
+      <span>Only part of the ${truncated.map(k => `<strong>${KIND_LABEL[k]}</strong>`).join(', ')} alerts could be read — the list and counts below are incomplete.</span></div>` : ''}
+    <div class="flex items-center justify-between mb-3">
+      <div class="flex items-center gap-2 text-xs">
+        Group by
+        <select class="form-input" style="width:auto;padding:2px 8px" onchange="IACP.setVaultGrouping(this.value)">
+          <option value="repo" ${State.vaultGroupBy === 'repo' ? 'selected' : ''}>Repository</option>
+          <option value="severity" ${State.vaultGroupBy === 'severity' ? 'selected' : ''}>Severity</option>
+        </select>
+        <label class="flex items-center gap-2"><input type="checkbox" ${State.vaultShowAcked ? 'checked' : ''} onchange="IACP.toggleVaultAcked(this.checked)" /> Show acknowledged</label>
+      </div>
+      <span class="text-xs text-muted">${open.length} open · fetched ${relativeTime(fetched.fetchedAt)}</span>
+    </div>
+    ${keys.length ? keys.map(k => `
+      <div class="mb-3">
+        <div class="text-xs font-bold mb-2">${State.vaultGroupBy === 'severity' ? severityBadge(k) : esc(k)} <span class="badge badge-muted">${groups[k].length}</span></div>
+        <div class="data-table-wrap"><table>
+          <thead><tr><th>Severity</th><th>Type</th><th>Repo</th><th>Rule</th><th>Age</th><th></th></tr></thead>
+          <tbody>${groups[k].sort((a, b) => sevRank(a) - sevRank(b)).map(a => `<tr class="${acks[a.key] ? 'acked' : ''}">
+            <td>${severityBadge(a.severity)}</td>
+            <td class="text-xs">${KIND_LABEL[a.kind]}</td>
+            <td class="text-xs">${esc(a.repo)}</td>
+            <td class="truncate" style="max-width:280px" title="${esc(a.rule)}">${esc(a.rule)}</td>
+            <td class="text-xs text-muted">${relativeTime(a.createdAt)}</td>
+            <td style="white-space:nowrap">
+              <button class="btn btn-xs" onclick="IACP.toggleAlertAck('${esc(a.key)}')">${acks[a.key] ? 'Un-ack' : 'Ack'}</button>
+              <a href="${esc(a.url)}" target="_blank" class="btn btn-xs">Open ↗</a>
+            </td>
+          </tr>`).join('')}</tbody>
+        </table></div>
+      </div>`).join('') : emptyState(unavailable.length === 3 ? 'No alert data available.' : 'No open alerts. 🎉')}`;
+}
+
+function severityBadge(sev) {
+  const cls = { critical: 'badge-danger', high: 'badge-orange', medium: 'badge-warning', low: 'badge-info' }[sev] || 'badge-muted';
+  return `<span class="badge ${cls}">${esc(sev)}</span>`;
+}
+
+function toggleAlertAck(key) {
+  const acks = getAcks();
+  if (acks[key]) delete acks[key];
+  else acks[key] = new Date().toISOString();
+  localStorage.setItem(VAULT_ACK_KEY, JSON.stringify(acks));
+  renderVaultAlerts();
+}
+
+function setVaultGrouping(by) {
+  State.vaultGroupBy = by;
+  renderVaultAlerts();
+}
+
+function toggleVaultAcked(on) {
+  State.vaultShowAcked = on;
+  renderVaultAlerts();
+}
+
+/* ============================================================
+   MONACO EDITOR
+   File browser for any org repo and branch (Git Trees API).
+   Files open in tabs (Contents API) and are committed back
+   directly or on a new branch with a PR, after a diff review.
+   ============================================================ */
+const MONACO_BASE = 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.47.0/min/vs';
+const EDITOR_FILTER_LIMIT = 200;
+const SCHEMA_CHECK_DELAY_MS = 300;
+
+function loadMonaco() {
+  if (!State.monacoLoading) {
+    // Language workers come from the CDN too; a data: shim lets them
+    // start despite the cross-origin script.
+    window.MonacoEnvironment = {
+      getWorkerUrl: () => `data:text/javascript;charset=utf-8,${encodeURIComponent(
+        `self.MonacoEnvironment = { baseUrl: '${MONACO_BASE.replace(/vs$/, '')}' };
+         importScripts('${MONACO_BASE}/base/worker/workerMain.js');`)}`,
+    };
+    State.monacoLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = `${MONACO_BASE}/loader.min.js`;
+      script.onload = () => {
+        window.require.config({ paths: { vs: MONACO_BASE } });
+        window.require(['vs/editor/editor.main'], () => resolve(window.monaco));
+      };
+      script.onerror = () => {
+        State.monacoLoading = null;
+        reject(new Error('Could not load Monaco from the CDN'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return State.monacoLoading;
+}
+
+async function loadEditor() {
+  const container = document.getElementById('monaco-container');
+  if (!container) return;
+  const ed = State.editor;
+  if (!ed.repo) editorUseRepo(ADMIN_REPO);
+  renderEditorPicker();
+  renderEditorTree();
+
+  if (!State.monacoEditor) {
+    container.innerHTML = `<div style="display:flex;align-items:center;justify-content:center;height:100%;color:var(--text-muted);font-size:13px;gap:10px">
+      <span style="animation:spin 1s linear infinite;display:inline-block">⚙️</span> Loading Monaco Editor…
+    </div>`;
+    let monaco;
+    try {
+      monaco = await loadMonaco();
+    } catch (e) {
+      container.innerHTML = emptyState(esc(e.message));
+      return;
+    }
+    container.innerHTML = '';
+    State.monacoEditor = monaco.editor.create(container, {
+      model: null,
+      theme: State.theme === 'dark' ? 'vs-dark' : 'vs',
+      fontSize: 13,
+      minimap: { enabled: false },
+      scrollBeyondLastLine: false,
+      automaticLayout: true,
+      fontFamily: '"SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace',
+      lineNumbers: 'on',
+      tabSize: 2,
+    });
+    State.monacoEditor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => openCommitDialog());
+    setupEditorSchemas(monaco);
+    if (ed.repo === ADMIN_REPO) editorOpenFile(BOARD_CONFIG_PATH);
+  }
+  if (!ed.tree) loadEditorTree();
+}
+
+/* ── Repo / branch / tree ───────────────────────────────────── */
+function editorUseRepo(name) {
+  const repo = store.get('repos', name);
+  Object.assign(State.editor, {
+    repo:     name,
+    branch:   repo?.defaultBranchRef?.name || repo?.defaultBranch || 'main',
+    branches: [],
+    tree:     null,
+  });
+}
+
+function renderEditorPicker() {
+  const el = document.getElementById('editor-picker');
+  if (!el) return;
+  const ed = State.editor;
+  const repos = store.all('repos', r => !r.isArchived).map(r => r.name).sort();
+  if (!repos.includes(ed.repo)) repos.unshift(ed.repo);
+  const branches = ed.branches.length ? ed.branches : [ed.branch];
+  el.innerHTML = `
+    <select class="form-input" style="width:auto;padding:4px 8px" aria-label="Repository" onchange="IACP.editorSelectRepo(this.value)">
+      ${repos.map(r => `<option value="${esc(r)}" ${r === ed.repo ? 'selected' : ''}>${esc(r)}</option>`).join('')}
+    </select>
+    <select class="form-input" style="width:auto;padding:4px 8px" aria-label="Branch" onchange="IACP.editorSelectBranch(this.value)">
+      ${branches.map(b => `<option value="${esc(b)}" ${b === ed.branch ? 'selected' : ''}>${esc(b)}</option>`).join('')}
+    </select>`;
+}
+
+function editorSelectRepo(name) {
+  editorUseRepo(name);
+  loadEditorTree();
+}
+
+function editorSelectBranch(branch) {
+  State.editor.branch = branch;
+  loadEditorTree();
+}
+
+async function loadEditorTree() {
+  const el = document.getElementById('editor-tree');
+  if (!el) return;
+  const ed = State.editor;
+  const { repo, branch } = ed;
+  renderEditorPicker();
+  el.innerHTML = skeletonRows(6);
+  const org = getOrg();
+  let tree, branches;
+  try {
+    [tree, branches] = await Promise.all([
+      fetchRepoTree(org, repo, branch),
+      ed.branches.length ? ed.branches
+        : fetchBranches(org, repo).then(list => list.map(b => b.name)).catch(() => [branch]),
+    ]);
+  } catch (e) {
+    if (ed.repo === repo && ed.branch === branch) {
+      el.innerHTML = emptyState(`Could not list ${esc(repo)}@${esc(branch)}: ${esc(e.message)}`);
+    }
+    return;
+  }
+  // The user may have picked another repo or branch meanwhile.
+  if (ed.repo !== repo || ed.branch !== branch) return;
+  ed.branches  = branches;
+  ed.tree      = tree.entries.filter(e => e.type === 'blob' || e.type === 'tree');
+  ed.truncated = tree.truncated;
+  ed.children  = indexTree(ed.tree);
+  ed.expanded  = new Set();
+  renderEditorPicker();
+  renderEditorTree();
+}
+
+// Directory path ('' for the root) -> its entries, folders first.
+function indexTree(entries) {
+  const children = new Map([['', []]]);
+  for (const e of entries) {
+    const slash = e.path.lastIndexOf('/');
+    const dir   = slash === -1 ? '' : e.path.slice(0, slash);
+    if (!children.has(dir)) children.set(dir, []);
+    children.get(dir).push(e);
+    if (e.type === 'tree' && !children.has(e.path)) children.set(e.path, []);
+  }
+  const rank = e => e.type === 'tree' ? 0 : 1;
+  for (const list of children.values()) list.sort((a, b) => rank(a) - rank(b) || a.path.localeCompare(b.path));
+  return children;
+}
+
+function renderEditorTree() {
+  const el = document.getElementById('editor-tree');
+  const ed = State.editor;
+  if (!el || !ed.tree) return;
+
+  const current = activeEditorTab();
+  const activePath = current && current.repo === ed.repo && current.branch === ed.branch
+    ? current.path : null;
+  const row = (e, depth, label) => e.type === 'tree'
+    ? `<div class="tree-row" style="padding-left:${8 + depth * 12}px" data-path="${esc(e.path)}" onclick="IACP.editorToggleDir(this.dataset.path)">
+        ${ed.expanded.has(e.path) ? '▾' : '▸'} 📁 ${label}</div>`
+    : `<div class="tree-row${e.path === activePath ? ' active' : ''}" style="padding-left:${20 + depth * 12}px" data-path="${esc(e.path)}" title="${esc(e.path)}" onclick="IACP.editorOpenFile(this.dataset.path)">
+        📄 ${label}</div>`;
+
+  let html;
+  if (ed.filter) {
+    html = ed.tree
+      .filter(e => e.type === 'blob')
+      .map(e => ({ e, m: fuzzyMatch(ed.filter, e.path) }))
+      .filter(r => r.m)
+      .sort((a, b) => b.m.score - a.m.score)
+      .slice(0, EDITOR_FILTER_LIMIT)
+      .map(({ e, m }) => row(e, 0, highlight(e.path, m.idx)))
+      .join('') || emptyState('No files match.');
+  } else {
+    const walk = (dir, depth) => ed.children.get(dir).map(e =>
+      row(e, depth, esc(e.path.split('/').pop()))
+      + (e.type === 'tree' && ed.expanded.has(e.path) ? walk(e.path, depth + 1) : '')).join('');
+    html = walk('', 0) || emptyState('This branch is empty.');
+  }
+  el.innerHTML = (ed.truncated
+    ? '<div class="text-xs text-muted mb-2">Large repo — the listing is truncated. Use the filter to find files.</div>'
+    : '') + html;
+}
+
+function editorToggleDir(path) {
+  const expanded = State.editor.expanded;
+  expanded.has(path) ? expanded.delete(path) : expanded.add(path);
+  renderEditorTree();
+}
+
+function editorFilter(value) {
+  State.editor.filter = value.trim();
+  renderEditorTree();
+}
+
+/* ── Tabs ───────────────────────────────────────────────────── */
+function activeEditorTab() {
+  return State.editor.tabs.find(t => t.key === State.editor.active) || null;
+}
+
+// Monaco's own language registry maps file names and extensions.
+function editorLanguage(path) {
+  const name = path.split('/').pop().toLowerCase();
+  const ext  = name.includes('.') ? name.slice(name.lastIndexOf('.')) : '';
+  const lang = window.monaco.languages.getLanguages().find(l =>
+    l.filenames?.some(f => f.toLowerCase() === name) || (ext && l.extensions?.includes(ext)));
+  return lang?.id || 'plaintext';
+}
+
+async function editorOpenFile(path) {
+  const ed = State.editor;
+  const { repo, branch } = ed;
+  const isThis = t => t.repo === repo && t.branch === branch && t.path === path;
+  const open = ed.tabs.find(isThis);
+  if (open) { selectEditorTab(open.key); return; }
+  if (!State.monacoEditor) return;
+
+  let file;
+  try {
+    file = await fetchFile(getOrg(), repo, path, branch);
+  } catch (e) {
+    showToast(`Could not open ${esc(path)}: ${esc(e.message)}`, 'error');
+    return;
+  }
+  if (!file)       { showToast(`${esc(path)} not found on ${esc(branch)}`, 'error'); return; }
+  if (file.binary) { showToast(`${esc(path)} is a binary file`, 'error'); return; }
+  // Opened twice while the first fetch was in flight.
+  const again = ed.tabs.find(isThis);
+  if (again) { selectEditorTab(again.key); return; }
+  addEditorTab({ repo, branch, path, sha: file.sha, content: file.content });
+}
+
+function addEditorTab({ repo, branch, path, sha, content }) {
+  const ed  = State.editor;
+  const tab = {
+    key: ++ed.nextKey, repo, branch, path, sha, original: content, dirty: false,
+    schema: schemaFor(path),
+  };
+  // JSON schemas are matched against this URI's path (fileMatch).
+  const uri = window.monaco.Uri.from({ scheme: 'gh', authority: repo, path: `/${path}`, query: branch });
+  tab.model = window.monaco.editor.createModel(content, editorLanguage(path), uri);
+  tab.model.onDidChangeContent(() => {
+    const dirty = tab.model.getValue() !== tab.original;
+    if (dirty !== tab.dirty) { tab.dirty = dirty; renderEditorTabs(); }
+    if (tab.schema?.language === 'yaml') checkYamlLater(tab);
+  });
+  if (tab.schema?.language === 'yaml') checkYaml(tab);
+  ed.tabs.push(tab);
+  selectEditorTab(tab.key);
+}
+
+function selectEditorTab(key) {
+  const ed   = State.editor;
+  const prev = activeEditorTab();
+  const tab  = ed.tabs.find(t => t.key === key);
+  if (!tab) return;
+  if (prev && prev !== tab) prev.view = State.monacoEditor.saveViewState();
+  ed.active = key;
+  State.monacoEditor.setModel(tab.model);
+  if (tab.view) State.monacoEditor.restoreViewState(tab.view);
+  State.monacoEditor.focus();
+  renderEditorTabs();
+  renderEditorTree();
+}
+
+function closeEditorTab(key) {
+  const ed  = State.editor;
+  const i   = ed.tabs.findIndex(t => t.key === key);
+  const tab = ed.tabs[i];
+  if (!tab) return;
+  if (tab.dirty && !confirm(`Discard your changes to ${tab.path}?`)) return;
+  clearTimeout(tab.checkTimer);
+  ed.tabs.splice(i, 1);
+  if (ed.active === key) {
+    const next = ed.tabs[i] || ed.tabs[i - 1];
+    ed.active = null;
+    if (next) selectEditorTab(next.key); else State.monacoEditor.setModel(null);
+  }
+  tab.model.dispose();
+  renderEditorTabs();
+  renderEditorTree();
+}
+
+function renderEditorTabs() {
+  const el = document.getElementById('editor-tabs');
+  if (!el) return;
+  const ed = State.editor;
+  el.innerHTML = ed.tabs.map(t => `
+    <div class="editor-tab${t.key === ed.active ? ' active' : ''}" onclick="IACP.selectEditorTab(${t.key})"
+         title="${esc(`${t.repo}@${t.branch}:${t.path}`)}">
+      ${esc(t.path.split('/').pop())}${t.dirty ? ' <span class="editor-tab-dirty">●</span>' : ''}
+      <span class="editor-tab-close" onclick="event.stopPropagation(); IACP.closeEditorTab(${t.key})" aria-label="Close">×</span>
+    </div>`).join('');
+  const btn = document.getElementById('editor-commit-btn');
+  if (btn) btn.disabled = !activeEditorTab()?.dirty;
+}
+
+/* ── Schemas: diagnostics, hover docs, completions, problems ─ */
+// JSON files go through Monaco's JSON worker with the bundled
+// schemas; YAML has no schema support in Monaco, so it is parsed
+// here (yaml.js) and checked with validate() from schemas.js.
+function setupEditorSchemas(monaco) {
+  monaco.languages.json.jsonDefaults.setDiagnosticsOptions({
+    validate: true,
+    enableSchemaRequest: false,
+    schemas: SCHEMAS.filter(s => s.language === 'json')
+      .map(({ uri, fileMatch, schema }) => ({ uri, fileMatch, schema })),
+  });
+  monaco.languages.registerHoverProvider('yaml', { provideHover: yamlHover });
+  monaco.languages.registerCompletionItemProvider('yaml', {
+    triggerCharacters: [' '],
+    provideCompletionItems: yamlCompletions,
+  });
+  monaco.editor.onDidChangeMarkers(() => renderEditorProblems());
+  renderEditorProblems();
+}
+
+function tabOfModel(model) {
+  return State.editor.tabs.find(t => t.model === model);
+}
+
+function yamlSchemaOf(model) {
+  const schema = tabOfModel(model)?.schema;
+  return schema?.language === 'yaml' ? schema.schema : null;
+}
+
+function checkYamlLater(tab) {
+  clearTimeout(tab.checkTimer);
+  tab.checkTimer = setTimeout(() => checkYaml(tab), SCHEMA_CHECK_DELAY_MS);
+}
+
+async function checkYaml(tab) {
+  const monaco = window.monaco;
+  const text   = tab.model.getValue();
+  const marker = (line, message, startColumn = 1) => ({
+    severity: monaco.MarkerSeverity.Error,
+    message,
+    startLineNumber: line,
+    startColumn,
+    endLineNumber: line,
+    endColumn: tab.model.getLineMaxColumn(line),
+  });
+
+  let markers;
+  try {
+    const value = await parseYaml(text);
+    const paths = yamlPaths(text);
+    markers = validate(tab.schema.schema, value ?? {}).map(e => {
+      const line  = yamlLineOf(paths, e.path) + 1;
+      const frame = paths[line - 1]?.at(-1);
+      return marker(line, e.message, frame ? frame.col + 1 : 1);
+    });
+  } catch (e) {
+    // Without the parser there are no YAML diagnostics; editing still works.
+    if (e.name !== 'YAMLException') return;
+    markers = [marker((e.mark?.line ?? 0) + 1, e.reason || e.message, (e.mark?.column ?? 0) + 1)];
+  }
+  if (!tab.model.isDisposed()) monaco.editor.setModelMarkers(tab.model, 'iacp-schema', markers);
+}
+
+function yamlHover(model, position) {
+  const schema = yamlSchemaOf(model);
+  if (!schema) return null;
+  const frames = yamlPaths(model.getValue())[position.lineNumber - 1];
+  const key    = frames?.at(-1);
+  if (typeof key?.seg !== 'string') return null;
+  const start = key.col + 1, end = start + key.seg.length;
+  if (position.column < start || position.column > end) return null;
+  const node = schemaAt(schema, frames.map(f => f.seg));
+  if (!node) return null;
+  const type = [].concat(node.type || []).join(' | ');
+  return {
+    range: new window.monaco.Range(position.lineNumber, start, position.lineNumber, end),
+    contents: [
+      { value: `**${key.seg}**${type ? ` \`${type}\`` : ''}` },
+      ...(node.description ? [{ value: node.description }] : []),
+      ...(node.enum ? [{ value: `One of: ${node.enum.map(v => `\`${v}\``).join(', ')}` }] : []),
+    ],
+  };
+}
+
+function yamlCompletions(model, position) {
+  const schema = yamlSchemaOf(model);
+  if (!schema) return { suggestions: [] };
+  const monaco = window.monaco;
+  const line   = position.lineNumber;
+  const prefix = model.getLineContent(line).slice(0, position.column - 1);
+  const paths  = yamlPaths(model.getValue());
+  const range  = from => new monaco.Range(line, from, line, position.column);
+
+  // Value after "key: " — offer enum members and booleans.
+  const value = prefix.match(/^(\s*(?:-\s+)*)([^\s:#][^:#]*?)\s*:\s+(\S*)$/);
+  if (value) {
+    const node = schemaAt(schema, [...yamlParentAt(paths, line - 1, value[1].length), value[2]]);
+    const options = node?.enum || ([].concat(node?.type).includes('boolean') ? [true, false] : []);
+    return {
+      suggestions: options.map(v => ({
+        label: String(v),
+        kind: monaco.languages.CompletionItemKind.EnumMember,
+        insertText: String(v),
+        range: range(position.column - value[3].length),
+      })),
+    };
+  }
+
+  // A key being typed — offer the properties of the enclosing object.
+  const key = prefix.match(/^(\s*)((?:-\s+)*)([\w-]*)$/);
+  if (!key) return { suggestions: [] };
+  const col    = key[1].length + key[2].length;
+  const item   = key[2].length > 0;
+  const parent = item ? [...yamlParentAt(paths, line - 1, key[1].length), 0] : yamlParentAt(paths, line - 1, col);
+  const node   = schemaAt(schema, parent);
+  const present = new Set(item ? [] : paths
+    .filter(p => p && p.length === parent.length + 1 && parent.every((s, i) => p[i].seg === s))
+    .map(p => p.at(-1).seg));
+  return {
+    suggestions: Object.entries(node?.properties || {})
+      .filter(([name]) => !present.has(name))
+      .map(([name, sub]) => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Property,
+        insertText: `${name}: `,
+        documentation: sub.description,
+        range: range(col + 1),
+      })),
+  };
+}
+
+function editorProblems(tab) {
+  return window.monaco.editor.getModelMarkers({ resource: tab.model.uri })
+    .sort((a, b) => b.severity - a.severity || a.startLineNumber - b.startLineNumber);
+}
+
+function editorErrorCount(tab) {
+  return editorProblems(tab).filter(m => m.severity === window.monaco.MarkerSeverity.Error).length;
+}
+
+function renderEditorProblems() {
+  const el = document.getElementById('editor-problems');
   if (!el) return;
+  const Sev = window.monaco.MarkerSeverity;
+  const rows = State.editor.tabs.flatMap(tab => editorProblems(tab).map(m => ({ tab, m })));
+  const errors = rows.filter(r => r.m.severity === Sev.Error).length;
+  document.getElementById('editor-problems-count').innerHTML = rows.length
+    ? `<span class="badge ${errors ? 'badge-danger' : 'badge-warning'}">${rows.length}</span>` : '';
+  el.innerHTML = rows.map(({ tab, m }) => `
+    <div class="problem-row" onclick="IACP.revealProblem(${tab.key}, ${m.startLineNumber}, ${m.startColumn})">
+      <span>${m.severity === Sev.Error ? '✗' : m.severity === Sev.Warning ? '⚠' : 'ℹ'}</span>
+      <span class="font-mono">${esc(tab.path.split('/').pop())}:${m.startLineNumber}:${m.startColumn}</span>
+      <span>${esc(m.message)}</span>
+    </div>`).join('') || '<div class="text-xs text-muted">No problems in open files.</div>';
+}
 
-  let snapshot = State.memory;
-  if (!snapshot) {
-    snapshot = await loadMemorySnapshot();
-    State.memory = snapshot;
-  }
+function revealProblem(key, line, column) {
+  selectEditorTab(key);
+  State.monacoEditor.setPosition({ lineNumber: line, column });
+  State.monacoEditor.revealLineInCenter(line);
+}
 
-  if (!snapshot?.entries?.length) {
-    el.innerHTML = `
-      <div class="alert alert-info">
-        Memory snapshot not yet synced. The <code>memory-sync.yml</code> workflow will populate this view by reading from
-        <strong>InfinityXOneSystems/infinity-core-memory</strong>.
-      </div>
-      ${sampleMemoryTimeline()}`;
+/* ── Commit: diff review, direct commit or branch + PR ─────── */
+function openCommitDialog() {
+  const tab = activeEditorTab();
+  if (!tab?.dirty) return;
+  if (!getToken()) {
+    showToast('Committing needs a token with contents:write on the repo', 'error');
     return;
   }
+  // Suggest a PR when the target is a protected default branch.
+  const repo = store.get('repos', tab.repo);
+  const protectedBranch = !!repo?.protection
+    && tab.branch === (repo.defaultBranchRef?.name || repo.defaultBranch);
+  const name = tab.path.split('/').pop();
+  const slug = name.toLowerCase().replace(/[^a-z0-9.]+/g, '-');
+  const errors = editorErrorCount(tab);
+  State.editor.commit = { key: tab.key, overwrite: false, upstream: null };
 
-  el.innerHTML = `<div class="memory-timeline">
-    ${snapshot.entries.map(e => `
-      <div class="memory-entry ${e.type || ''}">
-        <div class="memory-entry-time">${new Date(e.timestamp).toLocaleString()} · ${e.type || 'log'}</div>
-        <div class="memory-entry-title">${e.title}</div>
-        <div class="memory-entry-body">${e.body}</div>
-      </div>`).join('')}
-  </div>`;
-}
+  openDrawer(`Commit ${esc(name)}`, `
+    <div class="text-xs text-muted font-mono mb-4">${esc(tab.repo)}@${esc(tab.branch)}:${esc(tab.path)}</div>
+    <div class="form-group">
+      <label>Review changes</label>
+      <div class="commit-diff" id="commit-diff"></div>
+    </div>
+    <div id="commit-conflict"></div>
+    ${errors ? `<div class="alert alert-warning mb-4"><span>⚠</span><span>
+      This file has ${errors} error${errors === 1 ? '' : 's'} (see Problems).
+      ${tab.schema ? `Readers of ${esc(tab.schema.schema.title)} may fail to parse it.` : ''}</span></div>` : ''}
+    <div class="form-group">
+      <label for="commit-message">Commit message</label>
+      <input class="form-input" id="commit-message" value="Update ${esc(tab.path)}">
+    </div>
+    <div class="form-group">
+      <label>Save to</label>
+      <label class="flex items-center gap-2 text-xs mb-2">
+        <input type="radio" name="commit-mode" value="direct" ${protectedBranch ? '' : 'checked'} onchange="IACP.commitModeChanged(this.value)">
+        Commit directly to <code>${esc(tab.branch)}</code>
+      </label>
+      <label class="flex items-center gap-2 text-xs">
+        <input type="radio" name="commit-mode" value="pr" ${protectedBranch ? 'checked' : ''} onchange="IACP.commitModeChanged(this.value)">
+        Create a new branch and open a pull request
+      </label>
+      ${protectedBranch ? `<div class="hint"><code>${esc(tab.branch)}</code> is protected; a direct commit will likely be rejected.</div>` : ''}
+    </div>
+    <div id="commit-pr-fields" ${protectedBranch ? '' : 'hidden'}>
+      <div class="form-group">
+        <label for="commit-branch">New branch</label>
+        <input class="form-input font-mono" id="commit-branch" value="iacp/${esc(slug)}-${Date.now().toString(36)}">
+      </div>
+      <div class="form-group">
+        <label for="commit-pr-title">Pull request title</label>
+        <input class="form-input" id="commit-pr-title" value="Update ${esc(tab.path)}">
+      </div>
+    </div>
+    <button class="btn btn-primary" id="commit-submit" onclick="IACP.submitCommit()">${protectedBranch ? 'Create pull request' : 'Commit'}</button>`);
 
-function sampleMemoryTimeline() {
-  const entries = [
-    { type: 'decision',   time: 'Sample', title: 'Architecture Decision: GitHub-native IACP', body: 'Chose GitHub Pages + GraphQL as primary stack. No external compute required.' },
-    { type: 'deployment', time: 'Sample', title: 'Initial Dashboard Deployed', body: 'Dashboard v1.0 deployed to GitHub Pages via Actions workflow.' },
-    { type: 'benchmark',  time: 'Sample', title: 'GraphQL Indexing Performance', body: '47 repos indexed in 2.3s via paginated GraphQL query.' },
-    { type: 'risk',       time: 'Sample', title: 'PAT Token Expiry Risk', body: 'Fine-grained PATs expire in 90 days. Rotation reminder added to roadmap.' },
-  ];
-  return `<div class="memory-timeline">
-    ${entries.map(e => `
-      <div class="memory-entry ${e.type}">
-        <div class="memory-entry-time">${e.time}</div>
-        <div class="memory-entry-title">${e.title}</div>
-        <div class="memory-entry-body">${e.body}</div>
-      </div>`).join('')}
-  </div>`;
+  mountCommitDiff(tab.original, tab.model.getValue(), tab.model.getLanguageId());
 }
 
-/* ============================================================
-   VAULT / SECURITY
-   ============================================================ */
-async function loadVault() {
-  const el = document.getElementById('vault-grid');
+function mountCommitDiff(original, modified, language) {
+  disposeCommitDiff();
+  const el = document.getElementById('commit-diff');
   if (!el) return;
+  const monaco = window.monaco;
+  const editor = monaco.editor.createDiffEditor(el, {
+    readOnly: true,
+    renderSideBySide: false,
+    automaticLayout: true,
+    minimap: { enabled: false },
+    scrollBeyondLastLine: false,
+  });
+  const models = {
+    original: monaco.editor.createModel(original, language),
+    modified: monaco.editor.createModel(modified, language),
+  };
+  editor.setModel(models);
+  State.editor.diff = { editor, models };
+}
 
-  const items = [
-    { icon: '🔐', title: 'Secret Scanning',    status: 'Active', variant: 'success' },
-    { icon: '🔍', title: 'CodeQL Analysis',     status: 'On Push + PR', variant: 'success' },
-    { icon: '🤖', title: 'Dependabot Alerts',   status: 'Enabled', variant: 'success' },
-    { icon: '🛡️', title: 'Branch Protection',   status: 'main protected', variant: 'success' },
-    { icon: '✍️', title: 'Signed Commits',      status: 'Recommended', variant: 'warning' },
-    { icon: '👥', title: 'Required Reviewers',  status: '1 required', variant: 'success' },
-    { icon: '📋', title: 'CODEOWNERS',          status: 'Defined', variant: 'success' },
-    { icon: '🌐', title: 'GHAS',                status: 'Enabled', variant: 'success' },
-  ];
+function disposeCommitDiff() {
+  const diff = State.editor.diff;
+  if (!diff) return;
+  diff.editor.dispose();
+  diff.models.original.dispose();
+  diff.models.modified.dispose();
+  State.editor.diff = null;
+}
 
-  el.innerHTML = items.map(it => `
-    <div class="vault-item">
-      <div class="vault-icon">${it.icon}</div>
-      <div>
-        <div class="vault-item-title">${it.title}</div>
-        <div class="vault-item-status">
-          <span class="token-status ${it.variant === 'success' ? 'valid' : 'pending'}">${it.status}</span>
-        </div>
-      </div>
-    </div>`).join('');
+function commitModeChanged(mode) {
+  const fields = document.getElementById('commit-pr-fields');
+  if (fields) fields.hidden = mode !== 'pr';
+  const btn = document.getElementById('commit-submit');
+  if (btn) btn.textContent = mode === 'pr' ? 'Create pull request' : 'Commit';
+}
 
-  // Probe CF tunnel endpoints and populate vault endpoint grid
-  const cfEndpoints = CF_ENDPOINTS.map(ep => {
-    const savedCfUrl = localStorage.getItem(GW_KEY_CF_URL);
-    const savedGwUrl = localStorage.getItem(GW_KEY_CF_GW);
-    if (ep.id === 'vizual-x'    && savedCfUrl) return { ...ep, url: savedCfUrl };
-    if (ep.id === 'infinityxai' && savedGwUrl) return { ...ep, url: savedGwUrl };
-    return ep;
-  });
-  const vaultGrid = document.getElementById('vault-endpoint-grid');
-  if (vaultGrid) {
-    vaultGrid.innerHTML = cfEndpoints.map(ep => endpointCardHtml(ep, 'checking')).join('');
-    const statuses = await Promise.all(cfEndpoints.map(ep => probeEndpoint(ep.url)));
-    vaultGrid.innerHTML = cfEndpoints.map((ep, i) => endpointCardHtml(ep, statuses[i])).join('');
+async function submitCommit() {
+  const ed  = State.editor;
+  const tab = ed.tabs.find(t => t.key === ed.commit?.key);
+  if (!tab) return;
+  const errors = editorErrorCount(tab);
+  if (errors && !confirm(`${tab.path} has ${errors} error${errors === 1 ? '' : 's'}. Commit it anyway?`)) return;
+  const mode    = document.querySelector('input[name="commit-mode"]:checked')?.value;
+  const message = document.getElementById('commit-message').value.trim() || `Update ${tab.path}`;
+  const content = tab.model.getValue();
+  const org     = getOrg();
+  const btn     = document.getElementById('commit-submit');
+  const label   = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = 'Saving…';
+  const done = () => { btn.disabled = false; btn.textContent = label; };
+
+  try {
+    // The file must still be the version it was opened at, unless the
+    // user chose to overwrite what changed upstream.
+    const upstream = await fetchFile(org, tab.repo, tab.path, tab.branch);
+    if ((upstream?.sha || null) !== tab.sha && !ed.commit.overwrite) {
+      showCommitConflict(tab, upstream);
+      done();
+      return;
+    }
+
+    let branch = tab.branch;
+    if (mode === 'pr') {
+      branch = document.getElementById('commit-branch').value.trim();
+      if (!branch) { showToast('Name the new branch', 'error'); done(); return; }
+      await createBranch(org, tab.repo, branch, await fetchBranchHead(org, tab.repo, tab.branch));
+    }
+    const res = await putFile(org, tab.repo, tab.path, { content, message, sha: upstream?.sha, branch });
+    let pr = null;
+    if (mode === 'pr') {
+      const title = document.getElementById('commit-pr-title').value.trim() || message;
+      pr = await createPullRequest(org, tab.repo, { title, head: branch, base: tab.branch, body: `Edits \`${tab.path}\`.` });
+    }
+
+    // The tab now tracks what was pushed, on the branch it went to.
+    Object.assign(tab, { branch, sha: res.content.sha, original: content, dirty: false });
+    closeDrawer();
+    renderEditorTabs();
+    if (!pr && tab.repo === ADMIN_REPO && tab.path === BOARD_CONFIG_PATH) loadBoardConfig({ force: true });
+    if (!pr && tab.repo === ADMIN_REPO && tab.path === CATEGORY_CONFIG_PATH) loadCategoryConfig({ force: true });
+    if (!pr && tab.repo === ADMIN_REPO && tab.path === DISCOVERY_CONFIG_PATH) loadDiscoveryConfig({ force: true });
+    showToast(pr ? `Opened PR #${pr.number} from ${esc(branch)}` : `Committed ${res.commit.sha.slice(0, 7)} to ${esc(branch)}`, 'success');
+  } catch (e) {
+    done();
+    // 409: the file changed between the check above and the write.
+    if (e.status === 409) {
+      showCommitConflict(tab, await fetchFile(org, tab.repo, tab.path, tab.branch).catch(() => null));
+    } else {
+      showToast(`Commit failed: ${esc(e.message)}`, 'error');
+    }
   }
 }
 
-/* ============================================================
-   MONACO EDITOR
-   ============================================================ */
-async function loadEditor() {
-  if (State.monacoLoaded) return;
-  const container = document.getElementById('monaco-container');
-  if (!container) return;
+function showCommitConflict(tab, upstream) {
+  State.editor.commit.upstream = upstream;
+  const el = document.getElementById('commit-conflict');
+  if (!el) return;
+  el.innerHTML = `<div class="alert alert-warning mb-2"><span>⚠</span><span>
+      <strong>${esc(tab.path)}</strong> ${upstream ? 'changed' : 'was deleted'} on <code>${esc(tab.branch)}</code> since you opened it.
+      ${upstream ? 'The diff now compares the upstream version with yours.' : ''}</span></div>
+    <div class="flex gap-2 mb-4">
+      <button class="btn btn-sm btn-danger" onclick="IACP.resolveCommitConflict('overwrite')">Overwrite with mine</button>
+      ${upstream ? `<button class="btn btn-sm" onclick="IACP.resolveCommitConflict('reload')">Discard mine, load upstream</button>` : ''}
+    </div>`;
+  if (upstream) mountCommitDiff(upstream.content, tab.model.getValue(), tab.model.getLanguageId());
+}
 
-  container.innerHTML = `<div style="display:flex;align-items:center;justify-content:center;height:100%;color:var(--text-muted);font-size:13px;gap:10px">
-    <span style="animation:spin 1s linear infinite;display:inline-block">⚙️</span> Loading Monaco Editor…
-  </div>`;
+function resolveCommitConflict(choice) {
+  const ed  = State.editor;
+  const tab = ed.tabs.find(t => t.key === ed.commit?.key);
+  if (!tab) return;
+  if (choice === 'overwrite') {
+    ed.commit.overwrite = true;
+    document.getElementById('commit-conflict').innerHTML =
+      '<div class="alert alert-info mb-4"><span>ℹ</span><span>Your version will replace the upstream one.</span></div>';
+    return;
+  }
+  const { sha, content } = ed.commit.upstream;
+  Object.assign(tab, { sha, original: content });
+  tab.model.setValue(content);
+  closeDrawer();
+  showToast(`Loaded the upstream ${esc(tab.path)}`, 'info');
+}
 
-  // Load Monaco from CDN
-  const script = document.createElement('script');
-  script.src = 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.47.0/min/vs/loader.min.js';
-  script.onload = () => {
-    window.require.config({
-      paths: { vs: 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.47.0/min/vs' }
-    });
-    window.require(['vs/editor/editor.main'], () => {
-      State.monacoLoaded = true;
-      const theme = State.theme === 'dark' ? 'vs-dark' : 'vs';
-      State.monacoEditor = window.monaco.editor.create(container, {
-        value: EDITOR_DEFAULT_CONTENT,
-        language: 'yaml',
-        theme,
-        fontSize: 13,
-        minimap: { enabled: false },
-        scrollBeyondLastLine: false,
-        automaticLayout: true,
-        fontFamily: '"SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace',
-        lineNumbers: 'on',
-        tabSize: 2,
-      });
-    });
-  };
-  document.head.appendChild(script);
-}
-
-const EDITOR_DEFAULT_CONTENT = `# Infinity Admin Control Plane — Live Editor
-# Use this editor to inspect and draft configuration files.
-# Files are not auto-saved; copy content to commit via GitHub.
-
-name: Infinity Master State Engine
-description: Sovereign project board for all IACP repos
-
-columns:
-  - name: NEW_IDEA
-    color: "#8b949e"
-  - name: DISCOVERY
-    color: "#58a6ff"
-  - name: EVOLUTION_COMPLETE
-    color: "#bc8cff"
-  - name: SANDBOX_BUILD
-    color: "#ffa657"
-  - name: VALIDATION
-    color: "#d29922"
-  - name: FIX_LOOP
-    color: "#f85149"
-  - name: DEPLOYMENT_CANDIDATE
-    color: "#3fb950"
-  - name: AWAITING_APPROVAL
-    color: "#00b4ff"
-  - name: RELEASED
-    color: "#1f6feb"
-
-repos_to_sync:
-  - infinity-core
-  - infinity-core-memory
-  - infinity-vision
-  - infinity-tools
-  - infinity-sandbox
-  - infinity-admin-control-plane
-  - infinity-template-infinity-gitops
-  - infinity-experiment
-`;
 
 /* ============================================================
    GATEWAY & TUNNEL
@@ -674,6 +4323,8 @@ async function loadGateway() {
   const aiEl = document.getElementById('gateway-ai-grid');
   if (!cfEl || !aiEl) return;
 
+  loadOrgWebhooks();
+
   // Merge built-in CF endpoints with saved custom CF tunnel URL from settings
   const savedCfUrl = localStorage.getItem(GW_KEY_CF_URL);
   const savedGwUrl = localStorage.getItem(GW_KEY_CF_GW);
@@ -858,6 +4509,11 @@ function renderSettings() {
   const gwField = document.getElementById('settings-cf-gateway-url');
   if (cfField) cfField.value = cfUrl;
   if (gwField) gwField.value = gwUrl;
+
+  renderSyncPicker();
+  renderSyncProgress();
+  renderLocalData();
+  renderCategorySettings();
 }
 
 async function handleSettingsSave() {
@@ -879,63 +4535,625 @@ async function handleSettingsSave() {
   showToast(result.valid ? 'Token validated successfully' : 'Token invalid — check permissions', result.valid ? 'success' : 'error');
 }
 
+/* ── Local data: what this browser has saved for offline use ── */
+function renderLocalData() {
+  const el = document.getElementById('local-data-summary');
+  if (!el) return;
+  const rows = store.KINDS.map(kind => ({ kind, info: store.info(kind) })).filter(r => r.info);
+  el.innerHTML = rows.length ? `<div class="data-table-wrap"><table>
+    <thead><tr><th>Data</th><th>Entries</th><th>Source</th></tr></thead>
+    <tbody>${rows.map(({ kind, info }) => `<tr>
+      <td class="text-xs font-bold">${kind}</td>
+      <td class="text-xs">${info.count}</td>
+      <td>${provenanceBadge(info)}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>` : '<div class="text-xs text-muted">Nothing saved yet.</div>';
+}
+
+async function clearLocalData() {
+  if (!confirm('Clear all GitHub data saved in this browser? Your token and settings are kept.')) return;
+  await Promise.all([store.reset(), clearEtagCache()]);
+  // _STATE files cached by the service worker
+  if (window.caches) {
+    for (const key of await caches.keys()) if (key.startsWith('iacp-api')) await caches.delete(key);
+  }
+  State.orgIndex    = null;
+  State.board       = null;
+  State.eventEtags  = {};
+  State.runJobs     = {};
+  State.unseenEvents.clear();
+  showToast('Local data cleared', 'success');
+}
+
+/* ── Sync Now: dispatch the _STATE workflows and follow their runs ── */
+const SYNC_POLL_MS    = 5000;
+const SYNC_TIMEOUT_MS = 15 * 60 * 1000;
+
+function renderSyncPicker() {
+  const el = document.getElementById('sync-workflow-picker');
+  if (!el || el.childElementCount) return;
+  el.innerHTML = STATE_SYNC_WORKFLOWS.map(w => `
+    <label class="flex items-center gap-2 text-xs">
+      <input type="checkbox" name="sync-workflow" value="${w.file}" checked />
+      ${w.label} <code class="text-muted">${w.file}</code>
+    </label>`).join('');
+}
+
+function renderSyncProgress() {
+  const el = document.getElementById('sync-progress');
+  if (!el) return;
+  const rows = Object.values(State.syncRuns);
+  if (!rows.length) { el.innerHTML = ''; return; }
+  const BADGE = {
+    dispatching: 'badge-muted', queued: 'badge-muted', in_progress: 'badge-info',
+    success: 'badge-success', failure: 'badge-danger', cancelled: 'badge-warning',
+    error: 'badge-danger', timed_out: 'badge-warning', critical: 'badge-warning',
+  };
+  const LABEL = { critical: 'synced · health critical' };
+  el.innerHTML = `<div class="data-table-wrap mt-3"><table>
+    <thead><tr><th>Workflow</th><th>Status</th><th>Started</th><th>State file</th><th></th></tr></thead>
+    <tbody>${rows.map(r => `<tr>
+      <td class="text-xs font-bold">${r.label}</td>
+      <td><span class="badge ${BADGE[r.status] || 'badge-muted'}" title="${esc(r.error || '')}">${LABEL[r.status] || r.status.replace('_', ' ')}</span></td>
+      <td class="text-xs text-muted">${r.startedAt ? relativeTime(r.startedAt) : '—'}</td>
+      <td class="text-xs">${r.reloaded ? `✓ ${r.state} reloaded` : `<code>${r.state}</code>`}</td>
+      <td>${r.url ? `<a href="${esc(r.url)}" target="_blank" class="btn btn-xs">Run ↗</a>` : ''}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>`;
+}
+
 async function handleSyncNow() {
-  showToast('Sync triggered — workflow dispatched', 'info');
-  // In a full implementation, this would POST to the workflow dispatch endpoint
+  if (!getToken()) { showToast('Sync requires a token with actions:write on this repo', 'error'); return; }
+  const picked = [...document.querySelectorAll('input[name="sync-workflow"]:checked')]
+    .map(el => STATE_SYNC_WORKFLOWS.find(w => w.file === el.value));
+  if (!picked.length) { showToast('Choose at least one workflow to sync', 'error'); return; }
+
+  await syncWorkflows(picked);
+}
+
+async function syncWorkflows(picked) {
+  const btn = document.getElementById('settings-sync-btn');
+  if (btn) btn.disabled = true;
+  const org = getOrg();
+  State.syncRuns = {};
+  for (const w of picked) State.syncRuns[w.file] = { ...w, status: 'dispatching' };
+  renderSyncProgress();
+
+  await Promise.all(picked.map(w => followSyncWorkflow(org, w)));
+
+  if (btn) btn.disabled = false;
+  const runs     = Object.values(State.syncRuns);
+  const ok       = runs.filter(r => r.status === 'success' || r.status === 'critical').length;
+  const critical = runs.some(r => r.status === 'critical');
+  showToast(`Sync finished — ${ok}/${picked.length} workflows synced${critical ? ' · validator health is critical' : ''}`,
+    ok === picked.length ? (critical ? 'warning' : 'success') : 'error');
+  if (ok) loadSection(State.section);
+}
+
+async function followSyncWorkflow(org, w) {
+  const run = State.syncRuns[w.file];
+  const update = patch => { Object.assign(run, patch); renderSyncProgress(); };
+  try {
+    const before = await fetchLatestDispatchRun(org, ADMIN_REPO, w.file);
+    await dispatchWorkflow(org, ADMIN_REPO, w.file);
+    update({ status: 'queued' });
+
+    const deadline = Date.now() + SYNC_TIMEOUT_MS;
+    let current = null;
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, SYNC_POLL_MS));
+      current = current
+        ? await fetchRun(org, ADMIN_REPO, current.id)
+        : await fetchLatestDispatchRun(org, ADMIN_REPO, w.file);
+      if (!current || (before && current.id <= before.id)) { current = null; continue; }
+      update({ url: current.html_url, startedAt: current.run_started_at || current.created_at });
+      if (current.status !== 'completed') { update({ status: current.status }); continue; }
+      update({ status: current.conclusion || 'failure' });
+      // A run can commit its state file and still fail: validator-status-sync.yml
+      // exits 1 once it has written a critical health. So a failed run's file
+      // is taken too, when it was synced after the run started.
+      const data = await loadStateFileFromRepo(w.state, org);
+      const fresh = data?.syncedAt && new Date(data.syncedAt) >= new Date(run.startedAt);
+      if (data && (current.conclusion === 'success' || fresh)) {
+        await applyStateFile(w.state, data);
+        update({ reloaded: true });
+        if (current.conclusion === 'failure' && data.health === 'critical') update({ status: 'critical' });
+      }
+      return;
+    }
+    update({ status: 'timed_out' });
+  } catch (e) {
+    update({ status: 'error', error: e.message });
+  }
+}
+
+// Put a freshly synced state file into the store so the next render uses it.
+async function applyStateFile(filename, data) {
+  if (!data) return;
+  switch (filename) {
+    case 'org-index.json':
+      State.orgIndex = data;
+      if (data.repos) store.put('repos', data.repos, { source: '_STATE', fetchedAt: data.syncedAt, idOf: r => r.name });
+      break;
+    case 'memory-snapshot.json':
+      putMemorySnapshot(data);
+      break;
+    case 'validator-status.json': syncedReport('validator-status', data); break;
+    case 'repo-graph.json':       syncedReport('repo-graph', data); break;
+    case 'project-map.json':      syncedReport('project-map', data); break;
+  }
 }
 
 /* ============================================================
    REPO GRAPH (SVG canvas)
+   Every indexed repo, linked by the relationships
+   repo-graph-sync.yml finds (_STATE/repo-graph.json). Laid out
+   by repo-graph.js; drag to pan, wheel or the buttons to zoom,
+   click a repo for its details.
    ============================================================ */
-function renderRepoGraph() {
+const CAT_COLORS = {
+  core: '#00b4ff', discovery: '#58a6ff', sandbox: '#ffa657', industry: '#3fb950',
+  memory: '#bc8cff', tools: '#d29922', archive: '#6e7681', other: '#8b949e',
+};
+
+const EDGE_KINDS = {
+  dependency: { label: 'Dependency', color: '#58a6ff', dash: '',    verb: ['depends on', 'used by'] },
+  submodule:  { label: 'Submodule',  color: '#bc8cff', dash: '5 3', verb: ['includes', 'included in'] },
+  dispatch:   { label: 'Dispatch',   color: '#ffa657', dash: '2 3', verb: ['dispatches to', 'dispatched by'] },
+  workspace:  { label: 'Workspace',  color: '#8b949e', dash: '7 4', verb: ['opens', 'opened by'] },
+};
+
+const GRAPH_HEIGHT = 420;
+const GRAPH_ZOOM   = { min: 0.2, max: 5 };
+
+function loadRepoGraphEdges(force = false) {
+  return store.load('repo-graph', async () => syncedReport('repo-graph', await loadRepoGraph()), { ttl: REPO_INDEX_TTL_MS, force });
+}
+
+// Radius 5–16: recent pushes and open PRs/issues make a repo bigger.
+function repoNodeRadius(repo) {
+  const days = repo.pushedAt ? (Date.now() - new Date(repo.pushedAt).getTime()) / 86400000 : 365;
+  const open = (repo.openPullRequests?.totalCount ?? repo.openPRCount ?? 0) + (repo.openIssues?.totalCount ?? 0);
+  return 5 + 6 * Math.exp(-days / 30) + Math.min(5, Math.sqrt(open));
+}
+
+function repoGraphEdges() {
+  const graph = store.get('reports', 'repo-graph');
+  return (graph?.edges || []).filter(e => store.get('repos', e.source) && store.get('repos', e.target));
+}
+
+function renderRepoGraph(relayout = false) {
   const canvas = document.getElementById('repo-graph-canvas');
   if (!canvas) return;
 
-  const repos = State.repos.slice(0, 20);
+  const repos = store.all('repos').sort((a, b) => a.name.localeCompare(b.name));
   if (!repos.length) {
     canvas.innerHTML = `<text x="50%" y="50%" text-anchor="middle" fill="var(--text-muted)" font-size="12">No repos loaded — sync org index first</text>`;
     return;
   }
 
+  const edges = repoGraphEdges();
   const W = canvas.clientWidth || 700;
-  const H = 340;
-  const cx = W / 2;
-  const cy = H / 2;
-  const r  = Math.min(cx, cy) - 60;
+  const H = GRAPH_HEIGHT;
+  // Only a new set of repos or edges moves the nodes.
+  const signature = [W, repos.map(r => r.name).join(), edges.map(e => `${e.source}>${e.target}:${e.kind}`).join()].join('|');
+  const graph = State.repoGraph;
+  if (relayout || graph.signature !== signature) {
+    graph.positions = layoutGraph(repos.map(r => ({ id: r.name })), edges, { width: W, height: H });
+    graph.signature = signature;
+  }
+  canvas.setAttribute('viewBox', `0 0 ${W} ${H}`);
+  bindRepoGraph(canvas);
 
-  const nodes = repos.map((repo, i) => {
-    const angle = (2 * Math.PI * i) / repos.length - Math.PI / 2;
-    return {
-      x: cx + r * Math.cos(angle),
-      y: cy + r * Math.sin(angle),
-      name: repo.name,
-      cat: categorizeRepo(repo),
-    };
+  const { positions, selected, hidden } = graph;
+  const shown = edges.filter(e => !hidden.has(e.kind));
+  const neighbours = new Set(selected ? shown.flatMap(e => e.source === selected ? [e.target] : e.target === selected ? [e.source] : []) : []);
+  const dim = name => selected && name !== selected && !neighbours.has(name);
+
+  canvas.innerHTML = `
+    <defs>${Object.entries(EDGE_KINDS).map(([kind, k]) => `
+      <marker id="graph-arrow-${kind}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+        <path d="M 0 0 L 10 5 L 0 10 z" fill="${k.color}"/>
+      </marker>`).join('')}
+    </defs>
+    <g id="repo-graph-view" transform="${repoGraphTransform()}">
+      ${shown.map(e => {
+        const a = positions.get(e.source), b = positions.get(e.target);
+        // Stop the arrow at the target's edge.
+        const r  = repoNodeRadius(store.get('repos', e.target)) + 2;
+        const d  = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const k  = EDGE_KINDS[e.kind] || EDGE_KINDS.dependency;
+        const on = selected && (e.source === selected || e.target === selected);
+        return `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${(b.x - (b.x - a.x) * r / d).toFixed(1)}" y2="${(b.y - (b.y - a.y) * r / d).toFixed(1)}"
+          stroke="${k.color}" stroke-width="${on ? 2 : 1.2}" ${k.dash ? `stroke-dasharray="${k.dash}"` : ''}
+          opacity="${selected && !on ? 0.15 : 0.7}" marker-end="url(#graph-arrow-${e.kind})"><title>${esc(e.source)} ${k.verb[0]} ${esc(e.target)}</title></line>`;
+      }).join('')}
+      ${repos.map(repo => {
+        const p = positions.get(repo.name);
+        const r = repoNodeRadius(repo);
+        const label = repo.name.length > 18 ? repo.name.slice(0, 16) + '…' : repo.name;
+        return `<g class="graph-node${repo.name === selected ? ' selected' : ''}" opacity="${dim(repo.name) ? 0.25 : 1}"
+            data-repo="${esc(repo.name)}" onclick="IACP.openRepoNode('${esc(repo.name)}')" role="button" tabindex="0" aria-label="${esc(repo.name)}">
+          <circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${r.toFixed(1)}" fill="${CAT_COLORS[categorizeRepo(repo)] || CAT_COLORS.other}" opacity="0.9"/>
+          <text x="${p.x.toFixed(1)}" y="${(p.y + r + 10).toFixed(1)}" text-anchor="middle" font-size="9" fill="var(--text-muted)">${esc(label)}</text>
+          <title>${esc(repo.name)} · ${esc(categorizeRepo(repo))}</title>
+        </g>`;
+      }).join('')}
+    </g>`;
+  renderRepoGraphLegend(edges);
+}
+
+function renderRepoGraphLegend(edges) {
+  const el = document.getElementById('repo-graph-legend');
+  if (!el) return;
+  const graph  = store.get('reports', 'repo-graph');
+  const counts = {};
+  for (const e of edges) counts[e.kind] = (counts[e.kind] || 0) + 1;
+  const used = new Set(store.all('repos').map(categorizeRepo));
+  el.innerHTML = `
+    <div class="flex items-center gap-3 text-xs">
+      ${CATEGORIES.filter(c => used.has(c)).map(c => `<span class="flex items-center gap-2"><span class="graph-swatch" style="background:${CAT_COLORS[c]}"></span>${c}</span>`).join('')}
+    </div>
+    <div class="flex items-center gap-3 text-xs mt-2">
+      ${Object.entries(EDGE_KINDS).map(([kind, k]) => `<label class="flex items-center gap-2">
+        <input type="checkbox" ${State.repoGraph.hidden.has(kind) ? '' : 'checked'} onchange="IACP.toggleRepoGraphEdges('${kind}', this.checked)" />
+        <svg width="22" height="6"><line x1="0" y1="3" x2="22" y2="3" stroke="${k.color}" stroke-width="2" ${k.dash ? `stroke-dasharray="${k.dash}"` : ''}/></svg>
+        ${k.label} <span class="text-muted">${counts[kind] || 0}</span></label>`).join('')}
+      <span class="text-muted" style="margin-left:auto">${graph
+        ? `edges synced ${relativeTime(graph.syncedAt)}${graph.errors?.length ? ` · ${graph.errors.length} repo(s) unreadable` : ''}`
+        : 'No edges yet — run repo-graph-sync.yml (Settings → Sync State Files)'}</span>
+    </div>`;
+}
+
+function toggleRepoGraphEdges(kind, on) {
+  if (on) State.repoGraph.hidden.delete(kind);
+  else    State.repoGraph.hidden.add(kind);
+  renderRepoGraph();
+}
+
+/* ── Pan and zoom: a transform on the view group, no re-layout ── */
+function repoGraphTransform() {
+  const { x, y, k } = State.repoGraph.view;
+  return `translate(${x.toFixed(1)},${y.toFixed(1)}) scale(${k.toFixed(3)})`;
+}
+
+function applyRepoGraphView() {
+  document.getElementById('repo-graph-view')?.setAttribute('transform', repoGraphTransform());
+}
+
+// Zoom by `factor` keeping the canvas point (mx, my) still.
+function zoomRepoGraph(factor, mx, my) {
+  const view = State.repoGraph.view;
+  const canvas = document.getElementById('repo-graph-canvas');
+  const W = canvas?.viewBox?.baseVal?.width || 700;
+  mx ??= W / 2;
+  my ??= GRAPH_HEIGHT / 2;
+  const k = Math.min(GRAPH_ZOOM.max, Math.max(GRAPH_ZOOM.min, view.k * factor));
+  view.x = mx - (mx - view.x) * (k / view.k);
+  view.y = my - (my - view.y) * (k / view.k);
+  view.k = k;
+  applyRepoGraphView();
+}
+
+function resetRepoGraphView() {
+  State.repoGraph.view = { x: 0, y: 0, k: 1 };
+  applyRepoGraphView();
+}
+
+// Client pixels to viewBox units.
+function graphPoint(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  const W = canvas.viewBox.baseVal?.width || rect.width;
+  const scale = rect.width ? W / rect.width : 1;
+  return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale, scale };
+}
+
+function bindRepoGraph(canvas) {
+  if (canvas.dataset.bound) return;
+  canvas.dataset.bound = '1';
+  canvas.addEventListener('wheel', e => {
+    e.preventDefault();
+    const p = graphPoint(canvas, e);
+    zoomRepoGraph(e.deltaY < 0 ? 1.15 : 1 / 1.15, p.x, p.y);
+  }, { passive: false });
+
+  let drag = null;
+  canvas.addEventListener('pointerdown', e => {
+    if (e.target.closest('.graph-node')) return;
+    const p = graphPoint(canvas, e);
+    drag = { x: p.x, y: p.y, view: { ...State.repoGraph.view } };
+    canvas.setPointerCapture?.(e.pointerId);
+    canvas.classList.add('panning');
+  });
+  canvas.addEventListener('pointermove', e => {
+    if (!drag) return;
+    const p = graphPoint(canvas, e);
+    State.repoGraph.view.x = drag.view.x + p.x - drag.x;
+    State.repoGraph.view.y = drag.view.y + p.y - drag.y;
+    applyRepoGraphView();
+  });
+  const end = () => { drag = null; canvas.classList.remove('panning'); };
+  canvas.addEventListener('pointerup', end);
+  canvas.addEventListener('pointercancel', end);
+  canvas.addEventListener('keydown', e => {
+    const node = e.target.closest?.('.graph-node');
+    if (node && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      openRepoNode(node.dataset.repo);
+    }
   });
+}
 
-  const CAT_COLORS = { core:'#00b4ff', discovery:'#58a6ff', sandbox:'#ffa657',
-                       industry:'#3fb950', memory:'#bc8cff', tools:'#d29922', other:'#8b949e' };
-
-  const svg = `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg">
-    <!-- Hub node -->
-    <circle cx="${cx}" cy="${cy}" r="20" fill="#00b4ff" opacity="0.2"/>
-    <circle cx="${cx}" cy="${cy}" r="8" fill="#00b4ff"/>
-    <text x="${cx}" y="${cy + 26}" text-anchor="middle" font-size="10" fill="var(--text-muted)">ORG</text>
-
-    <!-- Edges -->
-    ${nodes.map(n => `<line x1="${cx}" y1="${cy}" x2="${n.x}" y2="${n.y}" stroke="var(--border)" stroke-width="1" opacity="0.5"/>`).join('')}
-
-    <!-- Nodes -->
-    ${nodes.map(n => {
-      const color = CAT_COLORS[n.cat] || '#8b949e';
-      const label = n.name.length > 16 ? n.name.slice(0, 14) + '…' : n.name;
-      return `
-        <circle cx="${n.x}" cy="${n.y}" r="8" fill="${color}" opacity="0.85"/>
-        <text x="${n.x}" y="${n.y + 18}" text-anchor="middle" font-size="9" fill="var(--text-muted)">${label}</text>`;
-    }).join('')}
-  </svg>`;
+/* ── Side panel ── */
+function openRepoNode(name) {
+  const repo = store.get('repos', name);
+  if (!repo) return;
+  State.repoGraph.selected = name;
+  renderRepoGraph();
+
+  const edges = repoGraphEdges();
+  const { category, reason } = explainCategory(repo);
+  const related = (list, dir) => list.length ? list.map(e => {
+    const other = dir === 0 ? e.target : e.source;
+    const k = EDGE_KINDS[e.kind] || EDGE_KINDS.dependency;
+    return `<div class="flex items-center gap-2 text-xs mb-2">
+      <span class="graph-swatch" style="background:${k.color}"></span>
+      <span class="text-muted">${k.verb[dir]}</span>
+      <a href="#" onclick="event.preventDefault(); IACP.openRepoNode('${esc(other)}')">${esc(other)}</a>
+      <span class="text-subtle truncate" title="${esc(e.details.join(', '))}">${esc(e.details.slice(0, 3).join(', '))}${e.details.length > 3 ? '…' : ''}</span>
+    </div>`;
+  }).join('') : '<div class="text-xs text-muted">None found.</div>';
+
+  State.drawerItem = { kind: 'repo-node', id: name };
+  openDrawer(`📦 ${esc(name)}`, `
+    <div class="drawer-section">
+      <p class="mb-2">${esc(repo.description || 'No description.')}</p>
+      <div class="flex items-center gap-2 mb-2">
+        <span class="badge" style="background:${CAT_COLORS[category]}22;color:${CAT_COLORS[category]}">${esc(category)}</span>
+        <span class="text-xs text-muted">${esc(reason)}</span>
+        ${repo.isArchived ? '<span class="badge badge-muted">archived</span>' : ''}
+        ${repo.isPrivate ? '<span class="badge badge-muted">private</span>' : ''}
+      </div>
+      <div class="text-xs text-muted">${esc(repo.primaryLanguage?.name || '—')} · ★ ${repo.stargazerCount ?? 0}
+        · ${repo.openPullRequests?.totalCount ?? repo.openPRCount ?? 0} open PRs · ${repo.openIssues?.totalCount ?? 0} open issues
+        · pushed ${relativeTime(repo.pushedAt)}</div>
+      <div class="mt-2">${repoTopics(repo).map(t => `<span class="label-chip">${esc(t)}</span>`).join('')}</div>
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Outgoing</div>
+      ${related(edges.filter(e => e.source === name), 0)}
+    </div>
+    <div class="drawer-section">
+      <div class="drawer-section-title">Incoming</div>
+      ${related(edges.filter(e => e.target === name), 1)}
+    </div>
+    <div class="flex gap-2">
+      <a class="btn btn-sm" href="${esc(repo.url)}" target="_blank">Open on GitHub ↗</a>
+      <button class="btn btn-sm" onclick="IACP.clearRepoNode()">Clear highlight</button>
+    </div>`);
+}
+
+function clearRepoNode() {
+  State.repoGraph.selected = null;
+  closeDrawer();
+  renderRepoGraph();
+}
+
+/* ============================================================
+   RATE LIMIT GAUGE
+   ============================================================ */
+function renderRateGauge() {
+  const el = document.getElementById('rate-gauge');
+  const { core, graphql } = getRateLimit();
+  if (!el || !core) return;
+  const pct = core.limit ? core.remaining / core.limit : 0;
+  el.classList.remove('hidden');
+  el.classList.toggle('warn', pct <= 0.5 && pct > 0.15);
+  el.classList.toggle('low',  pct <= 0.15);
+  document.getElementById('rate-gauge-fill').style.width = `${Math.round(pct * 100)}%`;
+  document.getElementById('rate-gauge-value').textContent = core.remaining.toLocaleString();
+
+  const resetAt = r => new Date(r.reset * 1000).toLocaleTimeString();
+  el.title = [
+    `REST: ${core.remaining.toLocaleString()} / ${core.limit.toLocaleString()} (resets ${resetAt(core)})`,
+    graphql && `GraphQL: ${graphql.remaining.toLocaleString()} / ${graphql.limit.toLocaleString()} points (resets ${resetAt(graphql)})`,
+    graphql?.lastCost != null && `Last query cost: ${graphql.lastCost} · this session: ${graphql.sessionCost}`,
+    'Click to refresh',
+  ].filter(Boolean).join('\n');
+}
+
+async function refreshRateLimit() {
+  if (!getToken()) return;
+  await fetchRateLimit();
+}
+
+/* ============================================================
+   COMMAND PALETTE
+   ============================================================ */
+const PALETTE_RECENT_KEY = 'iacp_palette_recent';
+const PALETTE_RECENT_MAX = 8;
+const PALETTE_LIMIT = 50;
+
+const PALETTE_ACTIONS = [
+  { id: 'sync-org-index', label: 'Sync org index', icon: '↻',
+    desc: 'Dispatch sync-org-index.yml and reload _STATE/org-index.json when it finishes.',
+    run: () => syncFromPalette(['sync-org-index.yml']) },
+  { id: 'sync-all', label: 'Sync all state files', icon: '↻',
+    desc: 'Dispatch every _STATE sync workflow and follow the runs.',
+    run: () => syncFromPalette(STATE_SYNC_WORKFLOWS.map(w => w.file)) },
+  { id: 'toggle-theme', label: 'Toggle theme', icon: '◐',
+    desc: 'Switch between the dark and light themes.', run: toggleTheme },
+  { id: 'probe-gateways', label: 'Probe gateways', icon: '📡',
+    desc: 'Open Gateway & Tunnel and re-probe every endpoint.', run: () => navigate('gateway') },
+  { id: 'new-command', label: 'New command', icon: '＋',
+    desc: 'Create an issue or draft item on a project board.', run: openCommandForm },
+  { id: 'recheck-governance', label: 'Re-check governance', icon: '🛡',
+    desc: 'Open Validation and re-run the per-repo governance checks.',
+    run: () => { navigate('validation'); loadGovernance(true); } },
+];
+
+function syncFromPalette(files) {
+  if (!getToken()) { showToast('Sync requires a token with actions:write on this repo', 'error'); return; }
+  navigate('settings');
+  syncWorkflows(STATE_SYNC_WORKFLOWS.filter(w => files.includes(w.file)));
+}
+
+// Everything searchable, rebuilt on open so it reflects what has loaded.
+function paletteItems() {
+  const items = [];
+  for (const a of PALETTE_ACTIONS) {
+    items.push({ key: `action:${a.id}`, kind: 'action', icon: a.icon, label: a.label, sub: 'Action',
+      run: a.run, preview: () => `<p>${esc(a.desc)}</p>` });
+  }
+  for (const sec of SECTIONS) {
+    items.push({ key: `section:${sec}`, kind: 'section', icon: '§', label: sectionLabel(sec), sub: 'Go to section',
+      run: () => navigate(sec),
+      preview: () => `<p>${esc(document.querySelector(`#section-${sec} .page-subtitle`)?.textContent || '')}</p>` });
+  }
+  for (const r of store.all('repos')) {
+    items.push({ key: `repo:${r.name}`, kind: 'repo', icon: '📦', label: r.name, sub: categorizeRepo(r),
+      run: () => window.open(r.url, '_blank'),
+      preview: () => `
+        <p>${esc(r.description || 'No description.')}</p>
+        <div class="text-xs text-muted">${esc(r.primaryLanguage?.name || '—')} · ★ ${r.stargazerCount ?? 0}
+          · ${r.openPullRequests?.totalCount ?? 0} open PRs · pushed ${relativeTime(r.pushedAt)}</div>
+        <div class="mt-2">${(r.repositoryTopics?.nodes || []).map(n => `<span class="label-chip">${esc(n.topic.name)}</span>`).join('')}</div>` });
+  }
+  for (const pr of openPRs()) {
+    items.push({ key: `pr:${pr.repo}#${pr.number}`, kind: 'pr', icon: '🔀', label: pr.title, sub: `${pr.repo} #${pr.number}`,
+      run: () => window.open(pr.url, '_blank'),
+      preview: () => `<p>${esc(pr.title)}</p>
+        <div class="text-xs text-muted">by ${esc(pr.author || '—')} · opened ${relativeTime(pr.createdAt)}${pr.isDraft ? ' · draft' : ''}</div>
+        <div class="mt-2">${reviewBadge(pr.reviewDecision)} ${checksBadge(pr.checks)}</div>` });
+  }
+  for (const it of boardItems()) {
+    const c = it.content || {};
+    items.push({ key: `item:${it.id}`, kind: 'item', icon: '▦', label: c.title || '(untitled)',
+      sub: c.number ? `${c.repository?.name} #${c.number}` : 'Draft item',
+      run: () => { navigate('projects'); openItemDrawer(it.id); },
+      preview: () => `<p>${esc(c.title || '')}</p><div class="text-xs text-muted">${esc(State.board.title)} · ${esc(it.status?.name || 'No Status')}</div>` });
+  }
+  for (const e of store.all('memory')) {
+    items.push({ key: `memory:${memoryId(e)}`, kind: 'memory', icon: '🧠', label: e.title, sub: `${e.type} · ${relativeTime(e.timestamp)}`,
+      run: () => { navigate('memory'); openMemoryEntry(memoryId(e)); },
+      preview: () => `<p>${esc(e.title)}</p><div class="text-xs text-muted">${esc(e.type)} · ${esc(new Date(e.timestamp).toLocaleString())}</div>
+        ${e.body ? `<pre class="text-xs mt-2" style="white-space:pre-wrap">${esc(e.body)}</pre>` : ''}` });
+  }
+  return items;
+}
+
+// Subsequence match; consecutive runs, word starts and short labels score
+// higher. Greedy from every occurrence of the first character, keeping the
+// best, so "thm" prefers "toggle THeMe" over "Toggle tHeMe".
+// Returns null when not every query character is found in order.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q) return null;
+  let best = null;
+  for (let start = t.indexOf(q[0]); start !== -1; start = t.indexOf(q[0], start + 1)) {
+    const idx = [start];
+    let score = 1 + (start === 0 || /[\s\-_/#.:]/.test(t[start - 1]) ? 5 : 0);
+    for (let i = 1; i < q.length; i++) {
+      const found = t.indexOf(q[i], idx[idx.length - 1] + 1);
+      if (found === -1) return best;
+      score += 1;
+      if (found === idx[idx.length - 1] + 1) score += 3;
+      if (/[\s\-_/#.:]/.test(t[found - 1])) score += 5;
+      idx.push(found);
+    }
+    score -= t.length * 0.05;
+    if (!best || score > best.score) best = { score, idx };
+  }
+  return best;
+}
+
+function highlight(text, idx) {
+  const set = new Set(idx);
+  return [...text].map((ch, i) => set.has(i) ? `<mark>${esc(ch)}</mark>` : esc(ch)).join('');
+}
+
+function getRecent() {
+  try { return JSON.parse(localStorage.getItem(PALETTE_RECENT_KEY)) || []; } catch { return []; }
+}
+
+function openPalette() {
+  State.palette.open = true;
+  State.palette.items = paletteItems();
+  document.getElementById('palette')?.classList.add('visible');
+  const input = document.getElementById('palette-input');
+  if (input) { input.value = ''; input.focus(); }
+  document.getElementById('topbar-search-input')?.blur();
+  renderPalette('');
+
+  // Memory and PRs are only loaded by their sections; fetch them so they
+  // are searchable. The store subscription refreshes the open results.
+  loadMemoryEntries();
+  loadOrgSnapshot();
+}
+
+function closePalette() {
+  State.palette.open = false;
+  document.getElementById('palette')?.classList.remove('visible');
+}
+
+function renderPalette(query) {
+  const el = document.getElementById('palette-results');
+  if (!el) return;
+  const q = query.trim();
+  let results;
+  if (!q) {
+    const byKey = new Map(State.palette.items.map(i => [i.key, i]));
+    const recent = getRecent().map(k => byKey.get(k)).filter(Boolean).map(item => ({ item, idx: [], recent: true }));
+    const rest = State.palette.items.filter(i => i.kind === 'action' || i.kind === 'section')
+      .filter(i => !recent.some(r => r.item === i)).map(item => ({ item, idx: [] }));
+    results = [...recent, ...rest];
+  } else {
+    results = State.palette.items.map(item => {
+      const m = fuzzyMatch(q, item.label);
+      if (m) return { item, idx: m.idx, score: m.score };
+      // Secondary match on the subtitle (repo name, type…) ranks below label hits.
+      const sub = item.sub && fuzzyMatch(q, item.sub);
+      return sub ? { item, idx: [], score: sub.score / 2 } : null;
+    }).filter(Boolean).sort((a, b) => b.score - a.score).slice(0, PALETTE_LIMIT);
+  }
+  State.palette.results = results;
+  State.palette.index = 0;
+
+  el.innerHTML = results.length ? results.map((r, i) => `
+    <div class="palette-item" data-index="${i}" onmousemove="IACP.paletteSelect(${i})" onclick="IACP.paletteRun(${i})">
+      <span class="palette-icon">${r.item.icon}</span>
+      <span class="palette-label">${highlight(r.item.label, r.idx)}</span>
+      <span class="palette-sub">${r.recent ? 'Recent · ' : ''}${esc(r.item.sub || '')}</span>
+    </div>`).join('') : '<div class="palette-empty">No matches</div>';
+  paletteSelect(0);
+}
+
+function paletteSelect(i) {
+  const items = document.querySelectorAll('#palette-results .palette-item');
+  if (!items.length) { document.getElementById('palette-preview').innerHTML = ''; return; }
+  State.palette.index = (i + items.length) % items.length;
+  items.forEach((el, n) => el.classList.toggle('selected', n === State.palette.index));
+  items[State.palette.index].scrollIntoView?.({ block: 'nearest' });
+  const { item } = State.palette.results[State.palette.index];
+  document.getElementById('palette-preview').innerHTML = `
+    <div class="font-bold mb-2">${item.icon} ${esc(item.label)}</div>
+    <div class="markdown-body">${item.preview()}</div>`;
+}
+
+function paletteRun(i) {
+  const r = State.palette.results[i];
+  if (!r) return;
+  const recent = [r.item.key, ...getRecent().filter(k => k !== r.item.key)].slice(0, PALETTE_RECENT_MAX);
+  localStorage.setItem(PALETTE_RECENT_KEY, JSON.stringify(recent));
+  closePalette();
+  r.item.run();
+}
 
-  canvas.innerHTML = svg;
+function paletteKeydown(e) {
+  if (e.key === 'ArrowDown')      { e.preventDefault(); paletteSelect(State.palette.index + 1); }
+  else if (e.key === 'ArrowUp')   { e.preventDefault(); paletteSelect(State.palette.index - 1); }
+  else if (e.key === 'Enter')     { e.preventDefault(); paletteRun(State.palette.index); }
 }
 
 /* ============================================================
@@ -953,6 +5171,60 @@ function relativeTime(iso) {
   return new Date(iso).toLocaleDateString();
 }
 
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, ch =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function staleBadge(iso, maxAgeHours) {
+  if (!iso) return `<span class="badge badge-muted">never synced</span>`;
+  const hours = (Date.now() - new Date(iso).getTime()) / 3600000;
+  return hours > maxAgeHours
+    ? `<span class="badge badge-warning" title="Last synced ${new Date(iso).toLocaleString()}">stale</span>`
+    : `<span class="badge badge-success" title="Last synced ${new Date(iso).toLocaleString()}">fresh</span>`;
+}
+
+// Pick whichever copy of a _STATE file was synced last. Pages may still
+// serve an older copy than one read from the repo after a Sync Now.
+function newerState(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(b.syncedAt || 0) >= new Date(a.syncedAt || 0) ? b : a;
+}
+
+// "as of <time> · <source>" for data in the store. Panels declare what
+// they show with data-provenance="kind" or "kind:id".
+const SOURCE_BADGES = { live: 'badge-success', _STATE: 'badge-info', site: 'badge-info', cache: 'badge-warning' };
+
+function provenanceBadge(info) {
+  if (!info) return '';
+  const source = info.source === 'cache' && info.origin ? `cache (${info.origin})` : info.source;
+  const when   = info.fetchedAt ? new Date(info.fetchedAt).toLocaleString() : 'unknown';
+  return `<span class="badge ${SOURCE_BADGES[info.source] || 'badge-muted'}" title="Fetched ${when}">as of ${relativeTime(info.fetchedAt)} · ${esc(source)}</span>`;
+}
+
+function renderProvenance() {
+  document.querySelectorAll('[data-provenance]').forEach(el => {
+    const [kind, id] = el.dataset.provenance.split(':');
+    el.innerHTML = provenanceBadge(id ? store.infoOf(kind, id) : store.info(kind));
+  });
+}
+
+// Keep the newer of the stored and the just-loaded copy of a _STATE
+// file as a report; only a newer load replaces the stored one.
+function syncedReport(name, loaded) {
+  const current = store.get('reports', name);
+  const data = newerState(current, loaded);
+  if (data && data !== current) store.set('reports', name, data, { source: '_STATE', fetchedAt: data.syncedAt });
+  return data;
+}
+
+// Live loaders skip the network while the browser reports no connection,
+// so fetches that swallow errors cannot overwrite saved data with blanks.
+function isOffline() {
+  return navigator.onLine === false;
+}
+
 function emptyState(msg) {
   return `<div style="padding:32px;text-align:center;color:var(--text-subtle);font-size:12px">${msg}</div>`;
 }
@@ -963,12 +5235,28 @@ function skeletonRows(n) {
   ).join('');
 }
 
+function openDrawer(title, html) {
+  document.getElementById('drawer-title').innerHTML = title;
+  document.getElementById('drawer-body').innerHTML = html;
+  document.getElementById('drawer').classList.add('open');
+  document.getElementById('drawer').setAttribute('aria-hidden', 'false');
+  document.getElementById('drawer-overlay').classList.add('visible');
+}
+
+function closeDrawer() {
+  document.getElementById('drawer')?.classList.remove('open');
+  document.getElementById('drawer')?.setAttribute('aria-hidden', 'true');
+  document.getElementById('drawer-overlay')?.classList.remove('visible');
+  State.drawerItem = null;
+  disposeCommitDiff();
+}
+
 function showToast(msg, type = 'info') {
   const container = document.getElementById('toast-container');
   if (!container) return;
   const toast = document.createElement('div');
   toast.className = `toast ${type}`;
-  toast.innerHTML = `<span>${{ success:'✓', error:'✗', info:'ℹ' }[type] || 'ℹ'}</span><span>${msg}</span>`;
+  toast.innerHTML = `<span>${{ success:'✓', error:'✗', warning:'⚠', info:'ℹ' }[type] || 'ℹ'}</span><span>${msg}</span>`;
   container.appendChild(toast);
   setTimeout(() => toast.remove(), 3200);
 }
@@ -997,12 +5285,44 @@ async function triggerInstall() {
 /* ============================================================
    SERVICE WORKER REGISTRATION
    ============================================================ */
+// The deployed worker lives at the site root (see deploy-pages.yml), one
+// level above dashboard/, whether Pages serves the site at / or a subpath.
 function registerSW() {
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker
-      .register('/pwa/service-worker.js')
-      .catch(() => {/* non-critical */});
-  }
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker
+    .register('../service-worker.js', { scope: '../' })
+    .then(reg => {
+      // Only an update has a controller to replace; a first install does not.
+      if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+        });
+      });
+    })
+    .catch(() => {/* non-critical */});
+
+  // The new worker took over after applyUpdate(): load the new shell.
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (State.swWaiting) location.reload();
+  });
+}
+
+function showUpdateBanner(worker) {
+  State.swWaiting = worker;
+  const banner = document.getElementById('update-banner');
+  if (banner) banner.hidden = false;
+}
+
+function applyUpdate() {
+  State.swWaiting?.postMessage({ type: 'SKIP_WAITING' });
+}
+
+// Dismissed updates still apply on the next visit once every tab is closed.
+function dismissUpdate() {
+  const banner = document.getElementById('update-banner');
+  if (banner) banner.hidden = true;
 }
 
 /* ============================================================
@@ -1050,28 +5370,44 @@ async function init() {
   });
 
   // Theme toggle
-  document.getElementById('theme-toggle')?.addEventListener('click', () => {
-    applyTheme(State.theme === 'dark' ? 'light' : 'dark');
-    if (State.monacoEditor) {
-      window.monaco?.editor?.setTheme(State.theme === 'dark' ? 'vs-dark' : 'vs');
-    }
-  });
+  document.getElementById('theme-toggle')?.addEventListener('click', toggleTheme);
 
   // Install button
   document.getElementById('install-btn')?.addEventListener('click', triggerInstall);
 
-  // Search
-  document.getElementById('topbar-search-input')?.addEventListener('input', e => {
-    const q = e.target.value.toLowerCase();
-    if (!q) return;
-    const found = State.repos.find(r => r.name.toLowerCase().includes(q));
-    if (found) window.open(found.url, '_blank');
+  // Command palette (Ctrl/Cmd+K); the topbar search box just opens it
+  document.getElementById('topbar-search')?.addEventListener('click', openPalette);
+  document.getElementById('palette-input')?.addEventListener('input', e => renderPalette(e.target.value));
+  document.getElementById('palette-input')?.addEventListener('keydown', paletteKeydown);
+  document.addEventListener('keydown', e => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      State.palette.open ? closePalette() : openPalette();
+    } else if (e.key === 'Escape') {
+      State.palette.open ? closePalette() : closeDrawer();
+    }
   });
+  if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+    const kbd = document.getElementById('palette-shortcut');
+    if (kbd) kbd.textContent = '⌘K';
+  }
+
+  // Rate-limit gauge: fed by every API response
+  onRateLimit(renderRateGauge);
+  if (getToken() && !isOffline()) fetchRateLimit();
 
   // Settings save
   document.getElementById('settings-save-btn')?.addEventListener('click', handleSettingsSave);
   document.getElementById('settings-sync-btn')?.addEventListener('click', handleSyncNow);
   document.getElementById('settings-tunnel-save-btn')?.addEventListener('click', saveTunnelConfig);
+  document.getElementById('settings-clear-data-btn')?.addEventListener('click', clearLocalData);
+
+  // Offline, panels keep showing saved data; refresh once reconnected
+  window.addEventListener('offline', () => showToast('Offline — showing saved data', 'warning'));
+  window.addEventListener('online', () => {
+    showToast('Back online — refreshing', 'info');
+    loadSection(State.section);
+  });
 
   // Hash navigation
   window.addEventListener('hashchange', () => {
@@ -1079,17 +5415,31 @@ async function init() {
     navigate(s);
   });
 
+  // Restore data saved by earlier visits so every panel has something
+  // to show before (or without) the network
+  await store.hydrate();
+
   // Navigate to initial section
   navigate(State.section);
 
+  // Re-render the visible section (and open palette) when its data changes
+  store.subscribe(null, changed => {
+    const view = SECTION_VIEWS[State.section];
+    if (view?.kinds.some(k => changed.has(k))) view.render();
+    renderProvenance();
+    if (State.palette.open) {
+      State.palette.items = paletteItems();
+      renderPalette(document.getElementById('palette-input')?.value || '');
+    }
+  });
+
   // Load static state files (Actions-generated)
-  const index = await loadOrgIndex();
-  if (index?.repos) {
-    State.repos = index.repos;
-  }
+  await loadRepoIndex();
+  loadCategoryConfig();
 
   // Render global elements
   renderCopilotEntrypoints();
+  startEventPolling();
 
   // Update sidebar system status dot
   const dot = document.getElementById('sidebar-system-dot');
@@ -1106,4 +5456,29 @@ if (document.readyState === 'loading') {
 }
 
 // Export for inline event handlers
-window.IACP = { navigate, showToast, renderRepoGraph, probeAllEndpoints: loadGateway, addGatewayEndpoint, clearCustomEndpoints };
+window.IACP = {
+  navigate, showToast, renderRepoGraph, redrawRepoGraph: () => renderRepoGraph(true),
+  openRepoNode, clearRepoNode, toggleRepoGraphEdges, zoomRepoGraph, resetRepoGraphView,
+  probeAllEndpoints: loadGateway, addGatewayEndpoint, clearCustomEndpoints,
+  sortGovernance, toggleGovernanceFailing, recheckGovernance: () => loadGovernance(true),
+  sortPRQueue, togglePRQueueFilter, setPRStaleDays, refreshPRQueue: () => loadOrgSnapshot(true),
+  togglePRSelection, selectShownPRs, selectGreenDependabotPRs, clearPRSelection,
+  openPRActions, runPRAction, bulkMergePRs, exportPRAuditLog,
+  toggleAlertAck, setVaultGrouping, toggleVaultAcked, refreshVault: loadVault,
+  filterFeed, markEventsSeen, refreshWebhooks: loadOrgWebhooks,
+  toggleRunJobs, rerunFailed,
+  openDiscoveryStage, traceDiscoveryRun, traceDiscoveryRunInput,
+  selectProject, kanbanDragStart, kanbanDragOver, kanbanDrop,
+  openItemDrawer, closeDrawer, saveItemField, drawerComment, drawerAssign, drawerClose,
+  openCommandForm, commandRepoChanged, commandProjectChanged, applyCommandTemplate, submitCommand,
+  openPalette, closePalette, paletteSelect, paletteRun,
+  refreshRateLimit, applyUpdate, dismissUpdate,
+  editorSelectRepo, editorSelectBranch, editorToggleDir, editorFilter, editorOpenFile,
+  selectEditorTab, closeEditorTab, openCommitDialog, commitModeChanged, submitCommit,
+  resolveCommitConflict, revealProblem, openApplyBoardConfig, applyBoardConfig,
+  filterMemory, clearMemoryFilters, loadOlderMemory, openMemoryEntry, openMemoryFile,
+  openMemoryForm, submitMemoryEntry,
+  previewCategoriesLater, saveCategoryDraft, discardCategoryDraft, commitCategoryConfig,
+  toggleRepoSelection, selectCategoryRepos, clearRepoSelection,
+  openBulkRepoEdit, previewBulkRepoEdit, applyBulkRepoEdit, undoRepoBatch,
+};
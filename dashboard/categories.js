@@ -0,0 +1,94 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — Repo Categories
+ * Decides which category (Industry group, Discovery/Sandbox
+ * membership, Overview counts) each repo falls in, from the
+ * rules in config/categories.yml. In order:
+ *   1. an `iacp-category-<name>` topic on the repo
+ *   2. a per-repo override
+ *   3. `archive` for archived repos
+ *   4. the first rule with an include pattern matching the repo
+ *      name or a topic, and no exclude pattern matching
+ *   5. the default
+ */
+
+export const CATEGORIES = ['core', 'discovery', 'sandbox', 'industry', 'memory', 'tools', 'archive', 'other'];
+
+export const CATEGORY_CONFIG_PATH = 'config/categories.yml';
+
+// GitHub topics cannot contain ':', so `iacp-category:core` is written
+// `iacp-category-core`; the colon form is accepted for tools that keep it.
+const CATEGORY_TOPIC = /^iacp-category[-:](.+)$/;
+
+// Used until config/categories.yml loads, and when it is missing or invalid.
+export const DEFAULT_CATEGORY_CONFIG = {
+  version: 1,
+  default: 'other',
+  overrides: { 'infinity-admin-control-plane': 'core' },
+  rules: [
+    { category: 'archive',   include: ['*archive*', '*legacy*', '*deprecated*'] },
+    { category: 'memory',    include: ['*memory*', '*knowledge*', '*journal*'] },
+    { category: 'discovery', include: ['*discovery*', '*research*', '*explore*'] },
+    { category: 'sandbox',   include: ['*sandbox*', '*experiment*', 'test-*', '*-test', '*-tests'] },
+    { category: 'industry',  include: ['*industry*', '*sector*', '*market*'] },
+    { category: 'tools',     include: ['*tool*', '*util*', '*helper*', '*-cli', 'cli-*'] },
+    { category: 'core',      include: ['*core*', '*orchestrator*'] },
+  ],
+};
+
+// A glob (`*` for any run of characters) or, between slashes, a regex.
+// Matched case-insensitively against the whole repo name or topic.
+function compilePattern(pattern) {
+  const rx = /^\/(.+)\/$/.exec(pattern);
+  if (rx) return new RegExp(rx[1], 'i');
+  const glob = pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${glob}$`, 'i');
+}
+
+/** The config with its patterns compiled; throws on an invalid regex. */
+export function compileCategories(config) {
+  return {
+    default:   config.default || 'other',
+    overrides: new Map(Object.entries(config.overrides || {}).map(([name, cat]) => [name.toLowerCase(), cat])),
+    rules:     (config.rules || []).map(r => ({
+      category: r.category,
+      include:  (r.include || []).map(p => ({ pattern: p, rx: compilePattern(p) })),
+      exclude:  (r.exclude || []).map(p => ({ pattern: p, rx: compilePattern(p) })),
+    })),
+  };
+}
+
+let active = compileCategories(DEFAULT_CATEGORY_CONFIG);
+
+/** Use `config` (already validated) for every later categorizeRepo(). */
+export function setCategoryConfig(config) {
+  active = compileCategories(config);
+}
+
+export function repoTopics(repo) {
+  return repo?.repositoryTopics?.nodes?.map(n => n.topic.name) || [];
+}
+
+/** { category, reason } for `repo` under `rules` (compiled). */
+export function explainCategory(repo, rules = active) {
+  const topics = repoTopics(repo);
+  for (const t of topics) {
+    const m = CATEGORY_TOPIC.exec(t);
+    if (m && CATEGORIES.includes(m[1])) return { category: m[1], reason: `topic ${t}` };
+  }
+  const override = rules.overrides.get(repo.name.toLowerCase());
+  if (override) return { category: override, reason: 'override' };
+  if (repo.isArchived) return { category: 'archive', reason: 'archived' };
+
+  const subjects = [repo.name, ...topics];
+  for (const [i, rule] of rules.rules.entries()) {
+    const hit = rule.include.find(p => subjects.some(s => p.rx.test(s)));
+    if (!hit) continue;
+    const veto = rule.exclude.find(p => subjects.some(s => p.rx.test(s)));
+    if (!veto) return { category: rule.category, reason: `rule ${i + 1}: ${hit.pattern}` };
+  }
+  return { category: rules.default, reason: 'default' };
+}
+
+export function categorizeRepo(repo) {
+  return explainCategory(repo).category;
+}
@@ -0,0 +1,103 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — Discovery Pipeline
+ * What lights each stage of the Discovery pipeline, from the
+ * stages in config/discovery.yml:
+ *   workflow — the latest run of a workflow in the discovery
+ *              repos, or one job of it
+ *   column   — the number of items in a Projects board column
+ * and how discovery run IDs (e.g. 20260221_041344_7cae8203) are
+ * found in memory entries, run titles, artifacts and board items.
+ */
+
+export const DISCOVERY_CONFIG_PATH = 'config/discovery.yml';
+
+// Used until config/discovery.yml loads, and when it is missing or invalid.
+export const DEFAULT_DISCOVERY_CONFIG = {
+  version: 1,
+  run_id:  '\\d{8}_\\d{6}_[0-9a-f]{8}',
+  stages: [
+    { id: 'ingest',   label: 'Ingest',   icon: '📥', workflow: 'discovery.yml', job: 'ingest' },
+    { id: 'analyze',  label: 'Analyze',  icon: '🔍', workflow: 'discovery.yml', job: 'analyze' },
+    { id: 'rank',     label: 'Rank',     icon: '📊', workflow: 'discovery.yml', job: 'rank' },
+    { id: 'evolve',   label: 'Evolve',   icon: '🧬', column: 'EVOLUTION_COMPLETE' },
+    { id: 'validate', label: 'Validate', icon: '✅', column: 'VALIDATION' },
+    { id: 'deploy',   label: 'Deploy',   icon: '🚀', column: 'DEPLOYMENT_CANDIDATE' },
+  ],
+};
+
+/** The config with its run ID pattern compiled; throws on an invalid regex. */
+export function compileDiscovery(config) {
+  return {
+    stages: config.stages,
+    runId:  new RegExp(config.run_id || DEFAULT_DISCOVERY_CONFIG.run_id, 'g'),
+  };
+}
+
+let active = compileDiscovery(DEFAULT_DISCOVERY_CONFIG);
+
+/** Use `config` (already validated) for every later lookup. */
+export function setDiscoveryConfig(config) {
+  active = compileDiscovery(config);
+}
+
+export function discoveryStages() {
+  return active.stages;
+}
+
+/** Distinct run IDs in `text`, in order of appearance. */
+export function runIdsIn(text) {
+  return [...new Set(String(text ?? '').match(active.runId) || [])];
+}
+
+// IDs lead with their start time, YYYYMMDD_HHMMSS, read as UTC; the
+// machine that made the ID may have used another clock.
+export function runIdTime(id) {
+  const m = /^(\d{4})(\d\d)(\d\d)_(\d\d)(\d\d)(\d\d)/.exec(id);
+  return m ? new Date(Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6])) : null;
+}
+
+/* ============================================================
+   WORKFLOW STAGES
+   ============================================================ */
+// A stage names its workflow by file (discovery.yml) or by name.
+export function runMatchesStage(run, stage) {
+  if (!stage.workflow) return false;
+  if (stage.repo && run.repo !== stage.repo) return false;
+  const file = (run.path || '').split('@')[0].split('/').pop();
+  return file === stage.workflow || run.name === stage.workflow;
+}
+
+// Matrix jobs are reported as "rank (1)", "rank (2)", …
+export function stageJobs(jobs, stage) {
+  const name = stage.job.toLowerCase();
+  return (jobs || []).filter(j => {
+    const n = j.name.toLowerCase();
+    return n === name || n.startsWith(`${name} (`);
+  });
+}
+
+// One result for several matrix jobs: still running if any is, failed
+// if any failed.
+export function combineJobs(jobs) {
+  if (!jobs.length) return null;
+  if (jobs.length === 1) return jobs[0];
+  const running = jobs.find(j => j.status !== 'completed');
+  const failed  = jobs.find(j => ['failure', 'timed_out'].includes(j.conclusion));
+  const starts  = jobs.map(j => j.started_at).filter(Boolean).sort();
+  const ends    = jobs.map(j => j.completed_at).filter(Boolean).sort();
+  return {
+    ...(running || failed || jobs[0]),
+    name:         `${jobs[0].name.replace(/ \(.*\)$/, '')} ×${jobs.length}`,
+    started_at:   starts[0],
+    completed_at: running ? null : ends[ends.length - 1],
+  };
+}
+
+/** Node state for a run or job: done, active, error or idle. */
+export function runState(run) {
+  if (!run) return 'idle';
+  if (run.status !== 'completed') return 'active';
+  if (run.conclusion === 'success') return 'done';
+  if (['failure', 'timed_out', 'startup_failure'].includes(run.conclusion)) return 'error';
+  return 'idle';
+}
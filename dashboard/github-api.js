@@ -4,6 +4,9 @@
  * Token is stored in localStorage and never transmitted
  * to any third-party service.
  */
+import { request, recordGraphQLCost, setRateLimits } from './http.js';
+
+export { getRateLimit, onRateLimit, clearEtagCache } from './http.js';
 
 /* ============================================================
    TOKEN MANAGEMENT
@@ -16,6 +19,9 @@ export function getOrg()     { return localStorage.getItem(ORG_KEY)   || 'Infini
 export function setToken(t)  { localStorage.setItem(TOKEN_KEY, t); }
 export function setOrg(o)    { localStorage.setItem(ORG_KEY, o); }
 
+// This repo: hosts the _STATE files and the sync workflows.
+export const ADMIN_REPO = 'infinity-admin-control-plane';
+
 function authHeaders() {
   const token = getToken();
   const headers = { 'Content-Type': 'application/json' };
@@ -27,25 +33,42 @@ function authHeaders() {
    CORE FETCH HELPERS
    ============================================================ */
 async function ghFetch(url, opts = {}) {
-  const res = await fetch(url, {
+  const res = await request(url, {
     headers: authHeaders(),
     ...opts,
   });
   if (!res.ok) {
     const body = await res.text().catch(() => '');
-    throw new Error(`GitHub API ${res.status}: ${body.slice(0, 200)}`);
+    const err  = new Error(`GitHub API ${res.status}: ${body.slice(0, 200)}`);
+    err.status = res.status;
+    throw err;
   }
+  if (res.status === 204) return null;
   return res.json();
 }
 
-async function graphql(query, variables = {}) {
-  const res = await fetch('https://api.github.com/graphql', {
+// Queries also select rateLimit so each call reports its point cost.
+function withCost(query) {
+  if (!/^\s*query\b/.test(query)) return query;
+  const i = query.indexOf('{');
+  return `${query.slice(0, i + 1)}\n  rateLimit { cost remaining limit resetAt }${query.slice(i + 1)}`;
+}
+
+// With { partial: true }, field-level errors (e.g. a field the token may
+// not read) are returned alongside the data instead of thrown.
+export async function graphql(query, variables = {}, { partial = false } = {}) {
+  const res = await request('https://api.github.com/graphql', {
     method: 'POST',
     headers: authHeaders(),
-    body: JSON.stringify({ query, variables }),
+    body: JSON.stringify({ query: withCost(query), variables }),
   });
   if (!res.ok) throw new Error(`GraphQL HTTP ${res.status}`);
   const json = await res.json();
+  if (json.data?.rateLimit) {
+    recordGraphQLCost(json.data.rateLimit);
+    delete json.data.rateLimit;
+  }
+  if (partial && json.data) return { data: json.data, errors: json.errors || [] };
   if (json.errors?.length) throw new Error(json.errors[0].message);
   return json.data;
 }
@@ -83,7 +106,7 @@ query OrgRepos($org: String!, $after: String) {
         pushedAt
         primaryLanguage { name color }
         defaultBranchRef { name }
-        repositoryTopics(first: 10) {
+        repositoryTopics(first: 20) {
           nodes { topic { name } }
         }
         openPullRequests: pullRequests(states: OPEN) { totalCount }
@@ -107,29 +130,6 @@ export async function fetchOrgRepos(org = getOrg()) {
   return repos;
 }
 
-/* ============================================================
-   CATEGORIZE REPOS BY TOPIC / NAME CONVENTION
-   ============================================================ */
-const CATEGORY_RULES = {
-  core:      /core|admin|control/i,
-  discovery: /discovery|research|explore/i,
-  sandbox:   /sandbox|experiment|test/i,
-  industry:  /industry|sector|market/i,
-  memory:    /memory|knowledge|journal/i,
-  tools:     /tools?|util|helper|cli/i,
-  archive:   /archive|legacy|deprecated/i,
-};
-
-export function categorizeRepo(repo) {
-  const topics = repo.repositoryTopics?.nodes?.map(n => n.topic.name).join(' ') || '';
-  const str = `${repo.name} ${topics}`.toLowerCase();
-  if (repo.isArchived) return 'archive';
-  for (const [cat, rx] of Object.entries(CATEGORY_RULES)) {
-    if (rx.test(str)) return cat;
-  }
-  return 'other';
-}
-
 /* ============================================================
    GITHUB PROJECTS V2 (GraphQL)
    ============================================================ */
@@ -193,20 +193,311 @@ export async function fetchOrgProjects(org = getOrg()) {
 }
 
 /* ============================================================
-   OPEN PULL REQUESTS (REST paginated)
+   PROJECT BOARD (GraphQL)
+   One project with its Status field and every item, for the
+   interactive board. Items carry updatedAt for conflict checks.
+   ============================================================ */
+const PROJECT_BOARD_QUERY = `
+query ProjectBoard($id: ID!, $after: String) {
+  node(id: $id) {
+    ... on ProjectV2 {
+      id
+      title
+      number
+      url
+      field(name: "Status") {
+        ... on ProjectV2SingleSelectField { id name options { id name color description } }
+      }
+      items(first: 100, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          type
+          updatedAt
+          status: fieldValueByName(name: "Status") {
+            ... on ProjectV2ItemFieldSingleSelectValue { optionId name }
+          }
+          content {
+            ... on Issue       { title number state url repository { name } }
+            ... on PullRequest { title number state url repository { name } }
+            ... on DraftIssue  { title }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+export async function fetchProjectBoard(projectId) {
+  const items = [];
+  let project = null;
+  let after = null;
+  let hasNext = true;
+  while (hasNext) {
+    const data = await graphql(PROJECT_BOARD_QUERY, { id: projectId, after });
+    project = data.node;
+    items.push(...project.items.nodes);
+    hasNext = project.items.pageInfo.hasNextPage;
+    after   = project.items.pageInfo.endCursor;
+  }
+  return { ...project, items };
+}
+
+const UPDATE_STATUS_OPTIONS_MUTATION = `
+mutation UpdateStatusOptions($fieldId: ID!, $options: [ProjectV2SingleSelectFieldOptionInput!]!) {
+  updateProjectV2Field(input: { fieldId: $fieldId, singleSelectOptions: $options }) {
+    projectV2Field {
+      ... on ProjectV2SingleSelectField { id name options { id name color description } }
+    }
+  }
+}`;
+
+// Replace a single-select field's options ({ name, color, description }),
+// in order. GitHub rebuilds the whole list: every option gets a new id
+// and every item's value for the field is cleared, even for options
+// passed unchanged.
+export async function updateStatusOptions(fieldId, options) {
+  const data = await graphql(UPDATE_STATUS_OPTIONS_MUTATION, { fieldId, options });
+  return data.updateProjectV2Field.projectV2Field;
+}
+
+const PROJECT_ITEM_STATUS_QUERY = `
+query ProjectItemStatus($id: ID!) {
+  node(id: $id) {
+    ... on ProjectV2Item {
+      id
+      updatedAt
+      status: fieldValueByName(name: "Status") {
+        ... on ProjectV2ItemFieldSingleSelectValue { optionId name }
+      }
+    }
+  }
+}`;
+
+export async function fetchProjectItemStatus(itemId) {
+  const data = await graphql(PROJECT_ITEM_STATUS_QUERY, { id: itemId });
+  return data.node;
+}
+
+const UPDATE_ITEM_STATUS_MUTATION = `
+mutation UpdateItemStatus($projectId: ID!, $itemId: ID!, $fieldId: ID!, $optionId: String!) {
+  updateProjectV2ItemFieldValue(input: {
+    projectId: $projectId, itemId: $itemId, fieldId: $fieldId,
+    value: { singleSelectOptionId: $optionId }
+  }) {
+    projectV2Item { id updatedAt }
+  }
+}`;
+
+export async function updateProjectItemStatus(projectId, itemId, fieldId, optionId) {
+  const data = await graphql(UPDATE_ITEM_STATUS_MUTATION, { projectId, itemId, fieldId, optionId });
+  return data.updateProjectV2ItemFieldValue.projectV2Item;
+}
+
+/* ============================================================
+   PROJECT ITEM DETAIL (GraphQL)
+   Everything the card drawer shows: content body (rendered by
+   GitHub, so already sanitised), labels, assignees, linked PRs,
+   CI rollup, and every project field alongside the item's values.
    ============================================================ */
-export async function fetchOpenPRs(org = getOrg(), repos = []) {
-  const results = [];
-  const targets = repos.length ? repos : [];
-  for (const repo of targets) {
+const PROJECT_ITEM_QUERY = `
+query ProjectItem($id: ID!) {
+  node(id: $id) {
+    ... on ProjectV2Item {
+      id
+      type
+      updatedAt
+      project {
+        id
+        fields(first: 50) {
+          nodes {
+            ... on ProjectV2FieldCommon { id name dataType }
+            ... on ProjectV2SingleSelectField { options { id name } }
+          }
+        }
+      }
+      fieldValues(first: 50) {
+        nodes {
+          ... on ProjectV2ItemFieldTextValue         { text   field { ... on ProjectV2FieldCommon { id } } }
+          ... on ProjectV2ItemFieldNumberValue       { number field { ... on ProjectV2FieldCommon { id } } }
+          ... on ProjectV2ItemFieldDateValue         { date   field { ... on ProjectV2FieldCommon { id } } }
+          ... on ProjectV2ItemFieldSingleSelectValue { optionId name field { ... on ProjectV2FieldCommon { id } } }
+          ... on ProjectV2ItemFieldIterationValue    { title  field { ... on ProjectV2FieldCommon { id } } }
+        }
+      }
+      content {
+        ... on Issue {
+          id number title url state bodyHTML createdAt
+          author { login }
+          repository { name }
+          labels(first: 20)    { nodes { name color } }
+          assignees(first: 10) { nodes { login avatarUrl } }
+          closedByPullRequestsReferences(first: 5) {
+            nodes {
+              number title url state
+              commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+            }
+          }
+        }
+        ... on PullRequest {
+          id number title url state isDraft bodyHTML createdAt
+          author { login }
+          repository { name }
+          labels(first: 20)    { nodes { name color } }
+          assignees(first: 10) { nodes { login avatarUrl } }
+          commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+        }
+        ... on DraftIssue { id title body }
+      }
+    }
+  }
+}`;
+
+export async function fetchProjectItem(itemId) {
+  const data = await graphql(PROJECT_ITEM_QUERY, { id: itemId });
+  return data.node;
+}
+
+const UPDATE_ITEM_FIELD_MUTATION = `
+mutation UpdateItemField($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+  updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value }) {
+    projectV2Item { id updatedAt }
+  }
+}`;
+
+const CLEAR_ITEM_FIELD_MUTATION = `
+mutation ClearItemField($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+  clearProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId }) {
+    projectV2Item { id updatedAt }
+  }
+}`;
+
+// value is a ProjectV2FieldValue input, e.g. { text } or
+// { singleSelectOptionId }; null clears the field.
+export async function updateProjectItemField(projectId, itemId, fieldId, value) {
+  if (value == null) {
+    const data = await graphql(CLEAR_ITEM_FIELD_MUTATION, { projectId, itemId, fieldId });
+    return data.clearProjectV2ItemFieldValue.projectV2Item;
+  }
+  const data = await graphql(UPDATE_ITEM_FIELD_MUTATION, { projectId, itemId, fieldId, value });
+  return data.updateProjectV2ItemFieldValue.projectV2Item;
+}
+
+/* ============================================================
+   COMMAND INTAKE
+   Create an issue (or a draft item) and place it on a project
+   board in a given Status column.
+   ============================================================ */
+const PROJECT_STATUS_FIELD_QUERY = `
+query ProjectStatusField($id: ID!) {
+  node(id: $id) {
+    ... on ProjectV2 {
+      field(name: "Status") {
+        ... on ProjectV2SingleSelectField { id name options { id name color } }
+      }
+    }
+  }
+}`;
+
+export async function fetchProjectStatusField(projectId) {
+  const data = await graphql(PROJECT_STATUS_FIELD_QUERY, { id: projectId });
+  return data.node?.field || null;
+}
+
+const ADD_PROJECT_ITEM_MUTATION = `
+mutation AddProjectItem($projectId: ID!, $contentId: ID!) {
+  addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+    item { id }
+  }
+}`;
+
+const ADD_DRAFT_ISSUE_MUTATION = `
+mutation AddDraftIssue($projectId: ID!, $title: String!, $body: String) {
+  addProjectV2DraftIssue(input: { projectId: $projectId, title: $title, body: $body }) {
+    projectItem { id }
+  }
+}`;
+
+export async function addProjectItem(projectId, contentId) {
+  const data = await graphql(ADD_PROJECT_ITEM_MUTATION, { projectId, contentId });
+  return data.addProjectV2ItemById.item;
+}
+
+export async function addProjectDraftIssue(projectId, title, body) {
+  const data = await graphql(ADD_DRAFT_ISSUE_MUTATION, { projectId, title, body });
+  return data.addProjectV2DraftIssue.projectItem;
+}
+
+export async function createIssue(org, repo, { title, body, labels = [] }) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/issues`, {
+    method: 'POST',
+    body: JSON.stringify({ title, body, labels }),
+  });
+}
+
+// Markdown issue templates from .github/ISSUE_TEMPLATE. YAML issue forms
+// are skipped: they describe form fields, not a body we can prefill.
+export async function fetchIssueTemplates(org, repo) {
+  let listing;
+  try {
+    listing = await ghFetch(`https://api.github.com/repos/${org}/${repo}/contents/.github/ISSUE_TEMPLATE`);
+  } catch {
+    return [];
+  }
+  const files = (Array.isArray(listing) ? listing : []).filter(f => f.type === 'file' && /\.md$/i.test(f.name));
+  const templates = await Promise.all(files.map(async f => {
     try {
-      const prs = await ghFetch(
-        `https://api.github.com/repos/${org}/${repo}/pulls?state=open&per_page=25`
-      );
-      results.push(...prs.map(pr => ({ ...pr, repoName: repo })));
-    } catch { /* skip inaccessible repos */ }
+      const file = await ghFetch(f.url);
+      return parseIssueTemplate(f.name, decodeBase64(file.content));
+    } catch {
+      return null;
+    }
+  }));
+  return templates.filter(Boolean);
+}
+
+function parseIssueTemplate(filename, text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  const meta = {};
+  if (m) {
+    for (const line of m[1].split(/\r?\n/)) {
+      const kv = line.match(/^(\w+):\s*(.*)$/);
+      if (kv) meta[kv[1]] = kv[2].trim().replace(/^['"]|['"]$/g, '');
+    }
   }
-  return results;
+  const labels = (meta.labels || '').replace(/^\[|\]$/g, '').split(',')
+    .map(l => l.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+  return {
+    name:   meta.name || filename.replace(/\.md$/i, ''),
+    title:  meta.title || '',
+    labels,
+    body:   (m ? m[2] : text).trim(),
+  };
+}
+
+/* ============================================================
+   ISSUE / PR QUICK ACTIONS (REST)
+   The issues endpoints accept PR numbers too.
+   ============================================================ */
+export async function addIssueComment(org, repo, number, body) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/issues/${number}/comments`, {
+    method: 'POST',
+    body: JSON.stringify({ body }),
+  });
+}
+
+export async function addAssignees(org, repo, number, assignees) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/issues/${number}/assignees`, {
+    method: 'POST',
+    body: JSON.stringify({ assignees }),
+  });
+}
+
+export async function closeIssue(org, repo, number) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/issues/${number}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ state: 'closed' }),
+  });
 }
 
 /* ============================================================
@@ -223,33 +514,170 @@ export async function fetchWorkflowRuns(org, repo, limit = 10) {
   }
 }
 
-/* ============================================================
-   SECRET SCANNING ALERTS
-   ============================================================ */
-export async function fetchSecretAlerts(org = getOrg(), repo) {
+// Runs of one workflow, named by file (discovery.yml) or id.
+export async function fetchRunsOfWorkflow(org, repo, workflow, limit = 10) {
   try {
-    const url = repo
-      ? `https://api.github.com/repos/${org}/${repo}/secret-scanning/alerts?state=open&per_page=30`
-      : `https://api.github.com/orgs/${org}/secret-scanning/alerts?state=open&per_page=30`;
-    return await ghFetch(url);
+    const data = await ghFetch(
+      `https://api.github.com/repos/${org}/${repo}/actions/workflows/${encodeURIComponent(workflow)}/runs?per_page=${limit}`
+    );
+    return data.workflow_runs || [];
   } catch {
     return [];
   }
 }
 
-/* ============================================================
-   CODE SCANNING ALERTS
-   ============================================================ */
-export async function fetchCodeAlerts(org = getOrg(), repo) {
+export async function fetchWorkflows(org, repo) {
   try {
-    return await ghFetch(
-      `https://api.github.com/repos/${org}/${repo}/code-scanning/alerts?state=open&per_page=30`
+    const data = await ghFetch(`https://api.github.com/repos/${org}/${repo}/actions/workflows?per_page=100`);
+    return data.workflows || [];
+  } catch {
+    return [];
+  }
+}
+
+export async function fetchRunJobs(org, repo, runId) {
+  try {
+    const data = await ghFetch(
+      `https://api.github.com/repos/${org}/${repo}/actions/runs/${runId}/jobs?per_page=100`
     );
+    return data.jobs || [];
   } catch {
     return [];
   }
 }
 
+export async function fetchRunArtifacts(org, repo, runId) {
+  try {
+    const data = await ghFetch(
+      `https://api.github.com/repos/${org}/${repo}/actions/runs/${runId}/artifacts?per_page=100`
+    );
+    return data.artifacts || [];
+  } catch {
+    return [];
+  }
+}
+
+export async function rerunFailedJobs(org, repo, runId) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/actions/runs/${runId}/rerun-failed-jobs`, {
+    method: 'POST',
+  });
+}
+
+/* ============================================================
+   WORKFLOW DISPATCH (_STATE sync workflows)
+   The dispatch endpoint returns 204 with no run id, so the new run
+   is found by polling for a workflow_dispatch run newer than the
+   latest one seen before dispatching.
+   ============================================================ */
+export const STATE_SYNC_WORKFLOWS = [
+  { file: 'sync-org-index.yml',        label: 'Org repo index',   state: 'org-index.json' },
+  { file: 'project-sync.yml',          label: 'Project board',    state: 'project-map.json' },
+  { file: 'memory-sync.yml',           label: 'Memory snapshot',  state: 'memory-snapshot.json' },
+  { file: 'validator-status-sync.yml', label: 'Validator status', state: 'validator-status.json' },
+  { file: 'repo-graph-sync.yml',       label: 'Repo graph',       state: 'repo-graph.json' },
+];
+
+export async function fetchLatestDispatchRun(org, repo, file) {
+  const data = await ghFetch(
+    `https://api.github.com/repos/${org}/${repo}/actions/workflows/${file}/runs?event=workflow_dispatch&per_page=1`
+  );
+  return data.workflow_runs?.[0] || null;
+}
+
+export async function dispatchWorkflow(org, repo, file, ref = 'main', inputs = {}) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/actions/workflows/${file}/dispatches`, {
+    method: 'POST',
+    body: JSON.stringify({ ref, inputs }),
+  });
+}
+
+export async function fetchRun(org, repo, runId) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/actions/runs/${runId}`);
+}
+
+/* ============================================================
+   SECURITY ALERTS (secret scanning, code scanning, Dependabot)
+   Without `repo` these hit the org-wide endpoints. `data` is
+   null rather than [] when the token cannot read the alerts, so
+   callers can tell "no alerts" apart from "no access", and
+   `complete` is false when not every page could be read.
+   ============================================================ */
+// { status, data, complete }: data is null when the first page fails.
+async function fetchAlerts(org, repo, path) {
+  const url = repo
+    ? `https://api.github.com/repos/${org}/${repo}/${path}?state=open&per_page=100`
+    : `https://api.github.com/orgs/${org}/${path}?state=open&per_page=100`;
+  return ghPages(url);
+}
+
+export async function fetchSecretAlerts(org = getOrg(), repo) {
+  return fetchAlerts(org, repo, 'secret-scanning/alerts');
+}
+
+export async function fetchCodeAlerts(org = getOrg(), repo) {
+  return fetchAlerts(org, repo, 'code-scanning/alerts');
+}
+
+export async function fetchDependabotAlerts(org = getOrg(), repo) {
+  return fetchAlerts(org, repo, 'dependabot/alerts');
+}
+
+export const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Code scanning reports non-security rules as error/warning/note.
+const CODE_SEVERITY = { error: 'high', warning: 'medium', note: 'low' };
+
+/**
+ * Fetch all three alert kinds org-wide and normalize them to
+ * { key, kind, number, repo, severity, rule, createdAt, url }.
+ * `unavailable` lists the kinds the token could not read, and
+ * `truncated` those read only in part.
+ */
+export async function fetchOrgSecurityAlerts(org = getOrg()) {
+  const lists = await Promise.all([
+    fetchSecretAlerts(org),
+    fetchCodeAlerts(org),
+    fetchDependabotAlerts(org),
+  ]);
+  const [secret, code, deps] = lists.map(l => l.data);
+
+  const alerts = [];
+  for (const a of secret || []) {
+    alerts.push({
+      kind: 'secret', number: a.number, repo: a.repository?.name,
+      // Secret alerts carry no severity; a leaked credential is always high.
+      severity: 'high',
+      rule: a.secret_type_display_name || a.secret_type,
+      createdAt: a.created_at, url: a.html_url,
+    });
+  }
+  for (const a of code || []) {
+    const sev = a.rule?.security_severity_level || CODE_SEVERITY[a.rule?.severity] || 'low';
+    alerts.push({
+      kind: 'code', number: a.number, repo: a.repository?.name,
+      severity: sev,
+      rule: a.rule?.description || a.rule?.id,
+      createdAt: a.created_at, url: a.html_url,
+    });
+  }
+  for (const a of deps || []) {
+    alerts.push({
+      kind: 'dependabot', number: a.number, repo: a.repository?.name,
+      severity: a.security_advisory?.severity || a.security_vulnerability?.severity || 'low',
+      rule: `${a.dependency?.package?.name || 'dependency'}: ${a.security_advisory?.summary || a.security_advisory?.ghsa_id || ''}`,
+      createdAt: a.created_at, url: a.html_url,
+    });
+  }
+  for (const a of alerts) a.key = `${a.kind}:${a.repo}:${a.number}`;
+
+  const unavailable = [];
+  if (!secret) unavailable.push('secret');
+  if (!code)   unavailable.push('code');
+  if (!deps)   unavailable.push('dependabot');
+  const truncated = ['secret', 'code', 'dependabot'].filter((kind, i) => lists[i].data && !lists[i].complete);
+  return { alerts, unavailable, truncated };
+}
+
 /* ============================================================
    WEBHOOKS (org-level, requires admin)
    ============================================================ */
@@ -261,6 +689,37 @@ export async function fetchOrgWebhooks(org = getOrg()) {
   }
 }
 
+export async function fetchHookDeliveries(org, hookId, limit = 10) {
+  try {
+    return await ghFetch(`https://api.github.com/orgs/${org}/hooks/${hookId}/deliveries?per_page=${limit}`);
+  } catch {
+    return [];
+  }
+}
+
+/* ============================================================
+   EVENTS (org + repo activity feed)
+   Conditional requests: pass the previous ETag and a 304 comes
+   back with no body, which does not count against the rate limit.
+   ============================================================ */
+async function fetchEventPage(url, etag) {
+  const headers = authHeaders();
+  if (etag) headers['If-None-Match'] = etag;
+  const res = await request(url, { headers });
+  const pollInterval = Number(res.headers.get('X-Poll-Interval')) || 60;
+  if (res.status === 304) return { notModified: true, events: [], etag, pollInterval };
+  if (!res.ok) throw new Error(`GitHub API ${res.status}`);
+  return { notModified: false, events: await res.json(), etag: res.headers.get('ETag'), pollInterval };
+}
+
+export async function fetchOrgEvents(org = getOrg(), etag) {
+  return fetchEventPage(`https://api.github.com/orgs/${org}/events?per_page=50`, etag);
+}
+
+export async function fetchRepoEvents(org, repo, etag) {
+  return fetchEventPage(`https://api.github.com/repos/${org}/${repo}/events?per_page=30`, etag);
+}
+
 /* ============================================================
    ORG MEMBERS
    ============================================================ */
@@ -291,16 +750,527 @@ export async function loadStateFile(filename) {
   }
 }
 
-export async function loadOrgIndex()       { return loadStateFile('org-index.json'); }
-export async function loadProjectMap()     { return loadStateFile('project-map.json'); }
-export async function loadMemorySnapshot() { return loadStateFile('memory-snapshot.json'); }
+// Read a state file straight from the repo's default branch. After a sync
+// workflow commits, Pages still serves the old copy until deploy-pages runs.
+export async function loadStateFileFromRepo(filename, org = getOrg()) {
+  try {
+    const data = await ghFetch(
+      `https://api.github.com/repos/${org}/${ADMIN_REPO}/contents/_STATE/${filename}`
+    );
+    return JSON.parse(decodeBase64(data.content));
+  } catch {
+    return loadStateFile(filename);
+  }
+}
+
+function decodeBase64(b64) {
+  const bytes = Uint8Array.from(atob(b64.replace(/\s/g, '')), c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  // Chunked: spreading a large array into fromCharCode overflows the stack.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export async function loadOrgIndex()        { return loadStateFile('org-index.json'); }
+export async function loadProjectMap()      { return loadStateFile('project-map.json'); }
+export async function loadMemorySnapshot()  { return loadStateFile('memory-snapshot.json'); }
+export async function loadValidatorStatus() { return loadStateFile('validator-status.json'); }
+export async function loadRepoGraph()       { return loadStateFile('repo-graph.json'); }
+
+/* ============================================================
+   CONFIG FILES (config/*.yml)
+   The repo copy when a token can read it (so an edit shows up
+   before the next deploy), else the deployed copy.
+   ============================================================ */
+export const BOARD_CONFIG_PATH = 'config/board.yml';
+
+// { text, source } or null.
+export async function loadConfigText(path, org = getOrg()) {
+  if (getToken()) {
+    try {
+      const file = await fetchFile(org, ADMIN_REPO, path);
+      if (file) return { text: file.content, source: 'live' };
+    } catch { /* fall back to the deployed copy */ }
+  }
+  try {
+    const res = await fetch(`${STATE_BASE}${path}?t=${Date.now()}`);
+    return res.ok ? { text: await res.text(), source: 'site' } : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ============================================================
+   REPO FILES (Git Trees + Contents API)
+   Browse a branch, read a file with its blob SHA and write it
+   back. Writes carry the SHA they were based on, so GitHub
+   answers 409 if the file changed upstream in the meantime.
+   ============================================================ */
+export async function fetchBranches(org, repo) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/branches?per_page=100`);
+}
+
+export async function fetchBranchHead(org, repo, branch) {
+  const ref = await ghFetch(`https://api.github.com/repos/${org}/${repo}/git/ref/heads/${encodeURIComponent(branch)}`);
+  return ref.object.sha;
+}
+
+// Every blob and tree on `ref` in one call. `truncated` is set when the
+// repo is too large for a single recursive listing.
+export async function fetchRepoTree(org, repo, ref) {
+  const data = await ghFetch(
+    `https://api.github.com/repos/${org}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`
+  );
+  return { entries: data.tree, truncated: data.truncated };
+}
+
+function contentsUrl(org, repo, path) {
+  return `https://api.github.com/repos/${org}/${repo}/contents/${path.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * { sha, content, binary } for a text file on `ref` (default branch when
+ * omitted), or null when the
+ * path does not exist there. Files over 1 MB come back without content
+ * from the Contents API and are rejected.
+ */
+export async function fetchFile(org, repo, path, ref) {
+  let data;
+  try {
+    data = await ghFetch(`${contentsUrl(org, repo, path)}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`);
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+  if (data.encoding !== 'base64') throw new Error(`${path} is too large to edit here (over 1 MB)`);
+  const content = decodeBase64(data.content);
+  return { sha: data.sha, content, binary: content.includes('\0') };
+}
+
+// Create or update one file with a commit. `sha` is the blob being
+// replaced (omit for a new file); returns { content, commit }.
+export async function putFile(org, repo, path, { content, message, sha, branch }) {
+  return ghFetch(contentsUrl(org, repo, path), {
+    method: 'PUT',
+    body: JSON.stringify({ message, content: encodeBase64(content), sha, branch }),
+  });
+}
+
+export async function createBranch(org, repo, name, sha) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/git/refs`, {
+    method: 'POST',
+    body: JSON.stringify({ ref: `refs/heads/${name}`, sha }),
+  });
+}
+
+export async function createPullRequest(org, repo, { title, head, base, body }) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/pulls`, {
+    method: 'POST',
+    body: JSON.stringify({ title, head, base, body }),
+  });
+}
+
+/* ============================================================
+   REPO SETTINGS (REST)
+   Topics and the fields of PATCH /repos the Industry bulk editor
+   changes. Both need admin (Administration: write) on the repo.
+   ============================================================ */
+export async function fetchRepoTopics(org, repo) {
+  const data = await ghFetch(`https://api.github.com/repos/${org}/${repo}/topics`);
+  return data.names;
+}
+
+// Replaces every topic on the repo with `names`.
+export async function replaceRepoTopics(org, repo, names) {
+  const data = await ghFetch(`https://api.github.com/repos/${org}/${repo}/topics`, {
+    method: 'PUT',
+    body: JSON.stringify({ names }),
+  });
+  return data.names;
+}
+
+// `fields`: any of description, archived, visibility.
+export async function updateRepo(org, repo, fields) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
+  });
+}
+
+/* ============================================================
+   PULL REQUEST ACTIONS
+   Reviews, merges and branch updates from the PR review queue.
+   Merges pass the head SHA the policy gate checked, so a push
+   after the check makes GitHub refuse the merge (409).
+   ============================================================ */
+export const MERGE_METHODS = ['squash', 'merge', 'rebase'];
+
+// `event`: APPROVE or REQUEST_CHANGES (which needs a body).
+export async function submitPullRequestReview(org, repo, number, event, body = '') {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/pulls/${number}/reviews`, {
+    method: 'POST',
+    body: JSON.stringify({ event, ...(body ? { body } : {}) }),
+  });
+}
+
+export async function mergePullRequest(org, repo, number, method, sha) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/pulls/${number}/merge`, {
+    method: 'PUT',
+    body: JSON.stringify({ merge_method: method, sha }),
+  });
+}
+
+// Merges the base branch into the head branch; 202 while GitHub does it.
+export async function updatePullRequestBranch(org, repo, number, expectedHeadSha) {
+  return ghFetch(`https://api.github.com/repos/${org}/${repo}/pulls/${number}/update-branch`, {
+    method: 'PUT',
+    body: JSON.stringify({ expected_head_sha: expectedHeadSha }),
+  });
+}
+
+// Needs "Allow auto-merge" on the repo and a protected base branch.
+export async function enablePullRequestAutoMerge(prId, method) {
+  return graphql(`
+    mutation EnableAutoMerge($id: ID!, $method: PullRequestMergeMethod!) {
+      enablePullRequestAutoMerge(input: { pullRequestId: $id, mergeMethod: $method }) {
+        pullRequest { autoMergeRequest { enabledAt } }
+      }
+    }`, { id: prId, method: method.toUpperCase() });
+}
+
+/**
+ * Open secret-scanning alerts with the commits each was found in:
+ * { status, complete, alerts: [{ number, url, secretType, commits, readable }] }.
+ * `alerts` is null when the list cannot be read; status 404 means
+ * secret scanning is off for the repo. `complete` is false when only
+ * part of the list was read, and `readable` when only part of an
+ * alert's locations were.
+ */
+export async function fetchOpenSecretAlertCommits(org, repo) {
+  const list = await ghPages(`https://api.github.com/repos/${org}/${repo}/secret-scanning/alerts?state=open&per_page=100`);
+  if (!list.data) return { status: list.status, complete: false, alerts: null };
+  const alerts = await Promise.all(list.data.map(async a => {
+    const locations = await ghPages(`${a.locations_url}?per_page=100`);
+    return {
+      number:     a.number,
+      url:        a.html_url,
+      secretType: a.secret_type_display_name || a.secret_type,
+      commits:    (locations.data || []).map(l => l.details?.commit_sha).filter(Boolean),
+      readable:   locations.complete,
+    };
+  }));
+  return { status: 200, complete: list.complete, alerts };
+}
+
+/* ============================================================
+   MEMORY REPO (infinity-core-memory)
+   memory-sync.yml snapshots the typed files and the last few
+   commits; with a token the timeline pages further back here.
+   ============================================================ */
+export const MEMORY_REPO = 'infinity-core-memory';
+
+// Entry type → the file memory-sync.yml reads its `## ` sections from.
+export const MEMORY_FILES = {
+  decision:   'DECISIONS.md',
+  deployment: 'DEPLOYMENTS.md',
+  risk:       'RISKS.md',
+  benchmark:  'BENCHMARKS.md',
+};
+
+export async function fetchMemoryCommits(org = getOrg(), page = 1, perPage = 30) {
+  return ghFetch(`https://api.github.com/repos/${org}/${MEMORY_REPO}/commits?per_page=${perPage}&page=${page}`);
+}
+
+// One commit with its changed files (and their patches).
+export async function fetchMemoryCommit(org, sha) {
+  return ghFetch(`https://api.github.com/repos/${org}/${MEMORY_REPO}/commits/${sha}`);
+}
+
+// GitHub-rendered (and GitHub-sanitized) HTML for markdown `text`.
+// `context` (owner/repo) resolves #123 references and relative links.
+export async function renderMarkdown(text, context) {
+  const res = await request('https://api.github.com/markdown', {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ text, mode: 'gfm', context }),
+  });
+  if (!res.ok) {
+    const err = new Error(`GitHub API ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.text();
+}
+
+/* ============================================================
+   LIVE VALIDATOR CHECKS
+   Mirrors the sweep in validator-status-sync.yml so the result
+   has the same shape as _STATE/validator-status.json and can be
+   compared check-by-check. Per-repo results go in `repoChecks`.
+   ============================================================ */
+// Every page of a REST list, following the Link header, as
+// { status, data, complete }. `data` is null when the first page
+// fails; `complete` is false when a later one does or `maxPages`
+// runs out, so a caller never mistakes part of a list for all of it.
+async function ghPages(url, maxPages = 20) {
+  const items = [];
+  let next = url;
+  for (let page = 0; page < maxPages; page++) {
+    let res, data = null;
+    try {
+      res  = await request(next, { headers: authHeaders() });
+      data = res.ok ? await res.json().catch(() => null) : null;
+    } catch {
+      res = { status: 0 };
+    }
+    if (!Array.isArray(data)) return { status: res.status, data: page ? items : null, complete: false };
+    items.push(...data);
+    next = /<([^>]+)>;\s*rel="next"/.exec(res.headers.get('Link') || '')?.[1];
+    if (!next) return { status: 200, data: items, complete: true };
+  }
+  return { status: 200, data: items, complete: false };
+}
+
+// Like ghFetch, but never throws: the HTTP status is the signal.
+async function ghStatus(url) {
+  try {
+    const res  = await request(url, { headers: authHeaders() });
+    const data = res.ok ? await res.json().catch(() => null) : null;
+    return { status: res.status, data };
+  } catch {
+    return { status: 0, data: null };
+  }
+}
+
+export async function checkBranchProtection(org, repo, branch = 'main') {
+  const { status } = await ghStatus(
+    `https://api.github.com/repos/${org}/${repo}/branches/${encodeURIComponent(branch)}/protection`
+  );
+  return {
+    label:  `Branch Protection (${branch})`,
+    status: status === 200 ? 'pass' : 'warn',
+    value:  status === 200 ? 'Enabled' : `HTTP ${status}`,
+  };
+}
+
+export async function checkSecretScanning(org, repo) {
+  const url = repo
+    ? `https://api.github.com/repos/${org}/${repo}/secret-scanning/alerts?state=open&per_page=5`
+    : `https://api.github.com/orgs/${org}/secret-scanning/alerts?state=open&per_page=5`;
+  const { status, data } = await ghStatus(url);
+  // An unreadable list (no token scope, scanning off) says nothing either way.
+  const open = Array.isArray(data) ? data.length : null;
+  return {
+    label:  'Secret Scan Alerts',
+    status: open === null ? 'warn' : open ? 'fail' : 'pass',
+    value:  open === null ? `HTTP ${status}` : `${open} open`,
+  };
+}
+
+export async function checkCodeowners(org, repo) {
+  const { status } = await ghStatus(
+    `https://api.github.com/repos/${org}/${repo}/contents/.github/CODEOWNERS`
+  );
+  return {
+    label:  'CODEOWNERS',
+    status: status === 200 ? 'pass' : 'warn',
+    value:  status === 200 ? 'Present' : 'Missing',
+  };
+}
+
+export function summarizeChecks(checks) {
+  const all       = Object.values(checks);
+  const failCount = all.filter(c => c.status === 'fail').length;
+  const warnCount = all.filter(c => c.status === 'warn').length;
+  const health    = failCount === 0 && warnCount === 0 ? 'healthy'
+                  : failCount === 0 ? 'degraded' : 'critical';
+  return { health, failCount, warnCount };
+}
+
+/**
+ * Run the validator sweep live with the browser token.
+ * `repos` accepts org-index repo objects or plain names.
+ */
+export async function runValidatorChecks(org = getOrg(), repos = []) {
+  const checks = {};
+
+  const user = await ghStatus('https://api.github.com/user');
+  checks.token = {
+    label:  'GitHub PAT',
+    status: user.status === 200 ? 'pass' : 'fail',
+    value:  user.data?.login || `HTTP ${user.status}`,
+  };
+
+  const orgRes = await ghStatus(`https://api.github.com/orgs/${org}`);
+  checks.org = {
+    label:  'Org Access',
+    status: orgRes.status === 200 ? 'pass' : 'fail',
+    value:  orgRes.data?.login || `HTTP ${orgRes.status}`,
+  };
+
+  // Same estimate as the workflow: open_issues_count includes PRs.
+  const repoList = await ghStatus(`https://api.github.com/orgs/${org}/repos?per_page=50&sort=pushed`);
+  const openPrs  = (repoList.data || []).reduce((s, r) => s + (r.open_issues_count || 0), 0);
+  checks.open_prs = {
+    label:  'Open PRs (est.)',
+    status: openPrs > 10 ? 'warn' : 'pass',
+    value:  String(openPrs),
+  };
+
+  checks.branch_protection = await checkBranchProtection(org, ADMIN_REPO, 'main');
+  checks.secret_scanning   = await checkSecretScanning(org);
+  checks.codeowners        = await checkCodeowners(org, ADMIN_REPO);
+
+  const repoChecks = {};
+  for (const r of repos) {
+    const name   = typeof r === 'string' ? r : r.name;
+    const branch = (typeof r === 'string' ? null : r.defaultBranchRef?.name) || 'main';
+    const [bp, ss, co] = await Promise.all([
+      checkBranchProtection(org, name, branch),
+      checkSecretScanning(org, name),
+      checkCodeowners(org, name),
+    ]);
+    repoChecks[name] = { branch_protection: bp, secret_scanning: ss, codeowners: co };
+  }
+
+  return {
+    org,
+    syncedAt: new Date().toISOString(),
+    ...summarizeChecks(checks),
+    repos: Object.keys(repoChecks),
+    checks,
+    repoChecks,
+  };
+}
+
+/* ============================================================
+   GOVERNANCE COMPLIANCE (per repo × control)
+   Each control resolves to { state: 'pass'|'fail'|'unknown', detail }.
+   403 (or a field hidden from non-admins) means the token cannot
+   see the setting, which is reported as unknown rather than fail.
+   ============================================================ */
+export const GOVERNANCE_CONTROLS = [
+  { key: 'branch_protection', label: 'Branch Protection' },
+  { key: 'required_reviews',  label: 'Required Reviews' },
+  { key: 'codeowners',        label: 'CODEOWNERS' },
+  { key: 'secret_scanning',   label: 'Secret Scanning' },
+  { key: 'dependabot',        label: 'Dependabot Alerts' },
+  { key: 'codeql',            label: 'CodeQL' },
+  { key: 'signed_commits',    label: 'Signed Commits' },
+];
+
+const pass    = detail => ({ state: 'pass',    detail });
+const fail    = detail => ({ state: 'fail',    detail });
+const unknown = detail => ({ state: 'unknown', detail });
+
+function hidden(status) { return status === 401 || status === 403 || status === 0; }
+
+/**
+ * `snapshotRepo` is the repo as the org snapshot left it (protection,
+ * protectionReadable); its rule answers the protection, review and
+ * signed-commit controls. Without it they are read over REST.
+ */
+export async function fetchRepoGovernance(org, repo, branch = 'main', snapshotRepo = null) {
+  const base = `https://api.github.com/repos/${org}/${repo}`;
+  const [meta, owners, vuln, defaultSetup, result] = await Promise.all([
+    ghStatus(base),
+    ghStatus(`${base}/codeowners/errors`),
+    ghStatus(`${base}/vulnerability-alerts`),
+    ghStatus(`${base}/code-scanning/default-setup`),
+    snapshotRepo ? protectionControls(snapshotRepo, branch) : fetchProtectionControls(base, branch),
+  ]);
+
+  // /codeowners/errors 404s when no CODEOWNERS file exists in any location.
+  result.codeowners =
+    owners.status === 200 ? (owners.data?.errors?.length ? fail(`${owners.data.errors.length} errors`) : pass('present'))
+    : hidden(owners.status) ? unknown(`HTTP ${owners.status}`)
+    : fail('missing');
+
+  // security_and_analysis is only returned to admins.
+  const ss = meta.data?.security_and_analysis?.secret_scanning?.status;
+  result.secret_scanning =
+    ss === 'enabled' ? pass('enabled')
+    : ss === 'disabled' ? fail('disabled')
+    : unknown(meta.status === 200 ? 'admin only' : `HTTP ${meta.status}`);
+
+  // 204 = enabled, 404 = disabled.
+  result.dependabot =
+    vuln.status === 204 ? pass('enabled')
+    : hidden(vuln.status) ? unknown(`HTTP ${vuln.status}`)
+    : fail('disabled');
+
+  if (defaultSetup.data?.state === 'configured') {
+    result.codeql = pass('default setup');
+  } else if (hidden(defaultSetup.status)) {
+    result.codeql = unknown(`HTTP ${defaultSetup.status}`);
+  } else {
+    // Advanced setup leaves default-setup "not-configured" but uploads analyses.
+    const analyses = await ghStatus(`${base}/code-scanning/analyses?per_page=1`);
+    result.codeql =
+      analyses.status === 200 && analyses.data?.length ? pass('advanced setup')
+      : hidden(analyses.status) ? unknown(`HTTP ${analyses.status}`)
+      : fail('not configured');
+  }
+
+  return result;
+}
+
+// The default branch's protection rule from the org snapshot.
+function protectionControls({ protection: rule, protectionReadable }, branch) {
+  if (!rule) {
+    const none = detail => protectionReadable === false ? unknown('admin only') : fail(detail);
+    return {
+      branch_protection: none(`${branch} unprotected`),
+      required_reviews:  none('no protection rule'),
+      signed_commits:    none('not required'),
+    };
+  }
+  const reviews = rule.requiresApprovingReviews ? rule.requiredApprovingReviewCount || 0 : 0;
+  return {
+    branch_protection: pass(branch),
+    required_reviews:  reviews > 0 ? pass(`${reviews} required`) : fail('none required'),
+    signed_commits:    rule.requiresCommitSignatures ? pass('required') : fail('not required'),
+  };
+}
+
+async function fetchProtectionControls(base, branch) {
+  const b = encodeURIComponent(branch);
+  const [prot, sigs] = await Promise.all([
+    ghStatus(`${base}/branches/${b}/protection`),
+    ghStatus(`${base}/branches/${b}/protection/required_signatures`),
+  ]);
+  const reviews = prot.data?.required_pull_request_reviews?.required_approving_review_count || 0;
+  return {
+    branch_protection:
+      prot.status === 200 ? pass(branch)
+      : hidden(prot.status) ? unknown(`HTTP ${prot.status}`)
+      : fail(`${branch} unprotected`),
+    required_reviews:
+      prot.status === 200 ? (reviews > 0 ? pass(`${reviews} required`) : fail('none required'))
+      : hidden(prot.status) ? unknown(`HTTP ${prot.status}`)
+      : fail('no protection rule'),
+    signed_commits:
+      sigs.status === 200 ? (sigs.data?.enabled ? pass('required') : fail('not required'))
+      : hidden(sigs.status) ? unknown(`HTTP ${sigs.status}`)
+      : fail('not required'),
+  };
+}
 
 /* ============================================================
    RATE LIMIT CHECK
    ============================================================ */
 export async function fetchRateLimit() {
   try {
-    return await ghFetch('https://api.github.com/rate_limit');
+    const data = await ghFetch('https://api.github.com/rate_limit');
+    setRateLimits(data.resources);
+    return data;
   } catch {
     return null;
   }
@@ -0,0 +1,173 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — GitHub Request Layer
+ * Every GitHub API call goes through request(): bounded
+ * concurrency, ETag revalidation backed by IndexedDB, backoff
+ * on primary/secondary rate limits, and a shared view of the
+ * remaining budget that the topbar gauge subscribes to.
+ */
+import { idbGet, idbSet, idbClear } from './idb.js';
+
+/* ============================================================
+   RATE LIMIT STATE
+   ============================================================ */
+const rateLimit = {
+  core:    null,   // { limit, remaining, reset (epoch s) }
+  graphql: null,   // same, plus lastCost / sessionCost
+};
+const listeners = new Set();
+
+export function getRateLimit() { return rateLimit; }
+
+export function onRateLimit(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function notify() {
+  for (const fn of listeners) fn(rateLimit);
+}
+
+// Seed from GET /rate_limit (which itself is free).
+export function setRateLimits(resources) {
+  for (const key of ['core', 'graphql']) {
+    const r = resources?.[key];
+    if (r) rateLimit[key] = { ...rateLimit[key], limit: r.limit, remaining: r.remaining, reset: r.reset };
+  }
+  notify();
+}
+
+// rateLimit { cost remaining limit resetAt } from a GraphQL response.
+export function recordGraphQLCost(info) {
+  if (!info) return;
+  const prev = rateLimit.graphql || {};
+  rateLimit.graphql = {
+    ...prev,
+    limit:       info.limit,
+    remaining:   info.remaining,
+    reset:       Math.floor(new Date(info.resetAt).getTime() / 1000),
+    lastCost:    info.cost,
+    sessionCost: (prev.sessionCost || 0) + info.cost,
+  };
+  notify();
+}
+
+function recordHeaders(res) {
+  const remaining = res.headers.get('X-RateLimit-Remaining');
+  if (remaining == null) return;
+  const key = res.headers.get('X-RateLimit-Resource') || 'core';
+  if (!(key in rateLimit)) return;
+  rateLimit[key] = {
+    ...rateLimit[key],
+    limit:     Number(res.headers.get('X-RateLimit-Limit')),
+    remaining: Number(remaining),
+    reset:     Number(res.headers.get('X-RateLimit-Reset')),
+  };
+  notify();
+}
+
+/* ============================================================
+   CONCURRENCY
+   ============================================================ */
+const MAX_CONCURRENT = 4;
+let active = 0;
+const waiting = [];
+
+function acquire() {
+  if (active < MAX_CONCURRENT) { active++; return Promise.resolve(); }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next(); else active--;
+}
+
+/* ============================================================
+   ETAG CACHE
+   Keyed per token so one user's cached body is never served
+   to another; the token itself is not stored.
+   ============================================================ */
+function tokenTag(headers) {
+  const auth = headers?.Authorization || '';
+  let h = 0x811c9dc5;
+  for (let i = 0; i < auth.length; i++) h = Math.imul(h ^ auth.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+}
+
+export function clearEtagCache() {
+  return idbClear('etags');
+}
+
+/* ============================================================
+   REQUEST
+   ============================================================ */
+const MAX_RETRIES   = 4;
+const BASE_DELAY_MS = 1000;
+// Wait out an exhausted primary limit only if it resets soon.
+const MAX_RESET_WAIT_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// How long to wait before retrying a 403/429, or null if it is not
+// a rate-limit response (e.g. a plain permission error).
+async function retryDelay(res, attempt) {
+  const retryAfter = Number(res.headers.get('Retry-After'));
+  if (retryAfter) return retryAfter * 1000;
+  if (res.headers.get('X-RateLimit-Remaining') === '0') {
+    const wait = Number(res.headers.get('X-RateLimit-Reset')) * 1000 - Date.now();
+    return wait <= MAX_RESET_WAIT_MS ? Math.max(wait, 0) + 1000 : null;
+  }
+  if (res.status === 429) return BASE_DELAY_MS * 2 ** attempt;
+  const body = await res.clone().text().catch(() => '');
+  return /secondary rate limit|abuse/i.test(body)
+    ? BASE_DELAY_MS * 2 ** attempt + Math.random() * BASE_DELAY_MS
+    : null;
+}
+
+/**
+ * fetch() for the GitHub API. Same signature and return value.
+ * Plain GETs are revalidated with a stored ETag and a 304 is
+ * answered from the cache; callers that set If-None-Match
+ * themselves get the raw 304 back.
+ */
+export async function request(url, opts = {}) {
+  const method    = (opts.method || 'GET').toUpperCase();
+  const headers   = { ...opts.headers };
+  const cacheable = method === 'GET' && !headers['If-None-Match'];
+  const cacheKey  = `${tokenTag(headers)}|${url}`;
+  // Entries saved before the Link header was kept cannot answer a paged list.
+  const stored    = cacheable ? await idbGet('etags', cacheKey) : undefined;
+  const cached    = stored && 'link' in stored ? stored : undefined;
+  if (cached) headers['If-None-Match'] = cached.etag;
+
+  await acquire();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch(url, { ...opts, headers });
+      recordHeaders(res);
+
+      if ((res.status === 403 || res.status === 429) && attempt < MAX_RETRIES) {
+        const delay = await retryDelay(res, attempt);
+        if (delay != null) { await sleep(delay); continue; }
+      }
+
+      if (cached && res.status === 304) {
+        return new Response(cached.body, {
+          status: 200,
+          headers: {
+            'Content-Type': cached.type || 'application/json', 'X-IACP-Cache': 'etag',
+            ...(cached.link && { Link: cached.link }),
+          },
+        });
+      }
+      const etag = res.headers.get('ETag');
+      if (cacheable && res.status === 200 && etag) {
+        const body = await res.clone().text();
+        idbSet('etags', cacheKey, { etag, body, type: res.headers.get('Content-Type'), link: res.headers.get('Link') });
+      }
+      return res;
+    }
+  } finally {
+    release();
+  }
+}
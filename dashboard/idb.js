@@ -0,0 +1,44 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — IndexedDB Store
+ * Minimal promise wrapper around one IndexedDB database.
+ * Every call degrades to a no-op (undefined) where IndexedDB
+ * is unavailable, so callers treat it as a best-effort cache.
+ */
+
+const DB_NAME    = 'iacp';
+const DB_VERSION = 2;
+const STORES     = ['etags', 'entities'];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!globalThis.indexedDB) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for (const name of STORES) {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+async function tx(store, mode, fn) {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise(resolve => {
+    const req = fn(db.transaction(store, mode).objectStore(store));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => resolve(undefined);
+  });
+}
+
+export function idbGet(store, key)        { return tx(store, 'readonly',  s => s.get(key)); }
+export function idbSet(store, key, value) { return tx(store, 'readwrite', s => s.put(value, key)); }
+export function idbDelete(store, key)     { return tx(store, 'readwrite', s => s.delete(key)); }
+export function idbClear(store)           { return tx(store, 'readwrite', s => s.clear()); }
@@ -0,0 +1,204 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — Org Snapshot
+ * One paginated GraphQL query that returns, for every repo in the
+ * org: open PRs (review state, requested reviewers, check rollup,
+ * merge state), default-branch protection, the latest
+ * default-branch commit status and the open vulnerability alert
+ * count. Replaces the per-repo REST fan-out; a 50-repo org
+ * refreshes in two or three requests.
+ */
+import { graphql, getOrg } from './github-api.js';
+
+const REPOS_PER_PAGE = 25;
+const PRS_PER_REPO   = 20;
+
+const PR_FIELDS = `
+  id number title url isDraft createdAt updatedAt
+  reviewDecision mergeable mergeStateStatus headRefName baseRefName
+  author { login __typename }
+  reviewRequests(first: 10) {
+    nodes { requestedReviewer { ... on Actor { login } ... on Team { slug } } }
+  }
+  commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }`;
+
+const ORG_SNAPSHOT_QUERY = `
+query OrgSnapshot($org: String!, $after: String) {
+  organization(login: $org) {
+    repositories(first: ${REPOS_PER_PAGE}, after: $after, orderBy: {field: PUSHED_AT, direction: DESC}) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        id
+        name
+        url
+        isArchived
+        isPrivate
+        pushedAt
+        defaultBranchRef {
+          name
+          target {
+            ... on Commit { oid committedDate statusCheckRollup { state } }
+          }
+          branchProtectionRule {
+            requiresApprovingReviews
+            requiredApprovingReviewCount
+            requiresCodeOwnerReviews
+            requiresStatusChecks
+            requiredStatusCheckContexts
+            requiresCommitSignatures
+            isAdminEnforced
+            allowsForcePushes
+          }
+        }
+        vulnerabilityAlerts(states: OPEN) { totalCount }
+        pullRequests(states: OPEN, first: ${PRS_PER_REPO}, orderBy: {field: UPDATED_AT, direction: DESC}) {
+          totalCount
+          pageInfo { hasNextPage endCursor }
+          nodes { ${PR_FIELDS} }
+        }
+      }
+    }
+  }
+}`;
+
+// Who "needs my review" means: the viewer, and the org teams they belong to
+// (team review requests name the team, not its members).
+const VIEWER_QUERY = `
+query Viewer($org: String!) {
+  viewer { login }
+  organization(login: $org) {
+    teams(first: 100, role: MEMBER) { nodes { slug } }
+  }
+}`;
+
+// Follow-up for the rare repo with more open PRs than fit in the batch.
+const REPO_PRS_QUERY = `
+query RepoOpenPRs($id: ID!, $after: String) {
+  node(id: $id) {
+    ... on Repository {
+      pullRequests(states: OPEN, first: 100, after: $after, orderBy: {field: UPDATED_AT, direction: DESC}) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${PR_FIELDS} }
+      }
+    }
+  }
+}`;
+
+/* ============================================================
+   NORMALIZATION
+   Entities keyed by GraphQL node ID; repos reference their PRs
+   by ID so each PR is stored once.
+   ============================================================ */
+function normalizePR(pr, repo) {
+  return {
+    id:             pr.id,
+    repoId:         repo.id,
+    repo:           repo.name,
+    number:         pr.number,
+    title:          pr.title,
+    url:            pr.url,
+    author:         pr.author?.login || null,
+    authorIsBot:    pr.author?.__typename === 'Bot',
+    isDraft:        pr.isDraft,
+    createdAt:      pr.createdAt,
+    updatedAt:      pr.updatedAt,
+    reviewDecision: pr.reviewDecision,   // APPROVED | CHANGES_REQUESTED | REVIEW_REQUIRED | null
+    mergeable:      pr.mergeable,        // MERGEABLE | CONFLICTING | UNKNOWN
+    mergeState:     pr.mergeStateStatus, // CLEAN | BLOCKED | BEHIND | DIRTY | UNSTABLE | DRAFT | HAS_HOOKS | UNKNOWN
+    // Users and bots by login, teams by slug.
+    reviewRequests: (pr.reviewRequests?.nodes || [])
+      .map(r => r.requestedReviewer)
+      .filter(Boolean)
+      .map(r => r.login ? { login: r.login } : { team: r.slug }),
+    checks:         pr.commits?.nodes?.[0]?.commit?.statusCheckRollup?.state || null,
+    headRef:        pr.headRefName,
+    baseRef:        pr.baseRefName,
+  };
+}
+
+function normalizeRepo(node, prs, { alertsReadable, protectionReadable }) {
+  const ref = node.defaultBranchRef;
+  return {
+    id:            node.id,
+    name:          node.name,
+    url:           node.url,
+    isArchived:    node.isArchived,
+    isPrivate:     node.isPrivate,
+    pushedAt:      node.pushedAt,
+    defaultBranch: ref?.name || null,
+    headSha:       ref?.target?.oid || null,
+    headStatus:    ref?.target?.statusCheckRollup?.state || null,
+    protection:    ref ? ref.branchProtectionRule : null,
+    // false when the token cannot see the rule: protection is null then too.
+    protectionReadable,
+    // null when the token cannot read Dependabot alerts for this repo.
+    vulnerabilityAlerts: alertsReadable ? node.vulnerabilityAlerts?.totalCount ?? null : null,
+    openPRCount:   node.pullRequests.totalCount,
+    prIds:         prs.map(pr => pr.id),
+  };
+}
+
+async function fetchRemainingPRs(repoId, after) {
+  const prs = [];
+  while (after) {
+    const data = await graphql(REPO_PRS_QUERY, { id: repoId, after });
+    const page = data.node.pullRequests;
+    prs.push(...page.nodes);
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  }
+  return prs;
+}
+
+async function fetchViewer(org) {
+  const { data } = await graphql(VIEWER_QUERY, { org }, { partial: true });
+  return {
+    login: data?.viewer?.login || null,
+    // Empty without read:org; only direct user requests then match.
+    teams: (data?.organization?.teams?.nodes || []).filter(Boolean).map(t => t.slug),
+  };
+}
+
+/**
+ * Returns { org, fetchedAt, viewer, repos: {id: repo}, prs: {id: pr}, errors }.
+ * `errors` lists field-level GraphQL errors (usually permissions);
+ * the affected fields are null rather than failing the snapshot.
+ */
+export async function fetchOrgSnapshot(org = getOrg()) {
+  const snapshot = { org, fetchedAt: new Date().toISOString(), viewer: null, repos: {}, prs: {}, errors: [] };
+  // Not worth failing the snapshot over.
+  const viewer = fetchViewer(org).catch(() => ({ login: null, teams: [] }));
+  let after = null;
+  let hasNext = true;
+  while (hasNext) {
+    const { data, errors } = await graphql(ORG_SNAPSHOT_QUERY, { org, after }, { partial: true });
+    // A wrong org name, or a token without read:org, gives organization: null.
+    if (!data?.organization) throw new Error(`Organization ${org} not found or not accessible — check the org name and the token's read:org scope`);
+    const page = data.organization.repositories;
+    // Errors carry a path like [organization, repositories, nodes, 3, vulnerabilityAlerts].
+    const denied = field => new Set(errors
+      .filter(e => e.path?.includes(field))
+      .map(e => e.path[e.path.indexOf('nodes') + 1]));
+    const deniedAlerts     = denied('vulnerabilityAlerts');
+    const deniedProtection = denied('branchProtectionRule');
+    snapshot.errors.push(...errors.map(e => e.message));
+
+    await Promise.all(page.nodes.map(async (node, i) => {
+      if (!node) return;
+      let rawPRs = node.pullRequests.nodes;
+      if (node.pullRequests.pageInfo.hasNextPage) {
+        rawPRs = rawPRs.concat(await fetchRemainingPRs(node.id, node.pullRequests.pageInfo.endCursor));
+      }
+      const prs = rawPRs.map(pr => normalizePR(pr, node));
+      for (const pr of prs) snapshot.prs[pr.id] = pr;
+      snapshot.repos[node.id] = normalizeRepo(node, prs, {
+        alertsReadable:     !deniedAlerts.has(i),
+        protectionReadable: !deniedProtection.has(i),
+      });
+    }));
+
+    hasNext = page.pageInfo.hasNextPage;
+    after   = page.pageInfo.endCursor;
+  }
+  snapshot.viewer = await viewer;
+  snapshot.errors = [...new Set(snapshot.errors)];
+  return snapshot;
+}
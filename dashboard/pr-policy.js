@@ -0,0 +1,194 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — PR Policy Gate
+ * Checked in the browser before any action on a PR from the
+ * review queue:
+ *   checks      — every required check (every check, when the
+ *                 branch requires none) has passed
+ *   codeowners  — each changed file with an owner in the base
+ *                 branch's CODEOWNERS has an approval from one
+ *                 (passes when the repo has no CODEOWNERS)
+ *   secrets     — no open secret-scanning alert was raised on one
+ *                 of the head branch's own commits (passes when
+ *                 secret scanning is off for the repo)
+ * Each control is pass, fail or unknown; only pass lets a gated
+ * action through. A repo without owners or scanning has nothing
+ * left to satisfy, so the detail says why it passed.
+ */
+import { graphql, fetchOpenSecretAlertCommits } from './github-api.js';
+
+// Which controls gate which action. Requesting changes and updating
+// the branch never make a PR more mergeable, so they only record the
+// policy state in the audit log.
+export const PR_ACTION_POLICY = {
+  approve:         ['checks', 'secrets'],
+  request_changes: [],
+  auto_merge:      ['codeowners', 'secrets'],
+  merge:           ['checks', 'codeowners', 'secrets'],
+  update_branch:   [],
+};
+
+export const POLICY_CONTROLS = [
+  { key: 'checks',     label: 'Required checks' },
+  { key: 'codeowners', label: 'CODEOWNER approval' },
+  { key: 'secrets',    label: 'Secret scanning' },
+];
+
+const PR_POLICY_QUERY = `
+query PRPolicy($owner: String!, $repo: String!, $number: Int!, $co1: String!, $co2: String!, $co3: String!) {
+  repository(owner: $owner, name: $repo) {
+    co1: object(expression: $co1) { ... on Blob { text } }
+    co2: object(expression: $co2) { ... on Blob { text } }
+    co3: object(expression: $co3) { ... on Blob { text } }
+    pullRequest(number: $number) {
+      id headRefOid
+      author { login }
+      files(first: 100) { totalCount nodes { path } }
+      commits(last: 100) { totalCount nodes { commit { oid } } }
+      latestOpinionatedReviews(first: 50, writersOnly: true) {
+        nodes { state author { login } onBehalfOf(first: 10) { nodes { slug } } }
+      }
+      headCommit: commits(last: 1) { nodes { commit { statusCheckRollup { state
+        contexts(first: 100) { nodes {
+          __typename
+          ... on CheckRun { name status conclusion isRequired(pullRequestNumber: $number) }
+          ... on StatusContext { context state isRequired(pullRequestNumber: $number) }
+        } }
+      } } } }
+    }
+  }
+}`;
+
+const pass    = detail => ({ state: 'pass',    detail });
+const fail    = detail => ({ state: 'fail',    detail });
+const unknown = detail => ({ state: 'unknown', detail });
+
+/* ============================================================
+   CODEOWNERS
+   Same lookup as GitHub: the first of .github/, the root and
+   docs/ that has the file, read from the base branch; the last
+   matching line wins.
+   ============================================================ */
+function compileOwnerPattern(pattern) {
+  const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+  const body = pattern.replace(/^\//, '').replace(/\/$/, '/**')
+    .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+    .map(part => ({
+      '**/': '(?:.*/)?', '/**': '/.*', '**': '.*', '*': '[^/]*', '?': '[^/]',
+    })[part] ?? part.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  // Unanchored patterns match at any depth. A pattern also matches
+  // everything under a directory it names, except `dir/*`, which
+  // CODEOWNERS limits to the directory's own files.
+  const below = pattern.endsWith('/*') ? '' : '(?:/.*)?';
+  return new RegExp(`${anchored ? '^' : '(?:^|/)'}${body}${below}$`);
+}
+
+export function parseCodeowners(text) {
+  return text.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, rx: compileOwnerPattern(pattern), owners };
+    });
+}
+
+// Owners of `path`, or null when no line matches (nobody's approval needed).
+export function ownersOf(rules, path) {
+  let owners = null;
+  for (const rule of rules) if (rule.rx.test(path)) owners = rule.owners;
+  return owners?.length ? owners : null;
+}
+
+function codeownersControl(pr, text, org) {
+  if (text == null) return pass('no CODEOWNERS file on the base branch — no owner approval required');
+  if (pr.files.totalCount > pr.files.nodes.length) return unknown(`${pr.files.totalCount} files — too many to check`);
+  const rules = parseCodeowners(text);
+  const approvals = pr.latestOpinionatedReviews.nodes
+    .filter(r => r.state === 'APPROVED' && r.author && r.author.login !== pr.author?.login);
+  const approves = owner => {
+    const team = owner.match(/^@([^/]+)\/(.+)$/);
+    if (team) {
+      return team[1].toLowerCase() === org.toLowerCase()
+        && approvals.some(r => r.onBehalfOf.nodes.some(t => t.slug === team[2]));
+    }
+    return approvals.some(r => `@${r.author.login}`.toLowerCase() === owner.toLowerCase());
+  };
+  const owned = pr.files.nodes.map(f => ({ path: f.path, owners: ownersOf(rules, f.path) })).filter(f => f.owners);
+  if (!owned.length) return pass('no owned files changed');
+  const missing = owned.filter(f => !f.owners.some(approves));
+  return missing.length
+    ? fail(`awaiting ${[...new Set(missing.flatMap(f => f.owners))].join(', ')} (${missing.length} file${missing.length === 1 ? '' : 's'})`)
+    : pass(`approved for ${owned.length} owned file${owned.length === 1 ? '' : 's'}`);
+}
+
+/* ============================================================
+   CHECKS AND SECRETS
+   ============================================================ */
+const GREEN_CONCLUSIONS = ['SUCCESS', 'NEUTRAL', 'SKIPPED'];
+
+function checksControl(pr, requiredContexts) {
+  const rollup = pr.headCommit.nodes[0]?.commit.statusCheckRollup;
+  const contexts = (rollup?.contexts.nodes || []).map(c => c.__typename === 'CheckRun'
+    ? { name: c.name, required: c.isRequired, green: c.status === 'COMPLETED' && GREEN_CONCLUSIONS.includes(c.conclusion),
+        state: c.status === 'COMPLETED' ? c.conclusion : c.status }
+    : { name: c.context, required: c.isRequired, green: c.state === 'SUCCESS', state: c.state });
+  const required = contexts.filter(c => c.required);
+  const gating   = required.length ? required : contexts;
+  // Required by protection but never reported on this commit.
+  const missing  = (requiredContexts || []).filter(name => !contexts.some(c => c.name === name));
+  if (!gating.length && !missing.length) return fail('no checks reported');
+  const red = gating.filter(c => !c.green);
+  if (red.length || missing.length) {
+    return fail([...red.map(c => `${c.name} ${String(c.state).toLowerCase()}`), ...missing.map(n => `${n} not reported`)].join(', '));
+  }
+  return pass(`${gating.length} ${required.length ? 'required ' : ''}check${gating.length === 1 ? '' : 's'} green`);
+}
+
+function secretsControl(pr, secrets) {
+  if (secrets.status === 404) return pass('secret scanning is off for this repo — no alerts to check');
+  if (!secrets.alerts) return unknown(`cannot read alerts (HTTP ${secrets.status})`);
+  const prCommits = new Set(pr.commits.nodes.map(n => n.commit.oid));
+  const hits = secrets.alerts.filter(a => a.commits.some(sha => prCommits.has(sha)));
+  if (hits.length) return fail(`open alert${hits.length === 1 ? '' : 's'} ${hits.map(a => `#${a.number}`).join(', ')} on this branch`);
+  if (!secrets.complete) return unknown('more open alerts than could be read');
+  if (pr.commits.totalCount > pr.commits.nodes.length) return unknown(`${pr.commits.totalCount} commits — too many to check`);
+  if (secrets.alerts.some(a => !a.readable)) return unknown('cannot read every alert location');
+  return pass(secrets.alerts.length ? `none from this branch (${secrets.alerts.length} open elsewhere)` : 'no open alerts');
+}
+
+/**
+ * Evaluates every control for `pr` (a normalized PR from the org
+ * snapshot). `repo` is its snapshot repo, for the protection rule.
+ * Returns { org, repo, number, id, headSha, controls, checkedAt }.
+ */
+export async function evaluatePRPolicy(org, pr, repo) {
+  const base = pr.baseRef;
+  const [data, secrets] = await Promise.all([
+    graphql(PR_POLICY_QUERY, {
+      owner: org, repo: pr.repo, number: pr.number,
+      co1: `${base}:.github/CODEOWNERS`, co2: `${base}:CODEOWNERS`, co3: `${base}:docs/CODEOWNERS`,
+    }),
+    fetchOpenSecretAlertCommits(org, pr.repo),
+  ]);
+  const r  = data.repository;
+  const gh = r.pullRequest;
+  const codeowners = (r.co1 || r.co2 || r.co3)?.text ?? null;
+  return {
+    org, repo: pr.repo, number: pr.number, id: gh.id,
+    headSha:  gh.headRefOid,
+    controls: {
+      checks:     checksControl(gh, repo?.protection?.requiredStatusCheckContexts),
+      codeowners: codeownersControl(gh, codeowners, org),
+      secrets:    secretsControl(gh, secrets),
+    },
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/** The controls that stop `action` under `policy`; empty when allowed. */
+export function policyBlockers(policy, action) {
+  return PR_ACTION_POLICY[action]
+    .filter(key => policy.controls[key].state !== 'pass')
+    .map(key => ({ key, ...policy.controls[key] }));
+}
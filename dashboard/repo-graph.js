@@ -0,0 +1,83 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — Repo Graph Layout
+ * Force-directed layout for the Overview repo graph: every pair
+ * of repos pushes apart, each edge pulls its two ends together,
+ * and a weak pull to the centre keeps unconnected repos in view.
+ * Starting positions are fixed, so the same repos and edges
+ * always give the same picture.
+ */
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+// Pair forces are O(n²) per step; fewer steps for big orgs.
+function stepsFor(n) {
+  return Math.max(60, Math.min(300, Math.round(4e6 / (n * n || 1))));
+}
+
+/**
+ * Positions `nodes` ({ id }) linked by `edges` ({ source, target }
+ * ids) inside width × height. Returns a Map id -> { x, y }.
+ */
+export function layoutGraph(nodes, edges, { width = 700, height = 420 } = {}) {
+  const n  = nodes.length;
+  const cx = width / 2;
+  const cy = height / 2;
+  // Ideal distance between neighbours.
+  const k  = Math.sqrt((width * height) / Math.max(n, 1)) * 0.75;
+
+  const pos = nodes.map((node, i) => {
+    const r = k * 0.5 * Math.sqrt(i + 0.5);
+    return { id: node.id, x: cx + r * Math.cos(i * GOLDEN_ANGLE), y: cy + r * Math.sin(i * GOLDEN_ANGLE), dx: 0, dy: 0 };
+  });
+  const index = new Map(pos.map((p, i) => [p.id, i]));
+  const links = edges
+    .map(e => [index.get(e.source), index.get(e.target)])
+    .filter(([a, b]) => a != null && b != null && a !== b);
+
+  const steps = stepsFor(n);
+  let temp = Math.min(width, height) / 8;
+  const cool = temp / steps;
+
+  for (let s = 0; s < steps; s++) {
+    for (const p of pos) { p.dx = 0; p.dy = 0; }
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const a = pos[i], b = pos[j];
+        let dx = a.x - b.x, dy = a.y - b.y;
+        let d2 = dx * dx + dy * dy;
+        if (d2 < 0.01) { dx = 0.1 * (i - j); dy = 0.1; d2 = dx * dx + dy * dy; }
+        const f = (k * k) / d2;
+        a.dx += dx * f; a.dy += dy * f;
+        b.dx -= dx * f; b.dy -= dy * f;
+      }
+    }
+
+    for (const [i, j] of links) {
+      const a = pos[i], b = pos[j];
+      const dx = a.x - b.x, dy = a.y - b.y;
+      const d  = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const f  = d / k;
+      a.dx -= dx * f; a.dy -= dy * f;
+      b.dx += dx * f; b.dy += dy * f;
+    }
+
+    for (const p of pos) {
+      p.dx += (cx - p.x) * 0.05;
+      p.dy += (cy - p.y) * 0.05;
+      const d = Math.sqrt(p.dx * p.dx + p.dy * p.dy) || 1;
+      const step = Math.min(d, temp);
+      p.x += (p.dx / d) * step;
+      p.y += (p.dy / d) * step;
+    }
+    temp = Math.max(temp - cool, 0.5);
+  }
+
+  // Shrink (never grow) and centre the result to fit the box.
+  const margin = 30;
+  const xs = pos.map(p => p.x), ys = pos.map(p => p.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const scale = Math.min(1, (width - 2 * margin) / ((maxX - minX) || 1), (height - 2 * margin) / ((maxY - minY) || 1));
+  const mx = (minX + maxX) / 2, my = (minY + maxY) / 2;
+  return new Map(pos.map(p => [p.id, { x: cx + (p.x - mx) * scale, y: cy + (p.y - my) * scale }]));
+}
@@ -0,0 +1,661 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — Bundled JSON Schemas
+ * Schemas for the _STATE files the dashboard parses, the board and
+ * category configs and GitHub Actions workflows, used by the editor for diagnostics, hover docs
+ * and completions. JSON files are checked by Monaco's own JSON
+ * worker; YAML is parsed in the page and checked with validate().
+ */
+import { CATEGORIES } from './categories.js';
+
+const ISO_DATE = { type: 'string', format: 'date-time' };
+const HEX_COLOR = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', errorMessage: 'Expected a hex colour like "#58a6ff"' };
+const COUNT = { type: 'object', properties: { totalCount: { type: 'integer', minimum: 0 } } };
+
+/* ============================================================
+   _STATE FILES
+   Mirror what the sync workflows write and what app.js reads.
+   ============================================================ */
+const ORG_INDEX = {
+  title: 'org-index.json',
+  description: 'Org repository index, written by sync-org-index.yml and read by loadOrgIndex().',
+  type: 'object',
+  required: ['org', 'syncedAt', 'repos'],
+  properties: {
+    org:        { type: 'string', description: 'GitHub organization login.' },
+    syncedAt:   { ...ISO_DATE, description: 'When the sync workflow wrote this file (UTC).' },
+    totalCount: { type: 'integer', minimum: 0, description: 'Number of repos in the org.' },
+    repos: {
+      type: 'array',
+      description: 'One entry per repository, as returned by the GraphQL repositories query.',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name:           { type: 'string', description: 'Repository name (without the org).' },
+          description:    { type: ['string', 'null'] },
+          url:            { type: 'string', description: 'HTML URL of the repository.' },
+          isPrivate:      { type: 'boolean' },
+          isArchived:     { type: 'boolean', description: 'Archived repos are grouped under "archive" in Industry.' },
+          isFork:         { type: 'boolean' },
+          stargazerCount: { type: 'integer', minimum: 0 },
+          forkCount:      { type: 'integer', minimum: 0 },
+          pushedAt:       { type: ['string', 'null'], format: 'date-time', description: 'Last push; drives "Last Push" and activity sorting.' },
+          primaryLanguage: {
+            type: ['object', 'null'],
+            properties: { name: { type: 'string' }, color: { type: ['string', 'null'] } },
+          },
+          defaultBranchRef: {
+            type: ['object', 'null'],
+            properties: { name: { type: 'string', description: 'Default branch name.' } },
+          },
+          repositoryTopics: {
+            type: 'object',
+            description: 'Topics; used for repo categorization.',
+            properties: {
+              nodes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['topic'],
+                  properties: { topic: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } },
+                },
+              },
+            },
+          },
+          openPullRequests: COUNT,
+          openIssues:       COUNT,
+        },
+      },
+    },
+  },
+};
+
+const PROJECT_MAP = {
+  title: 'project-map.json',
+  description: 'Projects V2 board state, written by project-sync.yml and read by loadProjectMap() as the offline board.',
+  type: 'object',
+  required: ['org', 'syncedAt', 'columns'],
+  properties: {
+    org:      { type: 'string', description: 'GitHub organization login.' },
+    syncedAt: { ...ISO_DATE, description: 'When the sync workflow wrote this file (UTC).' },
+    projects: {
+      type: 'array',
+      description: 'Org projects (Projects V2).',
+      items: {
+        type: 'object',
+        required: ['id', 'title'],
+        properties: {
+          id:     { type: 'string', description: 'ProjectV2 node ID.' },
+          title:  { type: 'string' },
+          number: { type: 'integer', minimum: 1 },
+          url:    { type: 'string' },
+        },
+      },
+    },
+    columns: {
+      type: 'array',
+      description: 'Board columns in display order.',
+      items: {
+        type: 'object',
+        required: ['id', 'label', 'items'],
+        properties: {
+          id:    { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$', description: 'Status option key, e.g. "NEW_IDEA".', errorMessage: 'Column ids are UPPER_SNAKE_CASE' },
+          label: { type: 'string', description: 'Column heading.' },
+          color: { ...HEX_COLOR, description: 'Column accent colour.' },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'title'],
+              properties: {
+                id:      { type: ['string', 'null'], description: 'Project item node ID.' },
+                type:    { type: 'string', enum: ['issue', 'pull_request', 'draft_issue', 'redacted'] },
+                title:   { type: 'string' },
+                repo:    { type: 'string', description: 'Repository name; empty for draft issues.' },
+                state:   { type: 'string' },
+                url:     { type: 'string' },
+                project: { type: 'string', description: 'Title of the project the item belongs to.' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const MEMORY_SNAPSHOT = {
+  title: 'memory-snapshot.json',
+  description: 'Latest entries from infinity-core-memory, written by memory-sync.yml and read by loadMemorySnapshot().',
+  type: 'object',
+  required: ['source', 'syncedAt', 'entries'],
+  properties: {
+    source:     { type: 'string', pattern: '^[\\w.-]+/[\\w.-]+$', description: 'owner/repo the entries were read from.', errorMessage: 'Expected "owner/repo"' },
+    syncedAt:   { ...ISO_DATE, description: 'When the sync workflow wrote this file (UTC).' },
+    entryCount: { type: 'integer', minimum: 0 },
+    entries: {
+      type: 'array',
+      description: 'Newest first; the timeline renders them in this order.',
+      items: {
+        type: 'object',
+        required: ['type', 'timestamp', 'title'],
+        properties: {
+          type:      { type: 'string', description: 'Entry kind: "commit", or the memory file it came from (e.g. "decision").' },
+          timestamp: { ...ISO_DATE },
+          title:     { type: 'string' },
+          body:      { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const VALIDATOR_STATUS = {
+  title: 'validator-status.json',
+  description: 'Governance sweep, written by validator-status-sync.yml and read by loadValidatorStatus().',
+  type: 'object',
+  required: ['org', 'syncedAt', 'health', 'checks'],
+  properties: {
+    org:       { type: 'string' },
+    syncedAt:  { ...ISO_DATE, description: 'When the sync workflow wrote this file (UTC).' },
+    health:    { type: 'string', enum: ['healthy', 'degraded', 'critical'], description: 'healthy: no fail or warn; degraded: warnings only; critical: at least one fail.' },
+    failCount: { type: 'integer', minimum: 0 },
+    warnCount: { type: 'integer', minimum: 0 },
+    repos:     { type: 'array', items: { type: 'string' }, description: 'Repos covered by the sweep.' },
+    checks: {
+      type: 'object',
+      description: 'Check key (e.g. "branch_protection") to result.',
+      additionalProperties: {
+        type: 'object',
+        required: ['label', 'status'],
+        properties: {
+          label:  { type: 'string' },
+          status: { type: 'string', enum: ['pass', 'warn', 'fail'] },
+          value:  { type: 'string', description: 'Detail shown next to the status, e.g. "HTTP 403".' },
+        },
+      },
+    },
+  },
+};
+
+const REPO_GRAPH = {
+  title: 'repo-graph.json',
+  description: 'Relationships between org repos, written by repo-graph-sync.yml and drawn by the Overview repo graph.',
+  type: 'object',
+  required: ['org', 'syncedAt', 'edges'],
+  properties: {
+    org:      { type: 'string' },
+    syncedAt: { ...ISO_DATE, description: 'When the sync workflow wrote this file (UTC).' },
+    repos:    { type: 'integer', minimum: 0, description: 'Repos the sync read.' },
+    edges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['source', 'target', 'kind'],
+        properties: {
+          source:  { type: 'string', description: 'Repo the relationship starts from (the dependent, includer or sender).' },
+          target:  { type: 'string' },
+          kind:    { type: 'string', enum: ['dependency', 'submodule', 'dispatch', 'workspace'] },
+          details: { type: 'array', items: { type: 'string' }, description: 'Where it was found: package names, submodule URLs, workflow files, workspace folders.' },
+        },
+      },
+    },
+    errors: { type: 'array', items: { type: 'string' }, description: 'Repos or files the sync could not read.' },
+  },
+};
+
+/* ============================================================
+   BOARD CONFIG (config/board.yml)
+   Also checked at runtime before the dashboard uses the file.
+   ============================================================ */
+const BOARD_CONFIG = {
+  title: 'config/board.yml',
+  description: 'Pipeline board: column order, labels and colours. Read by the dashboard and project-sync.yml.',
+  type: 'object',
+  required: ['version', 'columns'],
+  properties: {
+    version:     { type: 'integer', enum: [1], description: 'Config format version.' },
+    name:        { type: 'string', description: 'Board name.' },
+    description: { type: 'string' },
+    columns: {
+      type: 'array',
+      description: 'Columns in board order; "Apply board config" reorders the Status options to match.',
+      items: {
+        type: 'object',
+        required: ['id', 'label', 'color'],
+        properties: {
+          id:          { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$', errorMessage: 'Column ids are UPPER_SNAKE_CASE', description: 'Stable key; the Status option name in UPPER_SNAKE_CASE.' },
+          label:       { type: 'string', description: 'Status option name on GitHub; changing it renames the option.' },
+          color:       { ...HEX_COLOR, description: 'Dashboard colour. GitHub gets the nearest of its option colours.' },
+          description: { type: 'string', description: 'Status option description on GitHub.' },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+/* ============================================================
+   CATEGORY CONFIG (config/categories.yml)
+   Also checked at runtime, and by Settings before saving.
+   ============================================================ */
+const CATEGORY = { type: 'string', enum: CATEGORIES };
+const PATTERNS = {
+  type: 'array',
+  items: { type: 'string', description: 'Glob (* matches anything) or /regex/, matched against the whole repo name or a topic.' },
+};
+
+const CATEGORY_CONFIG = {
+  title: 'config/categories.yml',
+  description: 'Repo categories. An iacp-category-<name> topic wins, then overrides, then archived → archive, then the first matching rule, then default.',
+  type: 'object',
+  required: ['version', 'rules'],
+  properties: {
+    version:   { type: 'integer', enum: [1], description: 'Config format version.' },
+    default:   { ...CATEGORY, description: 'Category for repos no rule matches.' },
+    overrides: {
+      type: 'object',
+      description: 'Repo name → category, ahead of every rule.',
+      additionalProperties: CATEGORY,
+    },
+    rules: {
+      type: 'array',
+      description: 'Tried top to bottom; the first whose include matches and whose exclude does not wins.',
+      items: {
+        type: 'object',
+        required: ['category', 'include'],
+        properties: {
+          category: CATEGORY,
+          include:  { ...PATTERNS, description: 'Any of these matching puts the repo in the category…' },
+          exclude:  { ...PATTERNS, description: '…unless one of these matches too.' },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+/* ============================================================
+   DISCOVERY PIPELINE (config/discovery.yml)
+   Also checked at runtime before the dashboard uses the file.
+   ============================================================ */
+const DISCOVERY_CONFIG = {
+  title: 'config/discovery.yml',
+  description: 'Discovery pipeline stages, each lit by a workflow run or a board column count, and the run ID format.',
+  type: 'object',
+  required: ['version', 'stages'],
+  properties: {
+    version: { type: 'integer', enum: [1], description: 'Config format version.' },
+    run_id:  { type: 'string', description: 'Regex for discovery run IDs, e.g. \\d{8}_\\d{6}_[0-9a-f]{8}.' },
+    stages: {
+      type: 'array',
+      description: 'Pipeline order, left to right.',
+      items: {
+        type: 'object',
+        required: ['id', 'label'],
+        anyOf: [{ required: ['workflow'] }, { required: ['column'] }],
+        errorMessage: 'A stage needs a workflow or a column',
+        properties: {
+          id:       { type: 'string', pattern: '^[a-z][a-z0-9_-]*$', errorMessage: 'Lowercase letters, digits, - and _' },
+          label:    { type: 'string' },
+          icon:     { type: 'string' },
+          workflow: { type: 'string', description: 'Workflow file name (e.g. discovery.yml) or workflow name.' },
+          job:      { type: 'string', description: 'Job in the workflow whose result lights the stage; the whole run when omitted.' },
+          repo:     { type: 'string', description: 'Repo the workflow runs in; every discovery repo when omitted.' },
+          column:   { type: 'string', pattern: '^[A-Z0-9_]+$', errorMessage: 'A column id from config/board.yml, e.g. VALIDATION', description: 'Board column whose item count lights the stage.' },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+/* ============================================================
+   GITHUB ACTIONS WORKFLOWS
+   The parts of the workflow syntax this org uses; unknown event
+   names are accepted so new triggers do not show as errors.
+   ============================================================ */
+const EXPR_OR = type => ({ type: [type, 'string'] });
+const ENV = {
+  type: 'object',
+  description: 'Environment variables.',
+  additionalProperties: { type: ['string', 'number', 'boolean'] },
+};
+const PERMISSIONS = {
+  description: 'GITHUB_TOKEN permissions: "read-all", "write-all" or a map of scope to read | write | none.',
+  anyOf: [
+    { type: 'string', enum: ['read-all', 'write-all'] },
+    {
+      type: 'object',
+      propertyNames: {
+        enum: ['actions', 'attestations', 'checks', 'contents', 'deployments', 'discussions', 'id-token',
+          'issues', 'packages', 'pages', 'pull-requests', 'repository-projects', 'security-events', 'statuses'],
+      },
+      additionalProperties: { type: 'string', enum: ['read', 'write', 'none'] },
+    },
+  ],
+  errorMessage: 'Expected "read-all", "write-all" or a map of scope to read | write | none',
+};
+const CONCURRENCY = {
+  description: 'Only one run or job in the same concurrency group runs at a time.',
+  type: ['string', 'object'],
+  properties: {
+    group:                { type: 'string' },
+    'cancel-in-progress': EXPR_OR('boolean'),
+  },
+};
+const BRANCH_FILTER = {
+  type: ['object', 'null'],
+  properties: {
+    branches:          { type: 'array', items: { type: 'string' }, description: 'Branch name patterns.' },
+    'branches-ignore': { type: 'array', items: { type: 'string' } },
+    tags:              { type: 'array', items: { type: 'string' } },
+    'tags-ignore':     { type: 'array', items: { type: 'string' } },
+    paths:             { type: 'array', items: { type: 'string' }, description: 'Only run when a changed file matches.' },
+    'paths-ignore':    { type: 'array', items: { type: 'string' } },
+    types:             { type: 'array', items: { type: 'string' }, description: 'Activity types that trigger the workflow.' },
+  },
+};
+const STEP = {
+  type: 'object',
+  description: 'A step runs a command (run) or an action (uses).',
+  properties: {
+    id:                  { type: 'string', description: 'Identifier for referencing outputs as steps.<id>.outputs.' },
+    name:                { type: 'string', description: 'Display name of the step.' },
+    if:                  { type: ['string', 'boolean'], description: 'Condition; the step is skipped when false.' },
+    uses:                { type: 'string', description: 'Action to run, e.g. "actions/checkout@v4".' },
+    run:                 { type: 'string', description: 'Shell command(s) to run.' },
+    shell:               { type: 'string', description: 'bash, pwsh, python, sh, cmd, powershell or a custom template.' },
+    with:                { type: 'object', description: 'Inputs for the action.' },
+    env:                 ENV,
+    'working-directory': { type: 'string' },
+    'continue-on-error': EXPR_OR('boolean'),
+    'timeout-minutes':   EXPR_OR('number'),
+  },
+  additionalProperties: false,
+  anyOf: [{ required: ['uses'] }, { required: ['run'] }],
+  errorMessage: 'A step needs either "uses" or "run"',
+};
+const JOB = {
+  type: 'object',
+  description: 'A job runs its steps on one runner, or calls a reusable workflow with "uses".',
+  properties: {
+    name:                { type: 'string', description: 'Display name of the job.' },
+    needs:               { type: ['string', 'array'], items: { type: 'string' }, description: 'Jobs that must succeed before this one runs.' },
+    'runs-on':           { type: ['string', 'array', 'object'], description: 'Runner label(s), e.g. "ubuntu-latest".' },
+    if:                  { type: ['string', 'boolean'], description: 'Condition; the job is skipped when false.' },
+    permissions:         PERMISSIONS,
+    environment:         { type: ['string', 'object'], description: 'Deployment environment the job targets.' },
+    concurrency:         CONCURRENCY,
+    outputs:             { type: 'object', additionalProperties: { type: 'string' }, description: 'Outputs available to dependent jobs.' },
+    env:                 ENV,
+    defaults:            { type: 'object' },
+    steps:               { type: 'array', items: STEP, description: 'Steps run in order.' },
+    'timeout-minutes':   EXPR_OR('number'),
+    strategy: {
+      type: 'object',
+      properties: {
+        matrix:         { type: ['object', 'string'], description: 'Variables to fan the job out over.' },
+        'fail-fast':    EXPR_OR('boolean'),
+        'max-parallel': EXPR_OR('number'),
+      },
+    },
+    'continue-on-error': EXPR_OR('boolean'),
+    container:           { type: ['string', 'object'] },
+    services:            { type: 'object' },
+    uses:                { type: 'string', description: 'Reusable workflow, e.g. "org/repo/.github/workflows/x.yml@main".' },
+    with:                { type: 'object', description: 'Inputs for the reusable workflow.' },
+    secrets:             { type: ['string', 'object'], description: 'Secrets for the reusable workflow, or "inherit".' },
+  },
+  additionalProperties: false,
+  anyOf: [{ required: ['runs-on'] }, { required: ['uses'] }],
+  errorMessage: 'A job needs "runs-on" (or "uses" for a reusable workflow)',
+};
+const WORKFLOW = {
+  title: 'GitHub Actions workflow',
+  description: 'A workflow in .github/workflows.',
+  type: 'object',
+  required: ['on', 'jobs'],
+  properties: {
+    name:     { type: 'string', description: 'Name shown in the Actions tab.' },
+    'run-name': { type: 'string', description: 'Name for each run; may use expressions.' },
+    on: {
+      description: 'Events that trigger the workflow.',
+      type: ['string', 'array', 'object'],
+      properties: {
+        push:                { ...BRANCH_FILTER, description: 'A push to a branch or tag.' },
+        pull_request:        { ...BRANCH_FILTER, description: 'Activity on a pull request.' },
+        pull_request_target: { ...BRANCH_FILTER, description: 'Like pull_request, but runs in the context of the base branch.' },
+        workflow_dispatch:   { type: ['object', 'null'], description: 'Manual runs from the Actions tab or the API.', properties: { inputs: { type: 'object' } } },
+        workflow_call:       { type: ['object', 'null'], description: 'Makes this a reusable workflow.' },
+        workflow_run:        { type: ['object', 'null'], description: 'Another workflow run was requested or completed.' },
+        repository_dispatch: { type: ['object', 'null'], description: 'A repository_dispatch API call.', properties: { types: { type: 'array', items: { type: 'string' } } } },
+        schedule: {
+          type: 'array',
+          description: 'Cron schedules (UTC).',
+          items: { type: 'object', required: ['cron'], properties: { cron: { type: 'string', description: 'POSIX cron: minute hour day month weekday.' } } },
+        },
+        release: BRANCH_FILTER,
+        issues:  BRANCH_FILTER,
+      },
+    },
+    permissions: PERMISSIONS,
+    env:         ENV,
+    defaults:    { type: 'object', properties: { run: { type: 'object', properties: { shell: { type: 'string' }, 'working-directory': { type: 'string' } } } } },
+    concurrency: CONCURRENCY,
+    jobs: {
+      type: 'object',
+      description: 'Jobs keyed by job id.',
+      patternProperties: { '^[_a-zA-Z][a-zA-Z0-9_-]*$': JOB },
+      additionalProperties: false,
+      minProperties: 1,
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Bundled schemas. `fileMatch` is the Monaco JSON-defaults glob;
+ * `test` is the equivalent check on a repo-relative path.
+ */
+export const SCHEMAS = [
+  { uri: 'iacp://schemas/org-index.json', language: 'json', fileMatch: ['_STATE/org-index.json'],
+    test: p => p === '_STATE/org-index.json', schema: ORG_INDEX },
+  { uri: 'iacp://schemas/project-map.json', language: 'json', fileMatch: ['_STATE/project-map.json'],
+    test: p => p === '_STATE/project-map.json', schema: PROJECT_MAP },
+  { uri: 'iacp://schemas/memory-snapshot.json', language: 'json', fileMatch: ['_STATE/memory-snapshot.json'],
+    test: p => p === '_STATE/memory-snapshot.json', schema: MEMORY_SNAPSHOT },
+  { uri: 'iacp://schemas/validator-status.json', language: 'json', fileMatch: ['_STATE/validator-status.json'],
+    test: p => p === '_STATE/validator-status.json', schema: VALIDATOR_STATUS },
+  { uri: 'iacp://schemas/repo-graph.json', language: 'json', fileMatch: ['_STATE/repo-graph.json'],
+    test: p => p === '_STATE/repo-graph.json', schema: REPO_GRAPH },
+  { uri: 'iacp://schemas/board-config.json', language: 'yaml', fileMatch: ['config/board.yml'],
+    test: p => p === 'config/board.yml', schema: BOARD_CONFIG },
+  { uri: 'iacp://schemas/category-config.json', language: 'yaml', fileMatch: ['config/categories.yml'],
+    test: p => p === 'config/categories.yml', schema: CATEGORY_CONFIG },
+  { uri: 'iacp://schemas/discovery.json', language: 'yaml', fileMatch: ['config/discovery.yml'],
+    test: p => p === 'config/discovery.yml', schema: DISCOVERY_CONFIG },
+  { uri: 'iacp://schemas/github-workflow.json', language: 'yaml', fileMatch: ['.github/workflows/*.yml', '.github/workflows/*.yaml'],
+    test: p => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(p), schema: WORKFLOW },
+];
+
+export function schemaFor(path) {
+  return SCHEMAS.find(s => s.test(path)) || null;
+}
+
+export const BOARD_CONFIG_SCHEMA = BOARD_CONFIG;
+export const CATEGORY_CONFIG_SCHEMA = CATEGORY_CONFIG;
+export const DISCOVERY_CONFIG_SCHEMA = DISCOVERY_CONFIG;
+
+/* ============================================================
+   VALIDATION
+   The subset of JSON Schema used above: type, enum, pattern,
+   format date-time, properties, patternProperties, additional-
+   Properties, propertyNames, required, items, minimum,
+   minProperties and anyOf, plus the errorMessage extension.
+   ============================================================ */
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const actual = typeOf(v);
+  return [].concat(expected).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/** Errors as [{ path: [...keys/indexes], message }]; empty when valid. */
+export function validate(schema, value, path = []) {
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  if (schema.anyOf) {
+    const { anyOf, errorMessage, ...base } = schema;
+    const branches = anyOf.map(s => validate(s, value, path));
+    if (!branches.some(b => !b.length)) {
+      // Prefer the schema's own message over the first branch's errors.
+      errors.push(...(errorMessage ? [{ path, message: errorMessage }] : branches[0]));
+    }
+    return [...errors, ...validate(base, value, path)];
+  }
+  if (schema.type && !typeMatches(schema.type, value)) {
+    fail(`Expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`Expected one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.errorMessage || `Does not match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !DATE_TIME.test(value)) fail('Expected an ISO 8601 date-time');
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`Must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => errors.push(...validate(schema.items, v, [...path, i])));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`Missing required property "${key}"`);
+    }
+    if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+      fail(`Needs at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = propertySchema(schema, key);
+      if (schema.propertyNames?.enum && !schema.propertyNames.enum.includes(key)) {
+        errors.push({ path: [...path, key], message: `Unknown key "${key}"` });
+      } else if (sub === false) {
+        errors.push({ path: [...path, key], message: `Property "${key}" is not allowed` });
+      } else if (sub) {
+        errors.push(...validate(sub, v, [...path, key]));
+      }
+    }
+  }
+  return errors;
+}
+
+// Schema for one property: false if it is not allowed, undefined if
+// anything goes.
+function propertySchema(schema, key) {
+  if (schema.properties?.[key]) return schema.properties[key];
+  for (const [pattern, sub] of Object.entries(schema.patternProperties || {})) {
+    if (new RegExp(pattern).test(key)) return sub;
+  }
+  return schema.additionalProperties === false ? false
+    : typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined;
+}
+
+/** The sub-schema at `path` (keys and indexes), or null. */
+export function schemaAt(schema, path) {
+  let s = schema;
+  for (const seg of path) {
+    if (!s) return null;
+    if (typeof seg === 'number') {
+      s = s.items || null;
+    } else {
+      s = propertySchema(s, seg) || s.anyOf?.map(b => propertySchema(b, seg)).find(Boolean) || null;
+    }
+  }
+  return s;
+}
+
+/* ============================================================
+   YAML LOCATIONS
+   Maps lines of a block-style YAML document to the key paths they
+   define, so schema errors and hover docs can be placed without a
+   position-aware parser. Flow collections resolve to their key.
+   ============================================================ */
+const YAML_KEY = /^(\s*)((?:-\s+)*)(?:(["']?)([^\s"'#:][^:#]*?)\3\s*:(?=\s|$))?/;
+
+/**
+ * For every line, the path of the node it opens (as a list of
+ * { col, seg } frames) or null for blank lines, comments, scalar
+ * continuation and block-scalar content.
+ */
+export function yamlPaths(text) {
+  const lines = text.split('\n');
+  const out = [];
+  const stack = [];
+  const counts = new Map();
+  let blockIndent = null;
+
+  for (const line of lines) {
+    const indent = line.match(/^\s*/)[0].length;
+    if (blockIndent !== null && (!line.trim() || indent > blockIndent)) { out.push(null); continue; }
+    blockIndent = null;
+    if (!line.trim() || line.trim().startsWith('#')) { out.push(null); continue; }
+
+    const m = line.match(YAML_KEY);
+    const dashes = m[2] ? m[2].match(/-\s+/g) : [];
+    if (!dashes.length && m[4] === undefined) { out.push(null); continue; }
+
+    // A list may sit at the same indent as the key that holds it.
+    let col = indent;
+    const closes = f => f.col > col || (f.col === col && !(dashes.length && typeof f.seg === 'string'));
+    while (stack.length && closes(stack.at(-1))) stack.pop();
+    for (const d of dashes) {
+      const parent = stack.map(f => f.seg).join('\u0000');
+      const index = counts.get(parent) ?? 0;
+      counts.set(parent, index + 1);
+      stack.push({ col, seg: index });
+      col += d.length;
+    }
+    if (m[4] !== undefined) {
+      stack.push({ col, seg: m[4] });
+      // A later sibling list under this key starts counting again.
+      counts.delete(stack.map(f => f.seg).join('\u0000'));
+      if (/:\s*[|>][-+0-9]*\s*(#.*)?$/.test(line)) blockIndent = col;
+    }
+    out.push([...stack]);
+  }
+  return out;
+}
+
+/** 0-based line that best matches `path` (the path itself or its closest ancestor). */
+export function yamlLineOf(paths, path) {
+  for (let n = path.length; n > 0; n--) {
+    const want = path.slice(0, n).join('\u0000');
+    const i = paths.findIndex(p => p && p.length >= n && p.slice(0, n).map(f => f.seg).join('\u0000') === want);
+    if (i !== -1) return i;
+  }
+  return 0;
+}
+
+/** Path of the parent node for a key typed at `col` on line `line`. */
+export function yamlParentAt(paths, line, col) {
+  for (let i = line - 1; i >= 0; i--) {
+    if (paths[i]) return paths[i].filter(f => f.col < col).map(f => f.seg);
+  }
+  return [];
+}
@@ -0,0 +1,213 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — Client Store
+ * Normalized entity store. Every fetched object lives here once,
+ * keyed by ID and tagged with its source ('live', '_STATE', ...)
+ * and fetch time. Sections subscribe to the kinds they render and
+ * re-render on change; load() deduplicates concurrent fetches.
+ * Collections are persisted to IndexedDB, so the dashboard opens
+ * offline with the last known data (source 'cache').
+ */
+import { idbGet, idbSet, idbClear } from './idb.js';
+
+// 'reports' holds one-off results keyed by name (validator sweep,
+// governance matrix, synced _STATE files) rather than entities.
+export const KINDS = [
+  'repos', 'prs', 'runs', 'items', 'alerts', 'memory',
+  'projects', 'boards', 'events', 'webhooks', 'reports',
+];
+
+// kind -> Map(id -> { value, source, fetchedAt })
+const entities = Object.fromEntries(KINDS.map(k => [k, new Map()]));
+// kind -> { source, fetchedAt } of the latest write
+const collections = Object.fromEntries(KINDS.map(k => [k, null]));
+
+/* ============================================================
+   READ
+   ============================================================ */
+export function all(kind, filter) {
+  const values = [...entities[kind].values()].map(r => r.value);
+  return filter ? values.filter(filter) : values;
+}
+
+export function get(kind, id) {
+  return entities[kind].get(id)?.value;
+}
+
+// { source, fetchedAt, count } for a collection, or null before first write.
+export function info(kind) {
+  return collections[kind] && { ...collections[kind], count: entities[kind].size };
+}
+
+export function infoOf(kind, id) {
+  const r = entities[kind].get(id);
+  return r ? { source: r.source, fetchedAt: r.fetchedAt, origin: r.origin } : null;
+}
+
+/* ============================================================
+   WRITE
+   ============================================================ */
+function stamp(kind, source, fetchedAt) {
+  collections[kind] = { source, fetchedAt };
+  changed(kind);
+  persistLater(kind);
+}
+
+/**
+ * Replace a collection with `list`. With `scope`, only existing entries
+ * matching it are dropped first (e.g. the runs of the repos just fetched),
+ * so the rest of the collection survives.
+ */
+export function put(kind, list, { source, fetchedAt = new Date().toISOString(), idOf = e => e.id, scope } = {}) {
+  const map = entities[kind];
+  if (scope) {
+    for (const [id, r] of map) if (scope(r.value)) map.delete(id);
+  } else {
+    map.clear();
+  }
+  for (const value of list) map.set(idOf(value), { value, source, fetchedAt });
+  stamp(kind, source, fetchedAt);
+}
+
+// Upsert: fields of each incoming entity are merged over the stored one.
+export function merge(kind, list, { source, fetchedAt = new Date().toISOString(), idOf = e => e.id } = {}) {
+  const map = entities[kind];
+  for (const value of list) {
+    const id = idOf(value);
+    map.set(id, { value: { ...map.get(id)?.value, ...value }, source, fetchedAt });
+  }
+  stamp(kind, source, fetchedAt);
+}
+
+// Replace a single entity, e.g. one report or one project's board.
+export function set(kind, id, value, { source, fetchedAt = new Date().toISOString() } = {}) {
+  entities[kind].set(id, { value, source, fetchedAt });
+  stamp(kind, source, fetchedAt);
+}
+
+// Local edit of one entity (optimistic UI); keeps its source and time.
+export function patch(kind, id, changes) {
+  const r = entities[kind].get(id);
+  if (!r) return;
+  r.value = { ...r.value, ...changes };
+  changed(kind);
+  persistLater(kind);
+}
+
+export function clear(kind) {
+  entities[kind].clear();
+  collections[kind] = null;
+  changed(kind);
+  persistLater(kind);
+}
+
+/* ============================================================
+   SUBSCRIPTIONS
+   Notifications are batched per microtask, so a burst of writes
+   causes one re-render with the set of kinds that changed.
+   ============================================================ */
+const subscribers = new Set();
+let pending = null;
+
+function changed(kind) {
+  if (!pending) {
+    pending = new Set();
+    queueMicrotask(flush);
+  }
+  pending.add(kind);
+}
+
+function flush() {
+  const kinds = pending;
+  pending = null;
+  for (const s of subscribers) {
+    if (!s.kinds || s.kinds.some(k => kinds.has(k))) s.fn(kinds);
+  }
+}
+
+// kinds: array of kinds, or null for every change. Returns unsubscribe.
+export function subscribe(kinds, fn) {
+  const s = { kinds, fn };
+  subscribers.add(s);
+  return () => subscribers.delete(s);
+}
+
+/* ============================================================
+   PERSISTENCE
+   One IndexedDB record per kind, written shortly after the last
+   change so a burst of writes is saved once.
+   ============================================================ */
+const PERSIST_DELAY_MS = 500;
+const dirty = new Set();
+let persistTimer = null;
+
+function persistLater(kind) {
+  dirty.add(kind);
+  if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+}
+
+function persist() {
+  persistTimer = null;
+  for (const kind of dirty) {
+    idbSet('entities', kind, { collection: collections[kind], records: [...entities[kind]] });
+  }
+  dirty.clear();
+}
+
+/**
+ * Restore persisted collections. Restored entries report source
+ * 'cache' and keep where they originally came from as `origin`.
+ * Kinds already written this session are left alone.
+ */
+export async function hydrate() {
+  await Promise.all(KINDS.map(async kind => {
+    const saved = await idbGet('entities', kind);
+    if (!saved?.collection || collections[kind]) return;
+    for (const [id, r] of saved.records) {
+      entities[kind].set(id, { ...r, source: 'cache', origin: r.origin || r.source });
+    }
+    const c = saved.collection;
+    collections[kind] = { ...c, source: 'cache', origin: c.origin || c.source };
+    changed(kind);
+  }));
+}
+
+// Drop everything, in memory and on disk.
+export async function reset() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  dirty.clear();
+  loadedAt.clear();
+  for (const kind of KINDS) {
+    entities[kind].clear();
+    collections[kind] = null;
+    changed(kind);
+  }
+  await idbClear('entities');
+}
+
+/* ============================================================
+   LOAD DEDUPLICATION
+   ============================================================ */
+const inflight = new Map();
+const loadedAt = new Map();
+
+/**
+ * Run loader() once for `key`: concurrent callers share the in-flight
+ * promise, and within `ttl` ms of a successful load the previous result
+ * is returned without calling loader again (unless `force`).
+ */
+export function load(key, loader, { ttl = 0, force = false } = {}) {
+  if (inflight.has(key)) return inflight.get(key);
+  const last = loadedAt.get(key);
+  if (!force && last && Date.now() - last.at < ttl) return Promise.resolve(last.result);
+
+  const p = Promise.resolve()
+    .then(loader)
+    .then(result => {
+      loadedAt.set(key, { at: Date.now(), result });
+      return result;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
@@ -0,0 +1,36 @@
+/**
+ * INFINITY ADMIN CONTROL PLANE — YAML
+ * js-yaml from the CDN, loaded on first use. Once Monaco's AMD
+ * loader is on the page, a plain <script> would register js-yaml
+ * as an anonymous AMD module instead of a global, so it is loaded
+ * through that loader instead.
+ */
+const JS_YAML_URL = 'https://cdnjs.cloudflare.com/ajax/libs/js-yaml/4.1.0/js-yaml.min';
+
+let loading = null;
+
+export function loadYaml() {
+  if (window.jsyaml) return Promise.resolve(window.jsyaml);
+  loading ??= new Promise((resolve, reject) => {
+    if (window.define?.amd) {
+      window.require.config({ paths: { 'js-yaml': JS_YAML_URL } });
+      window.require(['js-yaml'], resolve, reject);
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = `${JS_YAML_URL}.js`;
+    script.onload  = () => resolve(window.jsyaml);
+    script.onerror = () => reject(new Error('Could not load the YAML parser'));
+    document.head.appendChild(script);
+  }).catch(e => {
+    loading = null;
+    throw e;
+  });
+  return loading;
+}
+
+// Core schema: plain YAML 1.2 scalars, so "on:" and dates stay strings.
+export async function parseYaml(text) {
+  const yaml = await loadYaml();
+  return yaml.load(text, { schema: yaml.CORE_SCHEMA });
+}
@@ -2,36 +2,61 @@
  * INFINITY ADMIN CONTROL PLANE — Service Worker
  * Cache-first strategy for offline capability.
  * Stale-while-revalidate for API state files.
+ *
+ * deploy-pages.yml stamps BUILD with a hash of the deployed files and
+ * publishes this worker at the site root, so its scope covers
+ * dashboard/, _STATE/ and pwa/. A new build installs alongside the
+ * old one and waits until the page asks it to take over.
  */
 
-const CACHE_NAME    = 'iacp-v1';
-const API_CACHE     = 'iacp-api-v1';
+const BUILD       = '__BUILD_HASH__';
+const CACHE_NAME  = `iacp-shell-${BUILD}`;
+const API_CACHE   = 'iacp-api-v1';
+const CDN_CACHE   = 'iacp-cdn-v1';
 
-// Static shell assets to precache
-const PRECACHE_URLS = [
-  '/dashboard/',
-  '/dashboard/index.html',
-  '/dashboard/app.js',
-  '/dashboard/github-api.js',
-  '/dashboard/styles/main.css',
-  '/pwa/manifest.json',
+// Static shell assets to precache, relative to the worker's scope
+// (the site root, which is a subpath on GitHub Pages project sites).
+const PRECACHE_PATHS = [
+  'dashboard/',
+  'dashboard/index.html',
+  'dashboard/app.js',
+  'dashboard/categories.js',
+  'dashboard/discovery.js',
+  'dashboard/github-api.js',
+  'dashboard/http.js',
+  'dashboard/idb.js',
+  'dashboard/org-snapshot.js',
+  'dashboard/pr-policy.js',
+  'dashboard/repo-graph.js',
+  'dashboard/schemas.js',
+  'dashboard/store.js',
+  'dashboard/yaml.js',
+  'dashboard/styles/main.css',
+  'pwa/manifest.json',
 ];
+const PRECACHE_URLS = PRECACHE_PATHS.map(p => new URL(p, self.registration.scope).href);
 
 // ── INSTALL: Precache static shell ────────────────────────────
+// No skipWaiting here: an update waits until the page sends SKIP_WAITING.
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
-      .then(() => self.skipWaiting())
   );
 });
 
+// ── MESSAGE: the page's "reload" button activates the update ──
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
 // ── ACTIVATE: Clean up old caches ────────────────────────────
 self.addEventListener('activate', event => {
+  const keep = [CACHE_NAME, API_CACHE, CDN_CACHE];
   event.waitUntil(
     caches.keys().then(keys =>
       Promise.all(
         keys
-          .filter(k => k !== CACHE_NAME && k !== API_CACHE)
+          .filter(k => !keep.includes(k))
           .map(k => caches.delete(k))
       )
     ).then(() => self.clients.claim())
@@ -46,23 +71,26 @@ self.addEventListener('fetch', event => {
   // Only handle GET requests
   if (request.method !== 'GET') return;
 
-  // GitHub API calls: network-first (don't cache)
+  // GitHub API calls: network only. The page keeps its own copy of the
+  // data in IndexedDB, so offline is reported as an error, not a body.
   if (url.hostname === 'api.github.com') {
-    event.respondWith(fetch(request).catch(() => new Response('{"error":"offline"}', {
+    event.respondWith(fetch(request).catch(() => new Response('{"message":"offline"}', {
+      status: 503,
       headers: { 'Content-Type': 'application/json' }
     })));
     return;
   }
 
-  // _STATE files: stale-while-revalidate
-  if (url.pathname.includes('/_STATE/')) {
+  // _STATE files and the board config: stale-while-revalidate
+  if (url.pathname.includes('/_STATE/') || url.pathname.includes('/config/')) {
     event.respondWith(staleWhileRevalidate(request, API_CACHE));
     return;
   }
 
-  // CDN resources (Monaco, etc.): cache-first — exact hostname match
+  // CDN resources (Monaco, etc.): cache-first — exact hostname match.
+  // Versioned URLs, so they outlive shell builds in their own cache.
   if (url.hostname === 'cdnjs.cloudflare.com') {
-    event.respondWith(cacheFirst(request, CACHE_NAME));
+    event.respondWith(cacheFirst(request, CDN_CACHE));
     return;
   }
 
@@ -72,26 +100,27 @@ self.addEventListener('fetch', event => {
 
 // ── HELPERS ──────────────────────────────────────────────────
 async function cacheFirst(request, cacheName) {
-  const cached = await caches.match(request);
+  const cache  = await caches.open(cacheName);
+  const cached = await cache.match(request);
   if (cached) return cached;
   try {
     const response = await fetch(request);
-    if (response.ok) {
-      const cache = await caches.open(cacheName);
-      cache.put(request, response.clone());
-    }
+    if (response.ok) cache.put(request, response.clone());
     return response;
   } catch {
     return new Response('Offline', { status: 503 });
   }
 }
 
+// State and config files are requested with a cache-busting query; they are
+// cached under their bare URL so the next request finds them.
 async function staleWhileRevalidate(request, cacheName) {
   const cache  = await caches.open(cacheName);
-  const cached = await cache.match(request);
+  const key    = request.url.split('?')[0];
+  const cached = await cache.match(key);
   const fetchPromise = fetch(request).then(response => {
-    if (response.ok) cache.put(request, response.clone());
+    if (response.ok) cache.put(key, response.clone());
     return response;
   }).catch(() => null);
-  return cached || fetchPromise || new Response('{}', { headers: { 'Content-Type': 'application/json' } });
+  return cached || await fetchPromise || new Response('{}', { status: 503, headers: { 'Content-Type': 'application/json' } });
 }